@@ -0,0 +1,81 @@
+const { PDFDocument } = require("pdf-lib");
+
+const IMAGE_TYPES = ["image/png", "image/jpeg"];
+const PDF_TYPE = "application/pdf";
+// Menus are a page or two; don't send Vision a whole brochure.
+const MAX_PDF_PAGES = 6;
+
+function isMenuImage(attachment) {
+  return IMAGE_TYPES.includes(attachment.contentType);
+}
+
+/**
+ * Whether an attachment is a PDF. Some mail clients send them as
+ * application/octet-stream, so the file name counts too.
+ */
+function isPdf(attachment) {
+  return (
+    attachment.contentType === PDF_TYPE ||
+    (attachment.contentType === "application/octet-stream" && /\.pdf$/i.test(attachment.filename || ""))
+  );
+}
+
+function isMenuAttachment(attachment) {
+  return isMenuImage(attachment) || isPdf(attachment);
+}
+
+/**
+ * Split a PDF into single-page PDFs, up to `maxPages`, so each page is read
+ * and cached on its own. Metadata isn't stamped, so the same page always
+ * gives the same bytes. Throws if the PDF can't be read.
+ */
+async function splitPdf(buffer, maxPages = MAX_PDF_PAGES) {
+  const source = await PDFDocument.load(buffer, { updateMetadata: false });
+  const pages = [];
+  for (const index of source.getPageIndices().slice(0, maxPages)) {
+    const doc = await PDFDocument.create({ updateMetadata: false });
+    const [page] = await doc.copyPages(source, [index]);
+    doc.addPage(page);
+    pages.push(Buffer.from(await doc.save()));
+  }
+  return pages;
+}
+
+/**
+ * What to show Vision from an email's attachments ({ filename,
+ * contentType, content, size }, as from mailparser), in order: each image
+ * as it is and each page of each PDF. Returns [{ name, content,
+ * contentType }], where name describes the candidate for logs. A PDF that
+ * can't be read is logged under `label` and skipped.
+ */
+async function menuCandidates(attachments, label) {
+  const candidates = [];
+  for (const attachment of attachments) {
+    const size = `${Math.round(attachment.content.length / 1024)}KB`;
+    if (isMenuImage(attachment)) {
+      candidates.push({
+        name: `attachment "${attachment.filename}" (${size})`,
+        content: attachment.content,
+        contentType: attachment.contentType,
+      });
+    } else if (isPdf(attachment)) {
+      let pages;
+      try {
+        pages = await splitPdf(attachment.content);
+      } catch (err) {
+        console.error(`${label}: couldn't read PDF "${attachment.filename}":`, err.message);
+        continue;
+      }
+      pages.forEach((content, i) =>
+        candidates.push({
+          name: `page ${i + 1} of "${attachment.filename}" (${size})`,
+          content,
+          contentType: PDF_TYPE,
+        }),
+      );
+    }
+  }
+  return candidates;
+}
+
+module.exports = { menuCandidates, splitPdf, isMenuAttachment, isMenuImage, isPdf, PDF_TYPE, MAX_PDF_PAGES };
@@ -1,171 +1,8 @@
-const { ImapFlow } = require("imapflow");
-const { simpleParser } = require("mailparser");
-const Anthropic = require("@anthropic-ai/sdk");
-const sharp = require("sharp");
-const fs = require("fs");
-const path = require("path");
+const { WEEKDAYS } = require("./dates");
+const { toMenuItem } = require("./menu");
+const { createEmailSource } = require("./email-source");
 
-const MENU_PATH = path.join(__dirname, "data", "blavatnik-menu.json");
-const WEEKDAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"];
-
-/**
- * Returns the Monday of the current week (at midnight UTC).
- */
-function getWeekMonday(date = new Date()) {
-  const d = new Date(date);
-  const day = d.getDay();
-  const diff = day === 0 ? -6 : 1 - day;
-  d.setDate(d.getDate() + diff);
-  d.setHours(0, 0, 0, 0);
-  return d;
-}
-
-/**
- * Connect to Gmail via IMAP, find the latest Blavatnik menu email,
- * download the PNG attachment, parse it with Claude Vision, and save the result.
- */
-async function checkForNewMenu() {
-  const user = process.env.GMAIL_USER;
-  const pass = process.env.GMAIL_APP_PASSWORD;
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-
-  if (!user || !pass || !apiKey) {
-    console.warn(
-      "Blavatnik: missing GMAIL_USER, GMAIL_APP_PASSWORD, or ANTHROPIC_API_KEY — skipping.",
-    );
-    return;
-  }
-
-  const client = new ImapFlow({
-    host: "imap.gmail.com",
-    port: 993,
-    secure: true,
-    auth: { user, pass },
-    logger: false,
-  });
-
-  try {
-    await client.connect();
-    const lock = await client.getMailboxLock("INBOX");
-
-    try {
-      // Search for Blavatnik menu emails by subject (sender may vary)
-      const messages = await client.search(
-        { subject: "Weekly Menu Update" },
-        { uid: true },
-      );
-
-      if (!messages.length) {
-        console.log("Blavatnik: no menu emails found.");
-        return;
-      }
-
-      const currentMonday = getWeekMonday();
-
-      // Iterate from newest to oldest to find an email whose content
-      // covers the current week. Blavatnik emails are sent on Friday
-      // for the following Mon–Fri, so:
-      //   contentMonday = getWeekMonday(emailDate) + 7 days
-      for (let i = messages.length - 1; i >= 0; i--) {
-        const uid = messages[i];
-        const raw = await client.download(uid, undefined, { uid: true });
-        const parsed = await simpleParser(raw.content);
-
-        const emailDate = parsed.date;
-        if (emailDate) {
-          const emailWeekMonday = getWeekMonday(emailDate);
-          const contentMonday = new Date(emailWeekMonday);
-          contentMonday.setDate(contentMonday.getDate() + 7);
-
-          if (contentMonday.toDateString() !== currentMonday.toDateString()) {
-            if (contentMonday > currentMonday) {
-              console.log(`Blavatnik: email from ${emailDate.toDateString()} is for a future week, trying older...`);
-              continue;
-            }
-            console.log(`Blavatnik: no exact match for current week, using email from ${emailDate.toDateString()}.`);
-          }
-        }
-
-        const imageAttachments = parsed.attachments.filter(
-          (a) => a.contentType === "image/png" || a.contentType === "image/jpeg",
-        );
-
-        if (!imageAttachments.length) {
-          console.log("Blavatnik: no PNG/JPEG attachment in this email, trying older...");
-          continue;
-        }
-
-        // Try each image until one yields actual menu data
-        let menuData = null;
-        for (const attachment of imageAttachments) {
-          console.log(`Blavatnik: trying attachment "${attachment.filename}" (${Math.round(attachment.size / 1024)}KB)...`);
-          menuData = await parseMenuImage(attachment.content, apiKey);
-          const hasItems = menuData && WEEKDAYS.some(
-            (day) => Array.isArray(menuData[day]) && menuData[day].length > 0,
-          );
-          if (hasItems) break;
-          menuData = null;
-        }
-
-        if (menuData) {
-          saveMenu(menuData);
-          console.log("Blavatnik: menu saved successfully.");
-        } else {
-          console.log("Blavatnik: no menu data found in email attachments.");
-        }
-        return;
-      }
-
-      console.log("Blavatnik: no suitable email found for the current week.");
-    } finally {
-      lock.release();
-    }
-
-    await client.logout();
-  } catch (err) {
-    console.error("Blavatnik: IMAP error:", err.message);
-  }
-}
-
-/**
- * Send the PNG buffer to Claude Vision API and extract structured menu data.
- */
-async function parseMenuImage(imageBuffer, apiKey) {
-  const anthropic = new Anthropic({ apiKey });
-
-  // Compress large images to stay under Claude Vision's 5MB base64 limit
-  const MAX_SIZE = 4 * 1024 * 1024;
-  let mediaType = "image/png";
-  if (imageBuffer.length > MAX_SIZE) {
-    console.log(`Blavatnik: compressing image (${Math.round(imageBuffer.length / 1024)}KB → `);
-    imageBuffer = await sharp(imageBuffer)
-      .resize({ width: 2000, withoutEnlargement: true })
-      .jpeg({ quality: 80 })
-      .toBuffer();
-    mediaType = "image/jpeg";
-    console.log(`${Math.round(imageBuffer.length / 1024)}KB)`);
-  }
-
-  const base64Image = imageBuffer.toString("base64");
-
-  const response = await anthropic.messages.create({
-    model: "claude-sonnet-4-5-20250929",
-    max_tokens: 2048,
-    messages: [
-      {
-        role: "user",
-        content: [
-          {
-            type: "image",
-            source: {
-              type: "base64",
-              media_type: mediaType,
-              data: base64Image,
-            },
-          },
-          {
-            type: "text",
-            text: `Extract the weekly lunch menu from this image. Return ONLY valid JSON with no markdown or code fences:
+const PROMPT = `Extract the weekly lunch menu from this image. Return ONLY valid JSON with no markdown or code fences:
 {
   "Monday": ["first item", "second item", "third item"],
   "Tuesday": [...],
@@ -173,130 +10,38 @@ async function parseMenuImage(imageBuffer, apiKey) {
   "Thursday": [...],
   "Friday": [...]
 }
-Preserve the exact order items appear in the image. Do not include calorie counts.`,
-          },
-        ],
-      },
-    ],
-  });
-
-  const text = response.content[0].text.trim();
-  try {
-    return JSON.parse(text);
-  } catch {
-    const match = text.match(/\{[\s\S]*\}/);
-    if (match) {
-      return JSON.parse(match[0]);
-    }
-    console.error("Blavatnik: failed to parse Vision API response:", text);
-    return null;
-  }
-}
+Preserve the exact order items appear in the image. Do not include calorie counts.`;
 
 /**
- * Save parsed menu data to disk, tagged with the Monday of the current week.
+ * Convert a day's ordered item array into MenuItems.
+ * Blavatnik's menu is a fixed template: a meat main, then the vegetarian
+ * main, then sides. The emails rarely mark the vegetarian dish, so the
+ * second item is tagged V by its position (and VG instead when marked vegan).
  */
-function saveMenu(menuData) {
-  const payload = {
-    weekCommencing: getWeekMonday().toISOString(),
-    lastChecked: new Date().toDateString(),
-    menu: menuData,
-  };
-  fs.mkdirSync(path.dirname(MENU_PATH), { recursive: true });
-  fs.writeFileSync(MENU_PATH, JSON.stringify(payload, null, 2));
-}
-
-/**
- * Format a day's ordered item array as a numbered list.
- */
-function stripCalories(text) {
-  return text
-    .replace(/\s*[—–-]\s*~?\d[\d,]*\s*kcal/gi, "")
-    .replace(/\s*\(?\s*~?\d[\d,]*\s*kcal\s*\)?/gi, "")
-    .trim();
-}
-
-function formatDayMenu(dayMenu) {
+function toDayItems(dayMenu, { source, date }) {
   if (!Array.isArray(dayMenu)) return [];
-  return dayMenu.map((item, i) => {
-    let cleaned = stripCalories(item);
-    // Second item is the vegetarian option
-    if (i === 1 && !cleaned.includes("(V)")) {
-      cleaned += " (V)";
-    }
-    return `${i + 1}. ${cleaned}`;
+  return dayMenu.map((text, i) => {
+    const vegetarian = i === 1 ? ["V"] : [];
+    const item = toMenuItem(text, { source, date, position: i, tags: vegetarian });
+    if (item.tags.includes("VG")) item.tags = item.tags.filter((tag) => tag !== "V");
+    return item;
   });
 }
 
-/**
- * Update lastChecked in the cache file to avoid re-checking Gmail repeatedly.
- */
-function updateLastChecked(menuPath) {
-  if (!fs.existsSync(menuPath)) return;
-  try {
-    const data = JSON.parse(fs.readFileSync(menuPath, "utf-8"));
-    data.lastChecked = new Date().toDateString();
-    fs.writeFileSync(menuPath, JSON.stringify(data, null, 2));
-  } catch { /* ignore */ }
-}
-
-/**
- * Read cached menu and return today's items.
- * Refreshes only when the cached week differs from the current week.
- */
-async function fetchBlavatnik(today) {
-  let needsRefresh = true;
-  if (fs.existsSync(MENU_PATH)) {
-    try {
-      const cached = JSON.parse(fs.readFileSync(MENU_PATH, "utf-8"));
-      const cachedMonday = cached.weekCommencing
-        ? new Date(cached.weekCommencing).toDateString()
-        : null;
-      const currentMonday = getWeekMonday().toDateString();
-      if (cachedMonday === currentMonday) {
-        needsRefresh = false;
-      } else if (cached.lastChecked === new Date().toDateString()) {
-        needsRefresh = false;
-      }
-    } catch {
-      // Corrupted file, will refresh
-    }
-  }
-
-  if (needsRefresh) {
-    await checkForNewMenu();
-    updateLastChecked(MENU_PATH);
-  }
-
-  if (!fs.existsSync(MENU_PATH)) return [];
-
-  try {
-    const cached = JSON.parse(fs.readFileSync(MENU_PATH, "utf-8"));
-    const cachedMonday = cached.weekCommencing
-      ? new Date(cached.weekCommencing).toDateString()
-      : null;
-    const stale = cachedMonday !== getWeekMonday().toDateString();
-
-    const dayMenu = cached.menu[today];
-    const lines = formatDayMenu(dayMenu);
-    if (lines.length) {
-      if (stale) lines.unshift("_Menu not yet updated this week_");
-      return lines;
-    }
-
-    // Today not in menu — find the next available weekday
-    const todayIdx = WEEKDAYS.indexOf(today);
-    const fallbackDay =
-      WEEKDAYS.find((day, i) => i > todayIdx && Array.isArray(cached.menu[day]) && cached.menu[day].length > 0) ||
-      WEEKDAYS.find((day) => Array.isArray(cached.menu[day]) && cached.menu[day].length > 0);
-
-    if (!fallbackDay) return [];
-    const fallbackLines = [`_Next available: ${fallbackDay}_`, ...formatDayMenu(cached.menu[fallbackDay])];
-    if (stale) fallbackLines.unshift("_Menu not yet updated this week_");
-    return fallbackLines;
-  } catch {
-    return [];
-  }
-}
-
-module.exports = { fetchBlavatnik, checkForNewMenu, getWeekMonday };
+// Menu emails are found by subject (the sender may vary) and go out on
+// Friday for the following Mon–Fri. Every weekday has a short list of dishes.
+const blavatnik = createEmailSource({
+  id: "blavatnik",
+  label: "Blavatnik",
+  subject: "Weekly Menu Update",
+  weekOffset: 1,
+  prompt: PROMPT,
+  promptVersion: "blavatnik-2",
+  schema: { keys: WEEKDAYS, required: WEEKDAYS, minItems: 2, maxItems: 6 },
+  toItems: (menu, { source, date, day }) => toDayItems(menu[day], { source, date }),
+});
+
+module.exports = {
+  ...blavatnik,
+  fetchBlavatnik: blavatnik.fetch,
+};
@@ -0,0 +1,34 @@
+// The bot runs on Oxford time, whatever the host's clock is set to: dates
+// are worked out with local-time methods (getDay, setHours, …), so the
+// process's timezone is pinned here, before any date logic runs, and cron
+// jobs are scheduled in it too. A UTC host then still sends at 11:00
+// London time either side of a BST change.
+//
+// Requiring this module sets process.env.TZ for the whole process, and
+// every Date in it follows. Modules that do date logic require it (even
+// if only for now()) so the pin is in place however they're loaded;
+// tests get it from tests/timezone-setup.js.
+const TIMEZONE = "Europe/London";
+process.env.TZ = TIMEZONE;
+
+const systemClock = () => new Date();
+let current = systemClock;
+
+/**
+ * The current time. Date logic asks this rather than `new Date()`, so
+ * tests can freeze time with setClock.
+ */
+function now() {
+  return current();
+}
+
+/**
+ * Replace the clock with a fixed Date or a function returning one, e.g.
+ * setClock(new Date(2026, 9, 21, 10, 30)). Without an argument the system
+ * clock is restored.
+ */
+function setClock(clock = systemClock) {
+  current = typeof clock === "function" ? clock : () => new Date(clock);
+}
+
+module.exports = { now, setClock, TIMEZONE };
@@ -0,0 +1,135 @@
+const { closestMatch } = require("./fuzzy");
+
+const PREFIX = "!";
+const PERMISSIONS = ["everyone", "admin"];
+
+// WhatsApp mentions arrive in the text as "@447700900123".
+const MENTION_RE = /@\d+/g;
+
+/**
+ * Split a chat message into a command name and arguments.
+ * Ignores @mentions, surrounding whitespace and case of the command name.
+ * Returns null if the message isn't a command.
+ */
+function parseCommand(text) {
+  const cleaned = String(text || "").replace(MENTION_RE, " ").trim();
+  if (!cleaned.startsWith(PREFIX)) return null;
+
+  const [word, ...args] = cleaned.slice(PREFIX.length).split(/\s+/);
+  const name = word.toLowerCase();
+  if (!/^[a-z][a-z0-9-]*$/.test(name)) return null;
+  return { name, args };
+}
+
+/**
+ * Create a command registry. Each command is declared as
+ * { name, aliases, usage, description, permission, run(ctx, args) }
+ * where permission is "everyone" or "admin" and ctx provides
+ * reply(text), isAdmin() and optionally allows(name) to switch
+ * commands off for a chat.
+ */
+function createCommandRegistry() {
+  const commands = [];
+
+  function register(...defs) {
+    for (const def of defs) {
+      const command = { aliases: [], usage: "", permission: "everyone", ...def };
+      if (!PERMISSIONS.includes(command.permission)) {
+        throw new Error(`Command ${PREFIX}${command.name} has unknown permission "${command.permission}"`);
+      }
+      for (const name of [command.name, ...command.aliases]) {
+        if (find(name)) throw new Error(`Command ${PREFIX}${name} is registered twice`);
+      }
+      commands.push(command);
+    }
+  }
+
+  function find(name) {
+    const lower = name.toLowerCase();
+    return commands.find((c) => c.name === lower || c.aliases.includes(lower)) || null;
+  }
+
+  function list() {
+    return [...commands];
+  }
+
+  /**
+   * Run the command in `text`, if any. Returns true if the message was a
+   * command (known or not), false if it should be treated as chat.
+   */
+  async function dispatch(text, ctx) {
+    const parsed = parseCommand(text);
+    if (!parsed) return false;
+
+    const available = list().filter((c) => allowed(c, ctx));
+    const command = available.find((c) => c.name === parsed.name || c.aliases.includes(parsed.name));
+    if (!command) {
+      // Only answer near-misses, so "!!!" or "!important" in chat stay quiet.
+      const suggestion = closestMatch(parsed.name, available, (c) => [c.name, ...c.aliases]);
+      if (suggestion) {
+        await ctx.reply(
+          `Unknown command ${PREFIX}${parsed.name}. Did you mean ${PREFIX}${suggestion.name}? Send ${PREFIX}help for the full list.`,
+        );
+      }
+      return true;
+    }
+
+    if (command.permission === "admin" && !(await ctx.isAdmin())) {
+      await ctx.reply(`Sorry, only admins can use ${PREFIX}${command.name}.`);
+      return true;
+    }
+
+    try {
+      await command.run(ctx, parsed.args);
+    } catch (err) {
+      console.error(`Error running ${PREFIX}${command.name}:`, err.message);
+      await ctx.reply("Something went wrong. Try again later.");
+    }
+    return true;
+  }
+
+  register({
+    name: "help",
+    aliases: ["commands"],
+    usage: "[command]",
+    description: "List commands, or show details for one",
+    run: (ctx, [name]) => ctx.reply(formatHelp(list().filter((c) => allowed(c, ctx)), name)),
+  });
+
+  return { register, find, list, dispatch };
+}
+
+function allowed(command, ctx) {
+  return !ctx.allows || ctx.allows(command.name);
+}
+
+/**
+ * Build the !help text from the registered commands.
+ */
+function formatHelp(commands, name) {
+  if (name) {
+    const lower = name.replace(PREFIX, "").toLowerCase();
+    const command = commands.find((c) => c.name === lower || c.aliases.includes(lower));
+    if (!command) return `No command called ${PREFIX}${lower}. Send ${PREFIX}help for the list.`;
+
+    const lines = [`*${usageLine(command)}*`, command.description];
+    if (command.aliases.length) {
+      lines.push(`Also: ${command.aliases.map((a) => PREFIX + a).join(", ")}`);
+    }
+    if (command.permission === "admin") lines.push("Admins only.");
+    return lines.join("\n");
+  }
+
+  const lines = ["*Lunch bot commands*"];
+  for (const command of commands) {
+    const admin = command.permission === "admin" ? " _(admin)_" : "";
+    lines.push(`${usageLine(command)} — ${command.description}${admin}`);
+  }
+  return lines.join("\n");
+}
+
+function usageLine(command) {
+  return `${PREFIX}${command.name}${command.usage ? ` ${command.usage}` : ""}`;
+}
+
+module.exports = { createCommandRegistry, parseCommand, formatHelp };
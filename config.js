@@ -0,0 +1,278 @@
+const fs = require("fs");
+const path = require("path");
+const { DAYS, WEEKDAYS } = require("./dates");
+
+const CONFIG_PATH =
+  process.env.CONFIG_PATH || path.join(__dirname, "config.json");
+
+// Parameters each source type needs, beyond the common id/name/type fields.
+const SOURCE_TYPES = {
+  "exeter-html": validateExeterSource,
+  "email-vision": validateEmailSource,
+  static: validateStaticSource,
+};
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// IMAP search keys a handler's menu emails can be picked out by.
+const SEARCH_FIELDS = ["subject", "from", "to"];
+
+let cachedConfig = null;
+
+/**
+ * The handler names config can pick an email+vision source by: the cafés
+ * registered in email-sources.js. Required here rather than at the top,
+ * as the email sources read the mail settings from this module.
+ */
+function emailHandlers() {
+  return Object.keys(require("./email-sources").EMAIL_SOURCES);
+}
+
+/**
+ * Read and validate the config file. Throws if it is missing or invalid.
+ */
+function loadConfig(configPath = CONFIG_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  } catch (err) {
+    throw new Error(`Could not read config ${configPath}: ${err.message}`);
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length) {
+    throw new Error(
+      `Invalid config ${configPath}:\n${errors.map((e) => `  - ${e}`).join("\n")}`,
+    );
+  }
+  return config;
+}
+
+/**
+ * Return the config from CONFIG_PATH, loading it on first use.
+ */
+function getConfig() {
+  if (!cachedConfig) cachedConfig = loadConfig();
+  return cachedConfig;
+}
+
+/**
+ * Check a parsed config object and return a list of human-readable errors.
+ */
+function validateConfig(config) {
+  if (!isObject(config)) return ["config must be a JSON object"];
+  if (!Array.isArray(config.sources) || !config.sources.length) {
+    return ["\"sources\" must be a non-empty array"];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  config.sources.forEach((source, i) => {
+    const where = `sources[${i}]`;
+    if (!isObject(source)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+
+    if (typeof source.id !== "string" || !/^[a-z0-9-]+$/.test(source.id)) {
+      errors.push(`${where}.id must be a lowercase slug (a-z, 0-9, -)`);
+    } else if (seen.has(source.id)) {
+      errors.push(`${where}.id "${source.id}" is used more than once`);
+    } else {
+      seen.add(source.id);
+    }
+
+    if (!isNonEmptyString(source.name)) {
+      errors.push(`${where}.name must be a non-empty string`);
+    }
+    for (const field of ["hours", "price", "description"]) {
+      if (source[field] !== undefined && typeof source[field] !== "string") {
+        errors.push(`${where}.${field} must be a string`);
+      }
+    }
+    if (source.numbered !== undefined && typeof source.numbered !== "boolean") {
+      errors.push(`${where}.numbered must be true or false`);
+    }
+    if (source.aliases !== undefined && !isStringArray(source.aliases)) {
+      errors.push(`${where}.aliases must be an array of strings`);
+    }
+    if (source.timeout !== undefined && !(typeof source.timeout === "number" && source.timeout > 0)) {
+      errors.push(`${where}.timeout must be a positive number of seconds`);
+    }
+
+    const validateType = SOURCE_TYPES[source.type];
+    if (!validateType) {
+      errors.push(
+        `${where}.type must be one of: ${Object.keys(SOURCE_TYPES).join(", ")}`,
+      );
+      return;
+    }
+    errors.push(...validateType(source).map((e) => `${where}.${e}`));
+  });
+
+  errors.push(...validateGroups(config.groups, seen));
+  errors.push(...validateMail(config.mail));
+  return errors;
+}
+
+/**
+ * Check the optional "groups" section against the known source ids.
+ * Command names are checked by index.js against the command registry.
+ */
+function validateGroups(groups, sourceIds) {
+  if (groups === undefined) return [];
+  if (!Array.isArray(groups) || !groups.length) {
+    return ["\"groups\" must be a non-empty array when present"];
+  }
+
+  const errors = [];
+  const names = new Set();
+  groups.forEach((group, i) => {
+    const where = `groups[${i}]`;
+    if (!isObject(group)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+
+    if (!isNonEmptyString(group.name)) {
+      errors.push(`${where}.name must be the group's WhatsApp subject`);
+    } else if (names.has(group.name)) {
+      errors.push(`${where}.name "${group.name}" is used more than once`);
+    } else {
+      names.add(group.name);
+    }
+
+    if (group.sources !== undefined) {
+      if (!isStringArray(group.sources)) {
+        errors.push(`${where}.sources must be an array of source ids`);
+      } else {
+        for (const id of group.sources.filter((id) => !sourceIds.has(id))) {
+          errors.push(`${where}.sources has unknown source "${id}"`);
+        }
+      }
+    }
+    const sendTimes = [].concat(group.sendAt ?? "11:00");
+    if (!sendTimes.length || !sendTimes.every((time) => TIME_RE.test(time))) {
+      errors.push(`${where}.sendAt must be a 24-hour time like "11:00", or a list of them`);
+    } else if (new Set(sendTimes).size !== sendTimes.length) {
+      errors.push(`${where}.sendAt lists the same time more than once`);
+    }
+    if (group.pollCutoff !== undefined) {
+      if (!TIME_RE.test(group.pollCutoff)) {
+        errors.push(`${where}.pollCutoff must be a 24-hour time like "11:45"`);
+      } else if (group.pollCutoff <= [...sendTimes].sort()[0]) {
+        // The poll follows the day's first menu.
+        errors.push(`${where}.pollCutoff must be later than the group's first sendAt`);
+      }
+    }
+    if (group.digest !== undefined) {
+      if (!isObject(group.digest) || !DAYS.includes(group.digest.day)) {
+        errors.push(`${where}.digest.day must be a day of the week, like "Sunday"`);
+      }
+      if (!isObject(group.digest) || !TIME_RE.test(group.digest.at)) {
+        errors.push(`${where}.digest.at must be a 24-hour time like "18:00"`);
+      }
+    }
+    if (group.commands !== undefined && !isStringArray(group.commands)) {
+      errors.push(`${where}.commands must be an array of command names`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Check the optional "mail" section: the IMAP server and mailbox menu
+ * emails arrive in, and how to find each handler's emails. The login
+ * stays in .env.
+ */
+function validateMail(mail) {
+  if (mail === undefined) return [];
+  if (!isObject(mail)) return ["\"mail\" must be an object when present"];
+
+  const errors = [];
+  for (const field of ["host", "mailbox"]) {
+    if (mail[field] !== undefined && !isNonEmptyString(mail[field])) {
+      errors.push(`mail.${field} must be a non-empty string`);
+    }
+  }
+  if (mail.port !== undefined && !(Number.isInteger(mail.port) && mail.port > 0 && mail.port < 65536)) {
+    errors.push("mail.port must be a port number");
+  }
+  for (const field of ["secure", "idle", "announce"]) {
+    if (mail[field] !== undefined && typeof mail[field] !== "boolean") {
+      errors.push(`mail.${field} must be true or false`);
+    }
+  }
+  if (mail.search !== undefined) {
+    if (!isObject(mail.search)) return [...errors, "mail.search must be an object keyed by handler"];
+    for (const [handler, criteria] of Object.entries(mail.search)) {
+      if (!emailHandlers().includes(handler)) {
+        errors.push(`mail.search has unknown handler "${handler}"`);
+      } else if (
+        !isObject(criteria) ||
+        Object.entries(criteria).some(([key, value]) => !SEARCH_FIELDS.includes(key) || !isNonEmptyString(value))
+      ) {
+        errors.push(`mail.search.${handler} must map ${SEARCH_FIELDS.join(", ")} to strings`);
+      }
+    }
+  }
+  return errors;
+}
+
+function validateExeterSource(source) {
+  const errors = [];
+  if (!isNonEmptyString(source.url) || !/^https?:\/\//.test(source.url)) {
+    errors.push("url must be an http(s) URL");
+  }
+  if (!isNonEmptyString(source.section)) {
+    errors.push("section must be a non-empty string");
+  }
+  for (const field of ["skipSections", "skipLines"]) {
+    if (source[field] === undefined) continue;
+    if (!Array.isArray(source[field])) {
+      errors.push(`${field} must be an array of regular expressions`);
+      continue;
+    }
+    source[field].forEach((pattern, i) => {
+      try {
+        new RegExp(pattern, "i");
+      } catch (err) {
+        errors.push(`${field}[${i}] is not a valid regular expression: ${err.message}`);
+      }
+    });
+  }
+  return errors;
+}
+
+function validateEmailSource(source) {
+  const handlers = emailHandlers();
+  if (!handlers.includes(source.handler)) {
+    return [`handler must be one of: ${handlers.join(", ")}`];
+  }
+  return [];
+}
+
+function validateStaticSource(source) {
+  const { items } = source;
+  if (isStringArray(items)) return [];
+  if (isObject(items)) {
+    return Object.entries(items)
+      .filter(([day, dayItems]) => !WEEKDAYS.includes(day) || !isStringArray(dayItems))
+      .map(([day]) => `items.${day} must be a weekday with an array of strings`);
+  }
+  return ["items must be an array of strings or an object keyed by weekday"];
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every((v) => typeof v === "string");
+}
+
+module.exports = { loadConfig, getConfig, validateConfig, CONFIG_PATH };
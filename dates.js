@@ -0,0 +1,90 @@
+const clock = require("./clock");
+
+const DAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+const WEEKDAYS = DAYS.slice(1, 6);
+
+/**
+ * Returns the Monday of the current week (at local midnight).
+ */
+function getWeekMonday(date = clock.now()) {
+  const d = new Date(date);
+  const day = d.getDay();
+  const diff = day === 0 ? -6 : 1 - day;
+  d.setDate(d.getDate() + diff);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/**
+ * Format a date as YYYY-MM-DD using its local calendar day.
+ */
+function toISODate(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+/**
+ * Return the date of a named day ("Monday"…"Sunday") in the week starting at monday.
+ */
+function dateOfWeekday(day, monday = getWeekMonday()) {
+  const d = new Date(monday);
+  d.setDate(d.getDate() + ((DAYS.indexOf(day) + 6) % 7));
+  return d;
+}
+
+/**
+ * Return a copy of date moved by the given number of days, at local midnight.
+ */
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/**
+ * Monday of the week people are asking about: this week on weekdays,
+ * next week on Saturday and Sunday.
+ */
+function getLunchWeekMonday(now = clock.now()) {
+  const day = now.getDay();
+  return day === 0 || day === 6
+    ? getWeekMonday(addDays(now, 7))
+    : getWeekMonday(now);
+}
+
+/**
+ * Resolve a day argument ("today", "tomorrow", "thursday", "thu") to a date.
+ * Weekday names refer to the lunch week (see getLunchWeekMonday).
+ * Returns null if the argument isn't a recognisable day.
+ */
+function resolveDay(arg, now = clock.now()) {
+  const word = String(arg || "today").trim().toLowerCase();
+  if (word === "today") return addDays(now, 0);
+  if (word === "tomorrow") return addDays(now, 1);
+  if (word.length < 3) return null;
+
+  const day = DAYS.find((d) => d.toLowerCase().startsWith(word));
+  return day ? dateOfWeekday(day, getLunchWeekMonday(now)) : null;
+}
+
+module.exports = {
+  DAYS,
+  WEEKDAYS,
+  getWeekMonday,
+  getLunchWeekMonday,
+  toISODate,
+  addDays,
+  dateOfWeekday,
+  resolveDay,
+};
@@ -0,0 +1,75 @@
+// Menus are composed this long before they're sent, leaving time for retries.
+const PREPARE_LEAD_MINUTES = 30;
+const PREPARE_ATTEMPTS = 4;
+const PREPARE_DELAY_MS = 60 * 1000;
+// Sends are retried for a couple of minutes while WhatsApp reconnects.
+const SEND_ATTEMPTS = 5;
+const SEND_DELAY_MS = 5 * 1000;
+const SEND_MAX_DELAY_MS = 60 * 1000;
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run `task(attempt)` until it succeeds, at most `attempts` times, waiting
+ * `delayMs` before the first retry and twice as long before each one after
+ * (up to `maxDelayMs`). Throws the last error when every attempt fails.
+ * `sleep` replaces the wait, e.g. in tests.
+ */
+async function withRetries(task, { attempts, delayMs, maxDelayMs = Infinity, label, sleep = wait }) {
+  let delay = delayMs;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (err) {
+      if (attempt >= attempts) throw err;
+      console.warn(`${label}: attempt ${attempt} of ${attempts} failed (${err.message}), retrying in ${Math.round(delay / 1000)}s...`);
+      await sleep(delay);
+      delay = Math.min(delay * 2, maxDelayMs);
+    }
+  }
+}
+
+/**
+ * Fetch a day menu ahead of its send time with `fetchDayMenu()`, trying
+ * again with backoff while any café is unavailable. When a café never
+ * comes back, the last menu fetched is returned with it still marked
+ * unavailable, so there's always a message to send. Throws only if no
+ * menu could be fetched at all.
+ */
+async function prepareDayMenu(fetchDayMenu, {
+  label,
+  attempts = PREPARE_ATTEMPTS,
+  delayMs = PREPARE_DELAY_MS,
+  sleep,
+} = {}) {
+  let dayMenu = null;
+  try {
+    await withRetries(async () => {
+      dayMenu = await fetchDayMenu();
+      const missing = dayMenu.sections.filter((section) => section.unavailable);
+      if (missing.length) throw new Error(`${missing.map((s) => s.source.name).join(", ")} unavailable`);
+    }, { attempts, delayMs, label, sleep });
+  } catch (err) {
+    if (!dayMenu) throw err;
+    console.warn(`${label}: going ahead without every café (${err.message}).`);
+  }
+  return dayMenu;
+}
+
+/**
+ * Send a message with `send()`, retrying with backoff if it fails, e.g.
+ * while the WhatsApp socket reconnects.
+ */
+function sendWithRetries(send, {
+  label,
+  attempts = SEND_ATTEMPTS,
+  delayMs = SEND_DELAY_MS,
+  maxDelayMs = SEND_MAX_DELAY_MS,
+  sleep,
+} = {}) {
+  return withRetries(send, { attempts, delayMs, maxDelayMs, label, sleep });
+}
+
+module.exports = { withRetries, prepareDayMenu, sendWithRetries, PREPARE_LEAD_MINUTES };
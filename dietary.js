@@ -0,0 +1,125 @@
+// Dietary filters users can ask for, and the item tags that satisfy each.
+// Vegan dishes are vegetarian too, so "VG" counts for both.
+const DIETS = {
+  veg: { label: "vegetarian", tags: ["V", "VG"], aliases: ["v", "vegetarian", "veggie"] },
+  vegan: { label: "vegan", tags: ["VG"], aliases: ["vg", "ve", "plant-based"] },
+  gf: { label: "gluten-free", tags: ["GF"], aliases: ["gluten-free", "glutenfree", "coeliac"] },
+  df: { label: "dairy-free", tags: ["DF"], aliases: ["dairy-free", "dairyfree"] },
+  halal: { label: "halal", tags: ["H"], aliases: ["h"] },
+};
+
+// Canonical order tags are listed in, whatever order the menu used.
+const TAG_ORDER = ["V", "VG", "GF", "DF", "H"];
+
+// Markers menus put in brackets after a dish, e.g. "(V)", "(v, gf)", "[Vegan]".
+const MARKERS = {
+  v: "V",
+  veg: "V",
+  veggie: "V",
+  vegetarian: "V",
+  vg: "VG",
+  ve: "VG",
+  vegan: "VG",
+  pb: "VG",
+  "plant based": "VG",
+  gf: "GF",
+  "gluten free": "GF",
+  df: "DF",
+  "dairy free": "DF",
+  h: "H",
+  halal: "H",
+};
+
+// Marker codes written bare at the end of a dish after a dash or comma, e.g.
+// "Tomato Soup - V" or "Falafel Wrap, VG GF". Without the separator a code
+// may be part of the name ("Vitamin H"), and the codes are case-sensitive
+// so ordinary words aren't mistaken for tags.
+const TRAILING_CODES_RE = /(?:\s+[-–—]\s*|\s*,\s*)((?:V|VG|Ve|VE|GF|DF|H)(?:[\s,/]+(?:V|VG|Ve|VE|GF|DF|H))*)$/;
+
+// Words that are part of a dish name but still tell us its diet.
+const NAME_WORDS = [
+  [/\bvegan\b|\bplant[- ]based\b/i, "VG"],
+  [/\bvegetarian\b|\bveggie\b/i, "V"],
+  [/\bgluten[- ]free\b/i, "GF"],
+  [/\bdairy[- ]free\b/i, "DF"],
+  [/\bhalal\b/i, "H"],
+];
+
+function toMarkerTags(text) {
+  const tokens = text
+    .toLowerCase()
+    .replace(/[-_]/g, " ")
+    .split(/\s*(?:[,/&+]|\band\b)\s*/)
+    .map((token) => token.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+  const tags = [];
+  for (const token of tokens) {
+    const words = MARKERS[token] ? [token] : token.split(" ");
+    if (!words.every((word) => MARKERS[word])) return null;
+    tags.push(...words.map((word) => MARKERS[word]));
+  }
+  return tags.length ? tags : null;
+}
+
+/**
+ * Pull dietary markers out of a dish name. Bracketed and trailing markers
+ * ("Dal (VG, GF)", "Falafel Wrap - V") are removed from the name; words that
+ * belong to the name ("Vegan Chilli") are kept but still tagged.
+ * Returns { name, tags } with tags in canonical order.
+ */
+function extractTags(text) {
+  const found = new Set();
+  let name = text.replace(/\s*[([]([^()[\]]+)[)\]]/g, (group, inner) => {
+    const tags = toMarkerTags(inner);
+    if (!tags) return group;
+    tags.forEach((tag) => found.add(tag));
+    return "";
+  });
+
+  const trailing = name.match(TRAILING_CODES_RE);
+  if (trailing) {
+    toMarkerTags(trailing[1].replace(/\s+/g, ",")).forEach((tag) => found.add(tag));
+    name = name.slice(0, trailing.index);
+  }
+
+  for (const [pattern, tag] of NAME_WORDS) {
+    if (pattern.test(name)) found.add(tag);
+  }
+
+  return { name: name.trim(), tags: sortTags([...found]) };
+}
+
+function sortTags(tags) {
+  return [...new Set(tags)].sort((a, b) => TAG_ORDER.indexOf(a) - TAG_ORDER.indexOf(b));
+}
+
+/**
+ * Resolve a diet name or alias ("vegetarian", "GF") to its key, or null.
+ */
+function findDiet(word) {
+  const lower = String(word || "").toLowerCase();
+  return (
+    Object.keys(DIETS).find((key) => key === lower || DIETS[key].aliases.includes(lower)) ||
+    null
+  );
+}
+
+function matchesDiet(item, diet) {
+  return DIETS[diet].tags.some((tag) => item.tags.includes(tag));
+}
+
+/**
+ * Keep only the items in a day menu that suit the diet. A null diet keeps everything.
+ */
+function filterDayMenu(dayMenu, diet) {
+  if (!diet) return dayMenu;
+  return {
+    ...dayMenu,
+    sections: dayMenu.sections.map((section) => ({
+      ...section,
+      items: section.items.filter((item) => matchesDiet(item, diet)),
+    })),
+  };
+}
+
+module.exports = { DIETS, extractTags, sortTags, findDiet, matchesDiet, filterDayMenu };
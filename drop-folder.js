@@ -0,0 +1,168 @@
+const fs = require("fs");
+const path = require("path");
+const { simpleParser } = require("mailparser");
+const { EMAIL_SOURCES } = require("./email-sources");
+const { getWeekMonday } = require("./dates");
+const { searchCriteria } = require("./mailbox");
+
+const DROP_DIR = path.join(__dirname, "data", "inbox");
+const SETTLE_MS = 2000;
+
+// Menu files dropped on their own, by extension.
+const FILE_TYPES = { png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", pdf: "application/pdf" };
+// "<handler>[-YYYY-MM-DD]" before the extension, e.g. blavatnik-2026-10-19.png
+const NAME_RE = /^([a-z]+)(?:-(\d{4}-\d{2}-\d{2}))?$/i;
+
+/**
+ * Work out what a dropped file holds from its name: the handler, the
+ * date in the name (if any) and its extension. Returns null for files
+ * the drop folder doesn't handle. An .eml without a handler prefix gets
+ * handler null and is matched by subject once it's read.
+ */
+function parseFileName(name, handlers = EMAIL_SOURCES) {
+  const ext = path.extname(name).slice(1).toLowerCase();
+  if (ext !== "eml" && !FILE_TYPES[ext]) return null;
+
+  const match = path.basename(name, path.extname(name)).match(NAME_RE);
+  const handler = match && handlers[match[1].toLowerCase()] ? match[1].toLowerCase() : null;
+  const date = handler ? match[2] || null : null;
+  if (date && Number.isNaN(new Date(`${date}T00:00:00`).getTime())) return null;
+  if (!handler && ext !== "eml") return null;
+  return { handler, date, ext };
+}
+
+/**
+ * The handler whose menu emails have this subject: the one in its
+ * mail.search criteria when they set one, otherwise its usual subject.
+ */
+function handlerForSubject(subject, handlers, settings) {
+  const lower = String(subject || "").toLowerCase();
+  const matches = (name) => {
+    const usual = handlers[name].EMAIL_SUBJECT;
+    const wanted = searchCriteria(name, usual, settings).subject || usual;
+    return Boolean(wanted) && lower.includes(wanted.toLowerCase());
+  };
+  return Object.keys(handlers).find(matches) || null;
+}
+
+/**
+ * Ingest one dropped file through the same pipeline as Gmail. Images and
+ * PDFs are saved as the menu for the week of the date in their name (this
+ * week without one); emails for the week their send date implies. Returns
+ * { handler, saved }. Throws when the file can't be matched to a source.
+ * `settings` replaces the config's mail settings, whose searches give the
+ * subjects emails are matched by.
+ */
+async function ingestFile(
+  filePath,
+  { handlers = EMAIL_SOURCES, settings, force = false, anthropic } = {},
+) {
+  const name = path.basename(filePath);
+  const info = parseFileName(name, handlers);
+  if (!info) {
+    const names = Object.keys(handlers).join("|");
+    throw new Error(`Unrecognised file "${name}": use <${names}>[-YYYY-MM-DD].png, .jpg or .pdf, or an .eml`);
+  }
+
+  const content = fs.readFileSync(filePath);
+  const dateMonday = info.date ? getWeekMonday(new Date(`${info.date}T00:00:00`)) : null;
+
+  if (info.ext !== "eml") {
+    const attachment = { filename: name, contentType: FILE_TYPES[info.ext], content, size: content.length };
+    const monday = dateMonday || getWeekMonday();
+    const saved = await handlers[info.handler].ingestAttachments([attachment], { monday, force, anthropic });
+    return { handler: info.handler, saved };
+  }
+
+  const parsed = await simpleParser(content);
+  const handler = info.handler || handlerForSubject(parsed.subject, handlers, settings);
+  if (!handler) throw new Error(`No source matches the subject of "${name}" ("${parsed.subject || ""}")`);
+  const ingester = handlers[handler];
+  const monday = dateMonday || (parsed.date ? ingester.emailWeek(parsed.date) : getWeekMonday());
+  const saved = await ingester.ingestEmail(parsed, { monday, force, anthropic });
+  return { handler, saved };
+}
+
+/**
+ * Ingest a file sitting in the drop folder, then move it into processed/
+ * or, if it held no usable menu, failed/. Files the folder doesn't handle
+ * are left alone.
+ */
+async function processDroppedFile(dir, name, options = {}) {
+  const filePath = path.join(dir, name);
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) return null;
+  if (!parseFileName(name, options.handlers)) {
+    if (!name.startsWith(".")) console.log(`Drop folder: ignoring "${name}".`);
+    return null;
+  }
+
+  let result = { handler: null, saved: false };
+  try {
+    result = await ingestFile(filePath, options);
+  } catch (err) {
+    console.error(`Drop folder: couldn't ingest "${name}":`, err.message);
+  }
+  const target = path.join(dir, result.saved ? "processed" : "failed");
+  fs.mkdirSync(target, { recursive: true });
+  fs.renameSync(filePath, path.join(target, name));
+  console.log(`Drop folder: ${result.saved ? "ingested" : "no menu saved from"} "${name}".`);
+  return result;
+}
+
+/**
+ * Watch `dir` (default data/inbox, or MENU_DROP_DIR) and ingest menu
+ * files as they're dropped in, plus any already waiting. Files are
+ * handled one at a time, once they've stopped changing for `settleMs`.
+ * Returns the fs.FSWatcher.
+ */
+function watchDropFolder({ dir = process.env.MENU_DROP_DIR || DROP_DIR, settleMs = SETTLE_MS, ...options } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const timers = new Map();
+  let queue = Promise.resolve();
+
+  const schedule = (name) => {
+    clearTimeout(timers.get(name));
+    timers.set(
+      name,
+      setTimeout(() => {
+        timers.delete(name);
+        queue = queue
+          .then(() => processDroppedFile(dir, name, options))
+          .catch((err) => console.error(`Drop folder: error handling "${name}":`, err.message));
+      }, settleMs),
+    );
+  };
+
+  for (const name of fs.readdirSync(dir)) schedule(name);
+  const watcher = fs.watch(dir, (event, name) => {
+    if (name) schedule(name);
+  });
+  console.log(`Drop folder: watching ${dir} for menu files.`);
+  return watcher;
+}
+
+module.exports = { watchDropFolder, ingestFile, processDroppedFile, parseFileName, DROP_DIR };
+
+// `node drop-folder.js <file>...` ingests files once, without moving them.
+if (require.main === module) {
+  require("dotenv").config();
+  const files = process.argv.slice(2);
+  if (!files.length) {
+    console.error("Usage: node drop-folder.js <file>...");
+    process.exit(1);
+  }
+  (async () => {
+    let failed = false;
+    for (const file of files) {
+      try {
+        const { handler, saved } = await ingestFile(file);
+        console.log(`${file}: ${saved ? `saved as the ${handler} menu` : "no menu saved"}`);
+        failed ||= !saved;
+      } catch (err) {
+        console.error(`${file}: ${err.message}`);
+        failed = true;
+      }
+    }
+    process.exit(failed ? 1 : 0);
+  })();
+}
@@ -0,0 +1,177 @@
+const cheerio = require("cheerio");
+const { normalize } = require("./fuzzy");
+const { validateMenu, isNonDish } = require("./vision");
+
+// Block elements that start a new line when an HTML body is read as text.
+const BLOCK_TAGS = "p, div, li, h1, h2, h3, h4, h5, h6, tr, table, ul, ol";
+// How a menu email signs off; nothing after it is a dish.
+const SIGN_OFF_RE = /^((kind|best|warm) )?regards\b|^(many )?thanks\b|^thank you\b|^best wishes\b|^cheers\b/i;
+// Separators between dishes on one line: "Katsu Curry | Bean Chilli; Salad"
+const DISH_SEPARATOR_RE = /\t+|\s+[|/•]\s+|;\s*/;
+const MAX_HEADING_LENGTH = 40;
+
+/**
+ * Read a menu pasted into an email instead of attached: an HTML table,
+ * headings followed by lists or lines, or the same in plain text. The
+ * result has the source's schema keys (weekdays or categories) mapped to
+ * dishes, as Vision would return. Returns null unless the body holds a
+ * menu that passes `schema`, so the caller can fall back to Vision.
+ */
+function parseMenuBody({ html, text }, schema) {
+  const attempts = [];
+  if (html) attempts.push(() => parseMenuHtml(html, schema.keys));
+  if (text) attempts.push(() => parseMenuText(text, schema.keys));
+  for (const attempt of attempts) {
+    const menu = attempt();
+    if (Object.keys(menu).length && !validateMenu(menu, schema).length) return menu;
+  }
+  return null;
+}
+
+/**
+ * Parse an HTML body: tables first, in either layout (keys across the top
+ * or down the side), then whatever text is left, line by line.
+ */
+function parseMenuHtml(html, keys) {
+  const $ = cheerio.load(html);
+  $("head, style, script").remove();
+  $("br").replaceWith("\n");
+  $(BLOCK_TAGS).before("\n").after("\n");
+
+  const menu = {};
+  // Emails often lay out the whole page in tables; only innermost tables hold data.
+  $("table")
+    .filter((_, table) => !$(table).find("table").length)
+    .each((_, table) => {
+      const rows = $(table)
+        .find("tr")
+        .toArray()
+        .map((tr) => $(tr).children("td, th").toArray().map((cell) => $(cell).text()));
+      if (addDishes(menu, parseRows(rows, keys))) $(table).remove();
+    });
+
+  addDishes(menu, parseMenuLines($.root().text().split("\n"), keys));
+  return menu;
+}
+
+/**
+ * Parse a plain-text body line by line.
+ */
+function parseMenuText(text, keys) {
+  return parseMenuLines(text.split(/\r?\n/), keys);
+}
+
+/**
+ * Read table rows (arrays of cell text) laid out with the keys as column
+ * headings, or with a key at the start of each row.
+ */
+function parseRows(rows, keys) {
+  const menu = {};
+  const headerIndex = rows.findIndex((cells) => cells.filter((cell) => headingKey(cell, keys)).length >= 2);
+  if (headerIndex >= 0) {
+    const columns = rows[headerIndex].map((cell) => headingKey(cell, keys));
+    for (const cells of rows.slice(headerIndex + 1)) {
+      cells.forEach((cell, i) => {
+        if (columns[i]) addDishes(menu, { [columns[i]]: cellDishes(cell) });
+      });
+    }
+    return menu;
+  }
+
+  for (const [first, ...rest] of rows) {
+    const key = first !== undefined && headingKey(first, keys);
+    if (key) addDishes(menu, { [key]: rest.flatMap(cellDishes) });
+  }
+  return menu;
+}
+
+/**
+ * Read lines where a heading naming a key ("Monday", "STEP 1: CHOOSE YOUR
+ * BASE", "Tuesday: Lentil Dhal") starts that key's dishes, one or more per
+ * line. Text before the first heading is ignored, and prose or a sign-off
+ * ends the current key.
+ */
+function parseMenuLines(lines, keys) {
+  const menu = {};
+  let current = null;
+  for (const raw of lines) {
+    const line = cleanLine(raw);
+    if (!line) continue;
+
+    const inline = line.match(/^([^:\t]+)[:\t]\s*(.*)$/);
+    const key = headingKey(line, keys) || (inline && headingKey(inline[1], keys));
+    if (key) {
+      current = key;
+      const rest = headingKey(line, keys) ? "" : inline[2];
+      addDishes(menu, { [key]: splitDishes(rest) });
+    } else if (SIGN_OFF_RE.test(line) || isProse(line)) {
+      current = null;
+    } else if (current) {
+      addDishes(menu, { [current]: splitDishes(line) });
+    }
+  }
+  return menu;
+}
+
+/**
+ * The key a heading names, or null. Ignores case, "&" for "and", plurals,
+ * "Step 1" and "Choose your" prefixes, dates after a weekday ("Monday 20th
+ * October") and weekday abbreviations ("Tues").
+ */
+function headingKey(text, keys) {
+  if (text.length > MAX_HEADING_LENGTH) return null;
+  const heading = headingWords(text)
+    .replace(/^step \d+ /, "")
+    .replace(/^(choose|select|pick) (your |a |an |any \w+ )?/, "")
+    .replace(/ \d{1,2}(st|nd|rd|th)?( [a-z]+)?( \d{1,4}){0,2}$/, "");
+  if (!heading) return null;
+  const singular = (words) => words.replace(/s$/, "");
+  return (
+    keys.find((key) => {
+      const words = headingWords(key);
+      if (singular(words) === singular(heading)) return true;
+      return words.endsWith("day") && heading.length >= 3 && words.startsWith(heading);
+    }) || null
+  );
+}
+
+function headingWords(text) {
+  return normalize(text.replace(/&/g, " and "));
+}
+
+/** The dishes in a table cell, one per line. */
+function cellDishes(cell) {
+  return cell.split("\n").flatMap((line) => splitDishes(cleanLine(line)));
+}
+
+function splitDishes(text) {
+  return text
+    .split(DISH_SEPARATOR_RE)
+    .map(cleanLine)
+    .filter((dish) => dish && !isNonDish(dish));
+}
+
+/** Trim a line and drop list bullets and numbering. */
+function cleanLine(text) {
+  return text
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^([•·*\-–—]+|\d+[.)])\s*/, "")
+    .trim();
+}
+
+/** A sentence rather than a dish, such as "Please let us know of any allergies." */
+function isProse(line) {
+  return line.length > 80 || (/[.!?]$/.test(line) && line.split(" ").length >= 6);
+}
+
+function addDishes(menu, found) {
+  let added = false;
+  for (const [key, dishes] of Object.entries(found)) {
+    menu[key] = [...(menu[key] || []), ...dishes];
+    added = true;
+  }
+  return added;
+}
+
+module.exports = { parseMenuBody, parseMenuHtml, parseMenuText };
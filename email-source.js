@@ -0,0 +1,399 @@
+const { simpleParser } = require("mailparser");
+const sharp = require("sharp");
+const fs = require("fs");
+const path = require("path");
+const { DAYS, WEEKDAYS, getWeekMonday, toISODate, dateOfWeekday, addDays } = require("./dates");
+const clock = require("./clock");
+const { emitMenuItems } = require("./menu-events");
+const { cachedParse } = require("./vision-cache");
+const { parseMenuWithVision } = require("./vision");
+const { mailSettings, mailCredentials, createImapClient, searchCriteria } = require("./mailbox");
+const { parseMenuBody } = require("./email-body");
+const { menuCandidates, isMenuAttachment, PDF_TYPE } = require("./attachments");
+
+const DATA_DIR = path.join(__dirname, "data");
+// Claude Vision takes images up to 5MB once base64-encoded.
+const MAX_IMAGE_SIZE = 4 * 1024 * 1024;
+const STALE_NOTE = "Menu not yet updated this week";
+
+/**
+ * A café whose menu is emailed each week, as a body table or list or as
+ * an image or PDF attachment read with Claude Vision. Everything that
+ * differs between cafés is declared here:
+ *
+ * - id: the handler name config.json's email-vision sources use; also
+ *   names the cache file (data/<id>-menu.json) and the Vision cache entries
+ * - label: the name at the start of log lines, e.g. "Blavatnik"
+ * - subject: what the mailbox is searched for, unless the config's
+ *   mail.search.<id> says otherwise
+ * - weekOffset: how many weeks after the week it's sent an email's menu
+ *   starts (1 for a Friday email covering next week)
+ * - prompt, promptVersion, schema: the Vision prompt, its version (bump it
+ *   when the prompt or schema changes so cached parses are redone) and
+ *   the shape a menu must pass (see validateMenu)
+ * - toItems(menu, { source, date, day }): one day's MenuItems from a menu
+ *
+ * Returns the source's fetch(), fetchWeek(), checkForNewMenu(),
+ * ingestEmail(), ingestAttachments(), parseMenuImage() and emailWeek(),
+ * with its EMAIL_SUBJECT and MENU_SCHEMA.
+ */
+function createEmailSource({ id, label, subject, weekOffset = 0, prompt, promptVersion, schema, toItems }) {
+  const menuPath = path.join(DATA_DIR, `${id}-menu.json`);
+  // The mailbox check under way, if any, which later callers wait on
+  // rather than opening a connection and parsing the same image again.
+  let checking = null;
+
+  /**
+   * Connect to the mailbox via IMAP, find the newest menu email for this
+   * week (or failing that an earlier one) and save its menu.
+   * Images already parsed with the current prompt come from the Vision
+   * cache unless `force` is set. `anthropic` replaces the Anthropic client.
+   * Returns whether the mailbox could be checked, whether or not it held
+   * a new menu. Only one check runs at a time: a call made while one is
+   * under way gets that check's result.
+   */
+  function checkForNewMenu(options = {}) {
+    if (!checking) {
+      checking = checkMailbox(options).finally(() => {
+        checking = null;
+      });
+    }
+    return checking;
+  }
+
+  async function checkMailbox({ force = false, anthropic } = {}) {
+    const auth = mailCredentials();
+    if (!auth || !(process.env.ANTHROPIC_API_KEY || anthropic)) {
+      console.warn(`${label}: missing GMAIL_USER, GMAIL_APP_PASSWORD, or ANTHROPIC_API_KEY — skipping.`);
+      return false;
+    }
+
+    const settings = mailSettings();
+    const client = createImapClient({ settings, auth });
+
+    try {
+      await client.connect();
+      const lock = await client.getMailboxLock(settings.mailbox);
+      try {
+        await ingestLatestEmail(client, settings, { force, anthropic });
+      } finally {
+        lock.release();
+      }
+      return true;
+    } catch (err) {
+      console.error(`${label}: IMAP error:`, err.message);
+      return false;
+    } finally {
+      await client.logout().catch(() => client.close());
+    }
+  }
+
+  async function ingestLatestEmail(client, settings, options) {
+    const messages = await client.search(searchCriteria(id, subject, settings), { uid: true });
+    if (!messages.length) {
+      console.log(`${label}: no menu emails found.`);
+      return;
+    }
+
+    const currentMonday = getWeekMonday();
+    // Newest first; an email for a week that hasn't started is left to the
+    // mailbox watcher or drop folder.
+    for (const uid of [...messages].reverse()) {
+      const raw = await client.download(uid, undefined, { uid: true });
+      const parsed = await simpleParser(raw.content);
+      const monday = parsed.date ? emailWeek(parsed.date) : currentMonday;
+
+      if (monday > currentMonday) {
+        console.log(`${label}: email from ${parsed.date.toDateString()} is for a future week, trying older...`);
+        continue;
+      }
+      if (!parsed.attachments.some(isMenuAttachment) && !parseMenuBody(parsed, schema)) {
+        console.log(`${label}: no menu in this email's body or attachments, trying older...`);
+        continue;
+      }
+      if (monday < currentMonday) {
+        console.log(`${label}: no email for this week yet, using the one from ${parsed.date.toDateString()}.`);
+      }
+      await ingestEmail(parsed, { monday, ...options });
+      return;
+    }
+
+    console.log(`${label}: no suitable email found for the current week.`);
+  }
+
+  /**
+   * The Monday of the week an email's menu covers.
+   */
+  function emailWeek(emailDate) {
+    return addDays(getWeekMonday(emailDate), 7 * weekOffset);
+  }
+
+  /**
+   * Save the menu in an email (as from mailparser) for the week starting
+   * `monday`: from the body when it's pasted in as a table or list, which
+   * needs no Vision call, otherwise from the attachments. Used for Gmail,
+   * the mailbox watcher and emails dropped in the drop folder. Returns
+   * whether a menu was saved.
+   */
+  async function ingestEmail(parsed, { monday = getWeekMonday(), ...options } = {}) {
+    const menuData = parseMenuBody(parsed, schema);
+    if (menuData) {
+      console.log(`${label}: read the menu from the email body.`);
+      storeMenu(menuData, monday);
+      return true;
+    }
+    return ingestAttachments(parsed.attachments, { monday, ...options });
+  }
+
+  /**
+   * Parse menu attachments ({ filename, contentType, content, size }, as
+   * from mailparser), images whole and PDFs page by page, and save the
+   * first that yields a menu as the menu for the week starting `monday`.
+   * Used by ingestEmail and for files dropped in the drop folder. Returns
+   * whether a menu was saved.
+   */
+  async function ingestAttachments(attachments, { monday = getWeekMonday(), force = false, anthropic } = {}) {
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    if (!apiKey && !anthropic) {
+      console.warn(`${label}: missing ANTHROPIC_API_KEY — skipping.`);
+      return false;
+    }
+
+    const candidates = await menuCandidates(attachments, label);
+    if (!candidates.length) {
+      console.log(`${label}: no image or PDF attachment to parse.`);
+      return false;
+    }
+
+    // Try each image or page until one yields actual menu data
+    for (const candidate of candidates) {
+      console.log(`${label}: trying ${candidate.name}...`);
+      const menuData = await cachedParse(candidate.content, {
+        source: id,
+        promptVersion,
+        force,
+        parse: () =>
+          parseMenuImage(candidate.content, { mediaType: candidate.contentType, apiKey, client: anthropic }),
+      });
+      if (hasDishes(menuData)) {
+        storeMenu(menuData, monday);
+        return true;
+      }
+    }
+
+    console.log(`${label}: no menu data found in any attachment or page.`);
+    return false;
+  }
+
+  /**
+   * Save a parsed menu for the week starting `monday` and announce its items.
+   */
+  function storeMenu(menuData, monday) {
+    saveMenu(menuData, monday);
+    console.log(`${label}: menu saved successfully.`);
+    emitMenuItems(id, weekItems(menuData, monday));
+  }
+
+  /**
+   * Send the image (or single-page PDF) buffer to Claude Vision API and
+   * extract structured menu data. Returns null when Claude can't produce a
+   * menu that passes the schema. `client` replaces the Anthropic client,
+   * e.g. with a stub in tests.
+   */
+  async function parseMenuImage(imageBuffer, { mediaType = "image/png", apiKey, client } = {}) {
+    if (mediaType !== PDF_TYPE && imageBuffer.length > MAX_IMAGE_SIZE) {
+      console.log(`${label}: compressing image (${Math.round(imageBuffer.length / 1024)}KB → `);
+      imageBuffer = await sharp(imageBuffer)
+        .resize({ width: 2000, withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+      mediaType = "image/jpeg";
+      console.log(`${Math.round(imageBuffer.length / 1024)}KB)`);
+    }
+
+    return parseMenuWithVision(imageBuffer, { label, prompt, schema, mediaType, apiKey, client });
+  }
+
+  /**
+   * Save parsed menu data to disk, tagged with the Monday of its week
+   * (by default the current one). A menu for a later week is kept under
+   * "upcoming", so an early email doesn't replace the menu still being served.
+   */
+  function saveMenu(menuData, monday = getWeekMonday()) {
+    let cached = {};
+    try {
+      cached = readCache();
+    } catch {
+      // No usable cache yet
+    }
+    const week = { weekCommencing: monday.toISOString(), menu: menuData };
+    const payload = monday > getWeekMonday()
+      ? { ...cached, upcoming: week }
+      : { ...week, lastChecked: clock.now().toDateString(), upcoming: cached.upcoming };
+    fs.mkdirSync(path.dirname(menuPath), { recursive: true });
+    fs.writeFileSync(menuPath, JSON.stringify(payload, null, 2));
+  }
+
+  /**
+   * Read the cache file, with an upcoming menu taking over once its week
+   * has started. Throws if the file is missing or corrupt.
+   */
+  function readCache() {
+    const cached = JSON.parse(fs.readFileSync(menuPath, "utf-8"));
+    const { upcoming } = cached;
+    if (!upcoming || new Date(upcoming.weekCommencing) > getWeekMonday()) return cached;
+    return { ...upcoming, lastChecked: cached.lastChecked };
+  }
+
+  /**
+   * Whether the mailbox needs checking: there's no menu for this week and
+   * it hasn't been checked today.
+   */
+  function needsRefresh() {
+    if (!fs.existsSync(menuPath)) return true;
+    try {
+      const cached = readCache();
+      const cachedMonday = cached.weekCommencing ? new Date(cached.weekCommencing).toDateString() : null;
+      return cachedMonday !== getWeekMonday().toDateString() && cached.lastChecked !== clock.now().toDateString();
+    } catch {
+      // Corrupted file, will refresh
+      return true;
+    }
+  }
+
+  /**
+   * Update lastChecked in the cache file to avoid re-checking Gmail repeatedly.
+   */
+  function updateLastChecked() {
+    if (!fs.existsSync(menuPath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(menuPath, "utf-8"));
+      data.lastChecked = clock.now().toDateString();
+      fs.writeFileSync(menuPath, JSON.stringify(data, null, 2));
+    } catch { /* ignore */ }
+  }
+
+  /**
+   * Every weekday's MenuItems from a parsed menu, for the week starting `monday`.
+   */
+  function weekItems(menuData, monday, source = id) {
+    return WEEKDAYS.flatMap((day) => dayItems(menuData, day, monday, source));
+  }
+
+  function dayItems(menuData, day, monday, source) {
+    return toItems(menuData, { source, day, date: toISODate(dateOfWeekday(day, monday)) });
+  }
+
+  /**
+   * Read the cached menu and return the items for `date` as a SourceMenu.
+   * Checks the mailbox only when the cached week differs from the current
+   * week, at most once a day. Last week's menu stands in (with a note) for
+   * days this week until the new one arrives, and next week's shows once
+   * its email is in; other weeks return nothing. With `fallback`, a day
+   * with no menu shows the next available day instead. Throws when there's
+   * no usable menu and the mailbox couldn't be checked (see loadWeek).
+   */
+  async function fetch(date = clock.now(), { source = id, fallback = true } = {}) {
+    const empty = { items: [], notes: [] };
+    const requestedMonday = getWeekMonday(date);
+    const week = await loadWeek(requestedMonday);
+    if (!week) return empty;
+
+    const today = DAYS[date.getDay()];
+    const items = dayItems(week.menu, today, requestedMonday, source);
+    if (items.length) return { items, notes: week.notes, ...week.flags };
+    if (!fallback) return empty;
+
+    // Today not in menu — find the next available weekday
+    const todayIdx = WEEKDAYS.indexOf(today);
+    const hasItems = (day) => dayItems(week.menu, day, requestedMonday, source).length > 0;
+    const fallbackDay =
+      WEEKDAYS.find((day, i) => i > todayIdx && hasItems(day)) || WEEKDAYS.find(hasItems);
+
+    if (!fallbackDay) return empty;
+    return {
+      items: dayItems(week.menu, fallbackDay, requestedMonday, source),
+      notes: [...week.notes, `Next available: ${fallbackDay}`],
+      ...week.flags,
+    };
+  }
+
+  /**
+   * Like fetch() without fallbacks, for every weekday of the week
+   * containing `date` at once: one SourceMenu per weekday, Monday first.
+   */
+  async function fetchWeek(date = clock.now(), { source = id } = {}) {
+    const monday = getWeekMonday(date);
+    const week = await loadWeek(monday);
+    return WEEKDAYS.map((day) => {
+      const items = week ? dayItems(week.menu, day, monday, source) : [];
+      return items.length ? { items, notes: week.notes, ...week.flags } : { items, notes: [] };
+    });
+  }
+
+  /**
+   * Check the mailbox if the menu is due a refresh, then return the cached
+   * menu for the week starting `monday` (see menuForWeek). Throws, so the
+   * café shows as unavailable rather than as having no menu, when the cache
+   * is corrupt or when nothing is cached and the mailbox couldn't be checked.
+   */
+  async function loadWeek(monday) {
+    let checked = true;
+    if (needsRefresh()) {
+      checked = await checkForNewMenu();
+      if (checked) updateLastChecked();
+    }
+
+    if (!fs.existsSync(menuPath)) {
+      if (!checked) throw new Error("couldn't check the mailbox and no menu is saved");
+      return null;
+    }
+    try {
+      return menuForWeek(monday);
+    } catch (err) {
+      throw new Error(`saved menu is unreadable (${err.message})`);
+    }
+  }
+
+  /**
+   * The cached menu that answers for the week starting `monday`, with the
+   * notes and flags its days carry, or null if there's none. Throws if the
+   * cache is corrupt.
+   */
+  function menuForWeek(monday) {
+    const cached = readCache();
+    // A menu already in for a later week answers for that week.
+    const upcomingMonday = cached.upcoming && new Date(cached.upcoming.weekCommencing).toDateString();
+    const week = upcomingMonday === monday.toDateString() ? cached.upcoming : cached;
+    const cachedMonday = week.weekCommencing ? getWeekMonday(new Date(week.weekCommencing)) : null;
+    const stale = cachedMonday?.toDateString() !== monday.toDateString();
+    if (stale && monday.toDateString() !== getWeekMonday().toDateString()) return null;
+    if (!isObject(week.menu)) throw new Error("no menu in the file");
+    return stale
+      ? { menu: week.menu, notes: [STALE_NOTE], flags: { stale: true } }
+      : { menu: week.menu, notes: [], flags: {} };
+  }
+
+  return {
+    id,
+    fetch,
+    fetchWeek,
+    checkForNewMenu,
+    ingestEmail,
+    ingestAttachments,
+    parseMenuImage,
+    emailWeek,
+    EMAIL_SUBJECT: subject,
+    MENU_SCHEMA: schema,
+  };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function hasDishes(menuData) {
+  return Boolean(menuData) && Object.values(menuData).some((dishes) => Array.isArray(dishes) && dishes.length > 0);
+}
+
+module.exports = { createEmailSource };
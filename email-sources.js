@@ -0,0 +1,9 @@
+const blavatnik = require("./blavatnik");
+const schwarzman = require("./schwarzman");
+
+// Emailed menus by the handler name config.json's email-vision sources
+// use (see email-source.js). A new emailed café only needs adding here;
+// config.js accepts exactly these names.
+const EMAIL_SOURCES = { blavatnik, schwarzman };
+
+module.exports = { EMAIL_SOURCES };
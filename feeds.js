@@ -0,0 +1,214 @@
+const fs = require("fs");
+const path = require("path");
+const { renderHtmlSections, escapeHtml, formatDate } = require("./render");
+const { addDays, toISODate } = require("./dates");
+const clock = require("./clock");
+
+const PRODUCT_ID = "-//oxford_lunch_menus//Lunch Menu//EN";
+const UID_DOMAIN = "oxford-lunch-menus";
+const HOURS_RE = /^(\d{1,2})[:.](\d{2})\s*[–—-]\s*(\d{1,2})[:.](\d{2})$/;
+
+// Europe/London with the current EU/UK daylight saving rules.
+const LONDON_TIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  "TZID:Europe/London",
+  "BEGIN:DAYLIGHT",
+  "TZOFFSETFROM:+0000",
+  "TZOFFSETTO:+0100",
+  "TZNAME:BST",
+  "DTSTART:19700329T010000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+  "END:DAYLIGHT",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:+0100",
+  "TZOFFSETTO:+0000",
+  "TZNAME:GMT",
+  "DTSTART:19701025T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+// --- iCalendar ---
+
+function escapeICal(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\n/g, "\\n");
+}
+
+/**
+ * Fold a content line to 75 octets as RFC 5545 requires, without
+ * splitting multi-byte characters.
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75; // continuation lines start with a space
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function compactDate(isoDate) {
+  return isoDate.replace(/-/g, "");
+}
+
+function utcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Event start/end lines: the café's opening hours when they parse
+ * ("12:00–13:30"), otherwise an all-day event.
+ */
+function eventTimes(isoDate, hours) {
+  const match = String(hours || "").match(HOURS_RE);
+  if (!match) {
+    const next = toISODate(addDays(new Date(`${isoDate}T00:00:00`), 1));
+    return [`DTSTART;VALUE=DATE:${compactDate(isoDate)}`, `DTEND;VALUE=DATE:${compactDate(next)}`];
+  }
+  const [, startH, startM, endH, endM] = match;
+  const time = (h, m) => `${compactDate(isoDate)}T${h.padStart(2, "0")}${m}00`;
+  return [
+    `DTSTART;TZID=Europe/London:${time(startH, startM)}`,
+    `DTEND;TZID=Europe/London:${time(endH, endM)}`,
+  ];
+}
+
+function itemLines(source, items) {
+  return items.map((item) => {
+    const marker = source.numbered ? `${item.position + 1}.` : "•";
+    const tags = item.tags.length ? ` (${item.tags.join(", ")})` : "";
+    const category = item.category ? `${item.category}: ` : "";
+    return `${marker} ${category}${item.name}${tags}`;
+  });
+}
+
+/**
+ * Render a week menu as an iCalendar file with one event per café per day
+ * that has items, timed to the café's hours and listing the dishes.
+ */
+function renderICalendar(weekMenu, { now = clock.now() } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:Lunch menus",
+    "X-WR-TIMEZONE:Europe/London",
+    ...LONDON_TIMEZONE,
+  ];
+
+  for (const day of weekMenu.days) {
+    for (const { source, items, notes } of day.sections) {
+      if (!items.length) continue;
+      const description = [...notes, source.description, ...itemLines(source, items)]
+        .filter(Boolean)
+        .join("\n");
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${day.date}-${source.id}@${UID_DOMAIN}`,
+        `DTSTAMP:${utcStamp(now)}`,
+        ...eventTimes(day.date, source.hours),
+        `SUMMARY:${escapeICal(`Lunch: ${source.name}`)}`,
+        `LOCATION:${escapeICal(source.name)}`,
+        `DESCRIPTION:${escapeICal(description)}`,
+        "TRANSP:TRANSPARENT",
+        "END:VEVENT",
+      );
+    }
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// --- Atom ---
+
+function escapeXml(text) {
+  return escapeHtml(text).replace(/'/g, "&apos;");
+}
+
+/**
+ * Render a week menu as an Atom feed with one entry per day that has
+ * items. `baseUrl` (e.g. "http://lunch.example.org") adds links to the
+ * web page for each day.
+ */
+function renderAtom(weekMenu, { now = clock.now(), baseUrl = null } = {}) {
+  const days = weekMenu.days.filter((day) => day.sections.some((s) => s.items.length));
+  const parts = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    "<title>Lunch menus</title>",
+    `<id>urn:${UID_DOMAIN}:feed</id>`,
+    `<updated>${now.toISOString()}</updated>`,
+    "<author><name>Lunch bot</name></author>",
+  ];
+  if (baseUrl) {
+    parts.push(`<link rel="self" href="${escapeXml(`${baseUrl}/menu.atom`)}"/>`);
+    parts.push(`<link rel="alternate" type="text/html" href="${escapeXml(`${baseUrl}/`)}"/>`);
+  }
+
+  for (const day of days) {
+    const cafes = day.sections.filter((s) => s.items.length).map((s) => s.source.name);
+    parts.push(
+      "<entry>",
+      `<title>${escapeXml(`Lunch menu — ${formatDate(day.date)}`)}</title>`,
+      `<id>urn:${UID_DOMAIN}:${day.date}</id>`,
+      `<updated>${new Date(`${day.date}T00:00:00`).toISOString()}</updated>`,
+      `<summary>${escapeXml(cafes.join(", "))}</summary>`,
+    );
+    if (baseUrl) {
+      parts.push(`<link rel="alternate" type="text/html" href="${escapeXml(`${baseUrl}/?day=${day.date}`)}"/>`);
+    }
+    parts.push(`<content type="html">${escapeXml(renderHtmlSections(day))}</content>`, "</entry>");
+  }
+
+  parts.push("</feed>");
+  return `${parts.join("\n")}\n`;
+}
+
+/**
+ * Write lunch-menu.ics and lunch-menu.atom for the week into `dir`.
+ * Returns the paths written.
+ */
+function writeFeeds(weekMenu, dir, options = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const files = {
+    "lunch-menu.ics": renderICalendar(weekMenu, options),
+    "lunch-menu.atom": renderAtom(weekMenu, options),
+  };
+  return Object.entries(files).map(([name, content]) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  });
+}
+
+module.exports = { renderICalendar, renderAtom, writeFeeds, foldLine };
+
+// `node feeds.js [dir]` writes this week's feeds to disk (default ./data/feeds).
+if (require.main === module) {
+  require("dotenv").config();
+  const { getWeekMenu } = require("./scraper");
+  const dir = process.argv[2] || path.join(__dirname, "data", "feeds");
+  getWeekMenu(clock.now())
+    .then((weekMenu) => {
+      const written = writeFeeds(weekMenu, dir, { baseUrl: process.env.PUBLIC_URL || null });
+      for (const filePath of written) console.log(`Feed written: ${filePath}`);
+    })
+    .catch((err) => {
+      console.error("Failed to write feeds:", err.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,71 @@
+/**
+ * Lowercase, strip accents and collapse punctuation to single spaces,
+ * so "Café (Cohen Quad)" and "cafe cohen quad" compare equal.
+ */
+function normalize(text) {
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Edit distance between two strings: insertions, deletions, substitutions,
+ * and swaps of adjacent letters ("mneu" → "menu") each count as one edit.
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Score how well a query matches a key: 0 for exact, 0.5 for a prefix of at
+ * least three letters, the edit distance for near-misses, or Infinity.
+ */
+function matchScore(query, key) {
+  if (query === key) return 0;
+  if (query.length >= 3 && key.startsWith(query)) return 0.5;
+  const distance = editDistance(query, key);
+  const allowed = Math.max(1, Math.floor(key.length / 4));
+  return distance <= allowed ? distance : Infinity;
+}
+
+/**
+ * Find the entry whose keys best match the query.
+ * `keysOf(entry)` returns the strings an entry can be matched by.
+ * Returns null when nothing matches or two entries match equally well.
+ */
+function closestMatch(query, entries, keysOf) {
+  const q = normalize(query);
+  if (!q) return null;
+
+  let best = null;
+  let bestScore = Infinity;
+  let tied = false;
+  for (const entry of entries) {
+    const score = Math.min(...keysOf(entry).map((key) => matchScore(q, normalize(key))));
+    if (score < bestScore) {
+      best = entry;
+      bestScore = score;
+      tied = false;
+    } else if (score === bestScore && score !== Infinity) {
+      tied = true;
+    }
+  }
+  return tied ? null : best;
+}
+
+module.exports = { normalize, editDistance, closestMatch };
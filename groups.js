@@ -0,0 +1,106 @@
+const { DAYS } = require("./dates");
+
+const DEFAULT_SEND_AT = "11:00";
+
+/**
+ * Resolve the WhatsApp groups the bot serves, with defaults filled in:
+ * every source, a single 11:00 send, every command, no poll and no weekly
+ * digest. `sendAt` is always a sorted list of times. Without a "groups"
+ * section in the config, falls back to the single GROUP_NAME group from .env.
+ * Given `findCommand` (a command registry's find), listed commands are
+ * checked and aliases turned into the command names groupAllows compares.
+ */
+function resolveGroups(config, env = process.env, findCommand = null) {
+  const configured = config.groups || (env.GROUP_NAME ? [{ name: env.GROUP_NAME }] : []);
+  if (!configured.length) {
+    throw new Error('No WhatsApp groups configured: add "groups" to the config or set GROUP_NAME in .env');
+  }
+
+  const allSources = config.sources.map((source) => source.id);
+  return configured.map((group) => ({
+    name: group.name,
+    sources: group.sources || allSources,
+    sendAt: [].concat(group.sendAt || DEFAULT_SEND_AT).sort(),
+    commands: group.commands ? commandNames(group, findCommand) : null,
+    pollCutoff: group.pollCutoff || null,
+    digest: group.digest || null,
+  }));
+}
+
+function commandNames(group, findCommand) {
+  if (!findCommand) return group.commands;
+  return group.commands.map((name) => {
+    const command = findCommand(name);
+    if (!command) throw new Error(`Group "${group.name}" enables unknown command "${name}"`);
+    return command.name;
+  });
+}
+
+/**
+ * Whether a group has a command switched on. !help is always available.
+ */
+function groupAllows(group, commandName) {
+  return commandName === "help" || !group.commands || group.commands.includes(commandName);
+}
+
+/**
+ * Cron expression for a weekday send at "HH:MM".
+ */
+function weekdayCron(time) {
+  const [hour, minute] = time.split(":").map(Number);
+  return `${minute} ${hour} * * 1-5`;
+}
+
+/**
+ * Cron expression for a send at "HH:MM" every week on `day` ("Sunday"…).
+ */
+function weeklyCron(day, time) {
+  const [hour, minute] = time.split(":").map(Number);
+  return `${minute} ${hour} * * ${DAYS.indexOf(day)}`;
+}
+
+/**
+ * The "HH:MM" `minutes` before `time`, on the same day (no earlier than 00:00).
+ */
+function minutesBefore(time, minutes) {
+  const [hour, minute] = time.split(":").map(Number);
+  const total = Math.max(0, hour * 60 + minute - minutes);
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Group the groups by send time, so each time needs only one cron job. A
+ * group sending at several times is listed under each.
+ */
+function groupsBySendTime(groups) {
+  const byTime = new Map();
+  for (const group of groups) {
+    for (const time of group.sendAt) {
+      if (!byTime.has(time)) byTime.set(time, []);
+      byTime.get(time).push(group);
+    }
+  }
+  return new Map([...byTime].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Group the groups that run a poll by the time it closes.
+ */
+function groupsByPollCutoff(groups) {
+  const byTime = new Map();
+  for (const group of groups.filter((g) => g.pollCutoff)) {
+    if (!byTime.has(group.pollCutoff)) byTime.set(group.pollCutoff, []);
+    byTime.get(group.pollCutoff).push(group);
+  }
+  return byTime;
+}
+
+module.exports = {
+  resolveGroups,
+  groupAllows,
+  weekdayCron,
+  weeklyCron,
+  minutesBefore,
+  groupsBySendTime,
+  groupsByPollCutoff,
+};
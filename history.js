@@ -0,0 +1,177 @@
+const fs = require("fs");
+const path = require("path");
+const { toISODate } = require("./dates");
+const clock = require("./clock");
+const { formatDate } = require("./render");
+const { compileTerm } = require("./watches");
+const { getMenuSources } = require("./scraper");
+
+const HISTORY_DIR = path.join(__dirname, "data", "history");
+const SHOWN_DATES = 5;
+
+/**
+ * The menu archive is one append-only JSON Lines file per source
+ * (data/history/<source>.jsonl). Each line is a snapshot of one day:
+ * { date, source, archivedAt, items: [{ name, category, tags, kcal, position }] }.
+ * A later snapshot for the same date replaces the earlier one when read,
+ * so corrections are kept without rewriting the file.
+ */
+function historyFile(source, dir) {
+  return path.join(dir, `${source}.jsonl`);
+}
+
+function readSnapshots(file) {
+  if (!fs.existsSync(file)) return [];
+  const snapshots = [];
+  for (const line of fs.readFileSync(file, "utf-8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      snapshots.push(JSON.parse(line));
+    } catch {
+      console.error(`History: skipping unreadable line in ${path.basename(file)}`);
+    }
+  }
+  return snapshots;
+}
+
+function latestByDate(snapshots) {
+  const byDate = new Map();
+  for (const snapshot of snapshots) byDate.set(snapshot.date, snapshot);
+  return byDate;
+}
+
+function sameItems(a, b) {
+  const key = (items) => JSON.stringify(items.map((i) => [i.category, i.name, i.tags]));
+  return key(a) === key(b);
+}
+
+/**
+ * Archive MenuItems, one snapshot per source and day. Days whose items
+ * haven't changed since the last snapshot are skipped. Returns the
+ * number of snapshots written.
+ */
+function archiveItems(items, { dir = HISTORY_DIR, now = clock.now() } = {}) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = `${item.source}|${item.date}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+
+  let written = 0;
+  const latest = new Map();
+  for (const dayItems of groups.values()) {
+    const { source, date } = dayItems[0];
+    const file = historyFile(source, dir);
+    if (!latest.has(source)) latest.set(source, latestByDate(readSnapshots(file)));
+
+    const stored = dayItems.map(({ name, category, tags, kcal, position }) => ({
+      name,
+      category,
+      tags,
+      kcal,
+      position,
+    }));
+    const previous = latest.get(source).get(date);
+    if (previous && sameItems(previous.items, stored)) continue;
+
+    const snapshot = { date, source, archivedAt: now.toISOString(), items: stored };
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify(snapshot)}\n`);
+    latest.get(source).set(date, snapshot);
+    written++;
+  }
+  return written;
+}
+
+/**
+ * Every archived day, latest snapshot only, oldest first:
+ * [{ date, source, items }]. `until` (YYYY-MM-DD) drops later days.
+ */
+function loadHistory({ dir = HISTORY_DIR, until = null } = {}) {
+  if (!fs.existsSync(dir)) return [];
+  const days = [];
+  for (const name of fs.readdirSync(dir).filter((f) => f.endsWith(".jsonl"))) {
+    for (const snapshot of latestByDate(readSnapshots(path.join(dir, name))).values()) {
+      if (!until || snapshot.date <= until) days.push(snapshot);
+    }
+  }
+  return days.sort((a, b) => a.date.localeCompare(b.date) || a.source.localeCompare(b.source));
+}
+
+/**
+ * Past servings of dishes matching `term` (a keyword or /regex/, as for
+ * !watch), most recent first: [{ date, source, name }].
+ */
+function searchHistory(term, { dir = HISTORY_DIR, now = clock.now() } = {}) {
+  const matches = compileTerm(term);
+  const found = [];
+  for (const day of loadHistory({ dir, until: toISODate(now) })) {
+    for (const item of day.items) {
+      if (matches(item.name)) found.push({ date: day.date, source: day.source, name: item.name });
+    }
+  }
+  return found.reverse();
+}
+
+/**
+ * Reply text for !history: when and where a dish was last served, then
+ * the few servings before that.
+ */
+function formatHistory(term, found, { sourceNames = {}, now = clock.now(), since = null } = {}) {
+  const where = (entry) => sourceNames[entry.source] || entry.source;
+  const when = (entry) => (entry.date === toISODate(now) ? "today" : formatDate(entry.date));
+  if (!found.length) {
+    const from = since ? ` since ${formatDate(since)}` : "";
+    return `I haven't seen "${term}" on any menu${from}.`;
+  }
+
+  const [last] = found;
+  const lines = [`*${last.name}* was last served ${when(last)} at ${where(last)}.`];
+  if (found.length > 1) {
+    lines.push("", `Served ${found.length} times in total. Most recent:`);
+    for (const entry of found.slice(0, SHOWN_DATES)) {
+      lines.push(`• ${formatDate(entry.date)} — ${entry.name}, ${where(entry)}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+// --- Command ---
+
+async function runHistory(ctx, args) {
+  const term = args.join(" ").trim();
+  if (!term) {
+    await ctx.reply("Which dish? Try !history katsu curry.");
+    return;
+  }
+  let found;
+  try {
+    found = searchHistory(term);
+  } catch (err) {
+    await ctx.reply(`That isn't a valid pattern: ${err.message}`);
+    return;
+  }
+  const sourceNames = Object.fromEntries(getMenuSources().map((s) => [s.id, s.name]));
+  const since = loadHistory()[0]?.date || null;
+  await ctx.reply(formatHistory(term, found, { sourceNames, since }));
+}
+
+const historyCommands = [
+  {
+    name: "history",
+    aliases: ["last"],
+    usage: "<dish>",
+    description: "When and where a dish was last served",
+    run: runHistory,
+  },
+];
+
+module.exports = {
+  historyCommands,
+  archiveItems,
+  loadHistory,
+  searchHistory,
+  formatHistory,
+  HISTORY_DIR,
+};
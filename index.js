@@ -4,22 +4,108 @@ const nodemailer = require("nodemailer");
 const { execSync } = require("child_process");
 const path = require("path");
 const cron = require("node-cron");
-const { getTodaysMenu } = require("./scraper");
-const { checkForNewMenu: refreshBlavatnik } = require("./blavatnik");
-const { checkForNewSchwarzmanMenu: refreshSchwarzman } = require("./schwarzman");
+const { getMenuSources, getDayMenu, getWeekMessage } = require("./scraper");
+const { renderMenu } = require("./render");
+const { toISODate } = require("./dates");
+const clock = require("./clock");
+const { getConfig } = require("./config");
+const { createCommandRegistry, parseCommand } = require("./commands");
+const { menuCommands } = require("./menu-commands");
+const {
+  subscriptionCommands,
+  loadSubscriptions,
+  subscribersDueAt,
+  personaliseMenu,
+  directMessageJid,
+} = require("./subscriptions");
+const { watchCommands, checkWatches, formatWatchAlert } = require("./watches");
+const { menuEvents } = require("./menu-events");
+const { historyCommands, archiveItems } = require("./history");
+const { statsCommands } = require("./stats");
+const {
+  pollOptions,
+  createPoll,
+  savePoll,
+  recordVote,
+  closePoll,
+  formatTally,
+  loadPolls,
+} = require("./polls");
+const { startServer } = require("./server");
+const { watchDropFolder } = require("./drop-folder");
+const { watchMailbox, formatMenuAnnouncement } = require("./mail-watcher");
+const { mailSettings, mailCredentials } = require("./mailbox");
+const {
+  resolveGroups,
+  groupAllows,
+  weekdayCron,
+  weeklyCron,
+  minutesBefore,
+  groupsBySendTime,
+  groupsByPollCutoff,
+} = require("./groups");
+const { prepareDayMenu, sendWithRetries, PREPARE_LEAD_MINUTES } = require("./delivery");
 
-const GROUP_NAME = process.env.GROUP_NAME;
-if (!GROUP_NAME) {
-  console.error("ERROR: GROUP_NAME not set in .env");
+const SEND_NOW = process.argv.includes("--send-now");
+
+// Phone numbers (digits only) allowed to run admin commands in any chat,
+// in addition to the group's own WhatsApp admins.
+const ADMIN_NUMBERS = (process.env.ADMIN_NUMBERS || "")
+  .split(",")
+  .map((n) => n.replace(/\D/g, ""))
+  .filter(Boolean);
+
+const commands = createCommandRegistry();
+commands.register(
+  ...menuCommands,
+  ...subscriptionCommands,
+  ...watchCommands,
+  ...historyCommands,
+  ...statsCommands,
+);
+
+let groups;
+try {
+  getMenuSources();
+  groups = resolveGroups(getConfig(), process.env, commands.find);
+} catch (err) {
+  console.error(`ERROR: ${err.message}`);
   process.exit(1);
 }
 
-const SEND_NOW = process.argv.includes("--send-now");
-
 let sock;
-let groupJid = null;
+let baileys; // the Baileys module, loaded in connectToWhatsApp()
+const groupJids = new Map(); // group name → chat JID
+// Today's menus composed ahead of sending: "<group name> <HH:MM>" → { date,
+// ready }, where ready resolves to the day menu, or null if it couldn't be fetched.
+const preparedMenus = new Map();
 let cronStarted = false;
 
+// Reported by the HTTP API's /status endpoint.
+const status = {
+  startedAt: clock.now().toISOString(),
+  whatsapp: "connecting",
+  connectedAt: null,
+  lastSend: null,
+  lastSendByGroup: {},
+};
+
+function getStatus() {
+  return {
+    startedAt: status.startedAt,
+    whatsapp: status.whatsapp,
+    connectedAt: status.connectedAt,
+    lastSend: status.lastSend,
+    groups: groups.map((group) => ({
+      name: group.name,
+      sendAt: group.sendAt,
+      digest: group.digest,
+      found: groupJids.has(group.name),
+      lastSentAt: status.lastSendByGroup[group.name] || null,
+    })),
+  };
+}
+
 async function sendAlert(subject, body) {
   const user = process.env.GMAIL_USER;
   const pass = process.env.GMAIL_APP_PASSWORD;
@@ -41,59 +127,361 @@ async function sendAlert(subject, body) {
   }
 }
 
-async function cacheGroupJid() {
+async function cacheGroupJids() {
   try {
-    const groups = await sock.groupFetchAllParticipating();
-    const group = Object.values(groups).find((g) => g.subject === GROUP_NAME);
-    if (group) {
-      groupJid = group.id;
-      console.log(`Group "${GROUP_NAME}" found.`);
-    } else {
-      console.error(`Group "${GROUP_NAME}" not found.`);
+    const chats = Object.values(await sock.groupFetchAllParticipating());
+    for (const group of groups) {
+      const chat = chats.find((g) => g.subject === group.name);
+      if (chat) {
+        groupJids.set(group.name, chat.id);
+        console.log(`Group "${group.name}" found.`);
+      } else {
+        console.error(`Group "${group.name}" not found.`);
+      }
     }
   } catch (err) {
     console.error("Error fetching groups:", err.message);
   }
 }
 
-async function sendMenuToGroup() {
+/**
+ * Return the configured group for a group chat, or null if the bot
+ * isn't set up to serve it.
+ */
+async function findGroupForChat(chatJid) {
+  for (const group of groups) {
+    if (groupJids.get(group.name) === chatJid) return group;
+  }
+  const meta = await sock.groupMetadata(chatJid);
+  const group = groups.find((g) => g.name === meta.subject);
+  if (group) groupJids.set(group.name, chatJid);
+  return group || null;
+}
+
+async function isAdmin(chatJid, senderJid) {
+  const number = senderJid.split("@")[0].split(":")[0];
+  if (ADMIN_NUMBERS.includes(number)) return true;
+  if (!chatJid.endsWith("@g.us")) return false;
   try {
-    if (!groupJid) await cacheGroupJid();
-    if (!groupJid) {
-      const msg = `Group "${GROUP_NAME}" not found.`;
-      console.error(msg);
-      await sendAlert("Group not found", msg);
-      return;
-    }
-    const menu = await getTodaysMenu();
-    await sock.sendMessage(groupJid, { text: menu });
-    console.log(`Menu sent to "${GROUP_NAME}".`);
+    const meta = await sock.groupMetadata(chatJid);
+    const participant = meta.participants.find((p) => p.id === senderJid);
+    return Boolean(participant?.admin);
+  } catch (err) {
+    console.error("Error checking admin status:", err.message);
+    return false;
+  }
+}
+
+/**
+ * Fetch and compose a group's menu for today ahead of its `time` send,
+ * with retries, so sending it is quick. `options` are as for prepareDayMenu.
+ */
+function prepareMenuForGroup(group, time, options = {}) {
+  const label = menuLabel(group);
+  const ready = prepareDayMenu(() => getDayMenu(clock.now(), { sources: group.sources }), { label, ...options })
+    .then((dayMenu) => {
+      console.log(`${label} is ready to send at ${time}.`);
+      return dayMenu;
+    })
+    .catch((err) => {
+      console.error(`${label} couldn't be prepared:`, err.message);
+      return null;
+    });
+  preparedMenus.set(`${group.name} ${time}`, { date: toISODate(clock.now()), ready });
+  return ready;
+}
+
+/**
+ * The group's menu for today's `time` send: the one prepared earlier if
+ * there is one, otherwise fetched now in a single attempt. Throws if
+ * neither works.
+ */
+async function menuForGroup(group, time) {
+  const key = `${group.name} ${time}`;
+  const prepared = preparedMenus.get(key);
+  preparedMenus.delete(key);
+  const dayMenu = prepared?.date === toISODate(clock.now()) ? await prepared.ready : null;
+  return (
+    dayMenu ||
+    prepareDayMenu(() => getDayMenu(clock.now(), { sources: group.sources }), {
+      label: menuLabel(group),
+      attempts: 1,
+    })
+  );
+}
+
+function menuLabel(group) {
+  return `Menu for "${group.name}"`;
+}
+
+/**
+ * The group's chat JID, or null (with an alert email) if the bot can't find it.
+ */
+async function findGroupJid(group) {
+  if (!groupJids.has(group.name)) await cacheGroupJids();
+  const groupJid = groupJids.get(group.name);
+  if (!groupJid) {
+    const msg = `Group "${group.name}" not found.`;
+    console.error(msg);
+    await sendAlert("Group not found", msg);
+  }
+  return groupJid || null;
+}
+
+/**
+ * Send `text` to a group, retrying while WhatsApp reconnects. The socket
+ * is looked up on every attempt, as it's replaced on reconnect.
+ */
+function sendToGroup(group, groupJid, text, what) {
+  return sendWithRetries(
+    () => {
+      if (!sock) throw new Error("WhatsApp is not connected");
+      return sock.sendMessage(groupJid, { text });
+    },
+    { label: `Sending the ${what} to "${group.name}"` },
+  );
+}
+
+/**
+ * Send today's menu for the group's `time` send (by default its first of
+ * the day). The first send of the day is followed by the group's poll.
+ */
+async function sendMenuToGroup(group, time = group.sendAt[0]) {
+  try {
+    const groupJid = await findGroupJid(group);
+    if (!groupJid) return;
+    const dayMenu = await menuForGroup(group, time);
+    await sendToGroup(group, groupJid, renderMenu(dayMenu, "whatsapp"), "menu");
+    console.log(`Menu sent to "${group.name}".`);
+    archiveDayMenu(dayMenu);
+    const sentAt = clock.now().toISOString();
+    status.lastSend = { group: group.name, at: sentAt };
+    status.lastSendByGroup[group.name] = sentAt;
+    if (group.pollCutoff && time === group.sendAt[0]) await sendPoll(group, groupJid, dayMenu);
   } catch (err) {
     console.error("Error sending menu:", err.message);
     await sendAlert(
       "Failed to send menu",
-      `The lunch bot failed to send today's menu.\n\nError: ${err.message}\n\nCheck PM2 logs: pm2 logs lunch-bot`
+      `The lunch bot failed to send today's menu to "${group.name}".\n\nError: ${err.message}\n\nCheck PM2 logs: pm2 logs lunch-bot`
+    );
+  }
+}
+
+/**
+ * Send the group's weekly digest: the whole lunch week, which from Saturday
+ * on is the week ahead.
+ */
+async function sendDigestToGroup(group) {
+  try {
+    const groupJid = await findGroupJid(group);
+    if (!groupJid) return;
+    const text = await getWeekMessage(clock.now(), "whatsapp", { sources: group.sources });
+    await sendToGroup(group, groupJid, text, "weekly digest");
+    console.log(`Weekly digest sent to "${group.name}".`);
+  } catch (err) {
+    console.error("Error sending weekly digest:", err.message);
+    await sendAlert(
+      "Failed to send weekly digest",
+      `The lunch bot failed to send the weekly digest to "${group.name}".\n\nError: ${err.message}\n\nCheck PM2 logs: pm2 logs lunch-bot`
     );
   }
 }
 
+/**
+ * Follow the menu with a "Where are we eating?" poll of today's cafés.
+ */
+async function sendPoll(group, groupJid, dayMenu) {
+  const options = pollOptions(dayMenu);
+  if (!options.length) return;
+  try {
+    const { message, record } = createPoll(group, options);
+    const sent = await sock.sendMessage(groupJid, message);
+    savePoll(sent.key.id, groupJid, record);
+    console.log(`Poll sent to "${group.name}", closing at ${group.pollCutoff}.`);
+  } catch (err) {
+    console.error(`Error sending poll to "${group.name}":`, err.message);
+  }
+}
+
+/**
+ * Decrypt a poll vote and record it against the poll it belongs to.
+ */
+function handlePollVote(msg, pollUpdate) {
+  const pollId = pollUpdate.pollCreationMessageKey?.id;
+  const poll = loadPolls()[pollId];
+  if (!poll || poll.closed) return;
+
+  const { decryptPollVote, jidNormalizedUser } = baileys;
+  const voterJid = jidNormalizedUser(msg.key.participant || msg.key.remoteJid);
+  // Depending on the group, WhatsApp addresses the bot by phone number or LID.
+  const creatorJids = [sock.user.id, sock.user.lid].filter(Boolean).map(jidNormalizedUser);
+  for (const pollCreatorJid of creatorJids) {
+    try {
+      const vote = decryptPollVote(pollUpdate.vote, {
+        pollCreatorJid,
+        pollMsgId: pollId,
+        pollEncKey: Buffer.from(poll.secret, "base64"),
+        voterJid,
+      });
+      recordVote(pollId, voterJid, vote.selectedOptions || []);
+      return;
+    } catch {
+      // Wrong creator JID, try the next one
+    }
+  }
+  console.error(`Could not decrypt a poll vote in "${poll.group}".`);
+}
+
+async function sendPollTally(group) {
+  const poll = closePoll(group.name);
+  if (!poll) return;
+  try {
+    await sock.sendMessage(poll.chatJid, { text: formatTally(poll) });
+    console.log(`Poll results sent to "${group.name}".`);
+  } catch (err) {
+    console.error(`Error sending poll results to "${group.name}":`, err.message);
+  }
+}
+
+/**
+ * Send each subscriber due at `time` their personalised menu by DM.
+ * The day's menu is fetched once and cut down per subscriber.
+ */
+async function sendMenuToSubscribers(time) {
+  const due = subscribersDueAt(time);
+  if (!due.length) return;
+
+  let dayMenu;
+  try {
+    dayMenu = await getDayMenu(clock.now());
+  } catch (err) {
+    console.error("Error fetching menu for subscribers:", err.message);
+    return;
+  }
+  for (const [jid, prefs] of due) {
+    try {
+      await sock.sendMessage(jid, { text: renderMenu(personaliseMenu(dayMenu, prefs), "whatsapp") });
+    } catch (err) {
+      console.error(`Error sending menu to subscriber ${jid}:`, err.message);
+    }
+  }
+  console.log(`Menu sent to ${due.length} subscriber(s) at ${time}.`);
+}
+
+function currentTime(now = clock.now()) {
+  return `${String(now.getHours()).padStart(2, "0")}:${String(now.getMinutes()).padStart(2, "0")}`;
+}
+
+/**
+ * Tell watchers about matching dishes, tagging them in the chat where
+ * they set up the watch.
+ */
+async function notifyWatcher(watcher, items) {
+  if (!sock) throw new Error("WhatsApp is not connected");
+  const sourceNames = Object.fromEntries(getMenuSources().map((s) => [s.id, s.name]));
+  const text = formatWatchAlert(watcher, items, { sourceNames });
+  await sock.sendMessage(watcher.chatJid, { text, mentions: [watcher.jid] });
+  console.log(`Watch alert sent to ${watcher.jid}.`);
+}
+
+/**
+ * Archive menus as they're refreshed, and again as they're sent so days
+ * served from an older cache still reach the history.
+ */
+function archiveMenuItems(items) {
+  try {
+    const written = archiveItems(items);
+    if (written) console.log(`History: archived ${written} day menu(s).`);
+  } catch (err) {
+    console.error("Error archiving menu history:", err.message);
+  }
+}
+
+/**
+ * Archive what was sent, leaving out a stale section: last week's emailed
+ * menu shown under this week's dates wasn't actually served.
+ */
+function archiveDayMenu(dayMenu) {
+  archiveMenuItems(
+    dayMenu.sections.filter((section) => !section.stale).flatMap((section) => section.items),
+  );
+}
+
+/**
+ * Tell the groups that show a source its new menu has arrived, when the
+ * mailbox watcher picks one up.
+ */
+async function announceMenu({ handler, monday }) {
+  if (!sock) return;
+  const sources = getMenuSources().filter((s) => s.type === "email-vision" && s.handler === handler);
+  for (const source of sources) {
+    const text = formatMenuAnnouncement(source.name, monday);
+    for (const group of groups.filter((g) => g.sources.includes(source.id))) {
+      const groupJid = groupJids.get(group.name);
+      if (!groupJid) continue;
+      try {
+        await sock.sendMessage(groupJid, { text });
+        console.log(`${source.name} menu announced in "${group.name}".`);
+      } catch (err) {
+        console.error(`Error announcing menu in "${group.name}":`, err.message);
+      }
+    }
+  }
+}
+
+menuEvents.on("items", ({ items }) => {
+  archiveMenuItems(items);
+  checkWatches(items, notifyWatcher).catch((err) =>
+    console.error("Error checking watches:", err.message),
+  );
+});
+
+/**
+ * Schedule a cron job in the bot's timezone, not the host's.
+ */
+function scheduleJob(expression, job) {
+  cron.schedule(expression, job, { timezone: clock.TIMEZONE });
+}
+
 function startCronJob() {
   if (cronStarted) return;
   cronStarted = true;
-  cron.schedule("0 11 * * 1-5", async () => {
-    console.log("Cron triggered: sending daily menu...");
-    await sendMenuToGroup();
-  });
-  console.log("Cron job scheduled: 11:00 AM Mon–Fri");
+  for (const [time, timeGroups] of groupsBySendTime(groups)) {
+    const prepareAt = minutesBefore(time, PREPARE_LEAD_MINUTES);
+    scheduleJob(weekdayCron(prepareAt), () => {
+      console.log(`Cron triggered: preparing ${time} menus...`);
+      for (const group of timeGroups) prepareMenuForGroup(group, time);
+    });
+    scheduleJob(weekdayCron(time), async () => {
+      console.log(`Cron triggered: sending ${time} menus...`);
+      for (const group of timeGroups) await sendMenuToGroup(group, time);
+    });
+    const names = timeGroups.map((g) => `"${g.name}"`).join(", ");
+    console.log(`Cron job scheduled: ${time} Mon–Fri (${clock.TIMEZONE}) for ${names}, prepared at ${prepareAt}`);
+  }
+  for (const [time, timeGroups] of groupsByPollCutoff(groups)) {
+    scheduleJob(weekdayCron(time), async () => {
+      for (const group of timeGroups) await sendPollTally(group);
+    });
+  }
+  for (const group of groups.filter((g) => g.digest)) {
+    const { day, at } = group.digest;
+    scheduleJob(weeklyCron(day, at), () => sendDigestToGroup(group));
+    console.log(`Weekly digest scheduled: ${day}s at ${at} for "${group.name}"`);
+  }
+  // Subscribers pick their own time, so check every weekday minute.
+  scheduleJob("* * * * 1-5", () => sendMenuToSubscribers(currentTime()));
 }
 
 async function connectToWhatsApp() {
+  status.whatsapp = "connecting";
+  baileys = await import("@whiskeysockets/baileys");
   const {
     default: makeWASocket,
     useMultiFileAuthState,
     DisconnectReason,
     fetchLatestBaileysVersion,
-  } = await import("@whiskeysockets/baileys");
+  } = baileys;
 
   const pino = (await import("pino")).default;
 
@@ -122,6 +510,7 @@ async function connectToWhatsApp() {
     }
 
     if (connection === "close") {
+      status.whatsapp = "closed";
       const statusCode = lastDisconnect?.error?.output?.statusCode;
       const loggedOut = statusCode === DisconnectReason.loggedOut;
 
@@ -140,10 +529,12 @@ async function connectToWhatsApp() {
 
     if (connection === "open") {
       console.log("WhatsApp connected!");
-      await cacheGroupJid();
+      status.whatsapp = "open";
+      status.connectedAt = clock.now().toISOString();
+      await cacheGroupJids();
 
       if (SEND_NOW) {
-        await sendMenuToGroup();
+        for (const group of groups) await sendMenuToGroup(group);
         process.exit(0);
       }
 
@@ -157,52 +548,66 @@ async function connectToWhatsApp() {
     for (const msg of messages) {
       if (msg.key.fromMe) continue;
 
+      const pollUpdate = msg.message?.pollUpdateMessage;
+      if (pollUpdate) {
+        handlePollVote(msg, pollUpdate);
+        continue;
+      }
+
       const body =
         msg.message?.conversation ||
         msg.message?.extendedTextMessage?.text ||
         "";
 
-      if (body !== "!menu" && body !== "!refresh") continue;
+      if (!parseCommand(body)) continue;
 
-      const chatJid = msg.key.remoteJid;
-      if (!chatJid.endsWith("@g.us")) continue;
-
-      if (groupJid && chatJid !== groupJid) continue;
-      if (!groupJid) {
-        const meta = await sock.groupMetadata(chatJid);
-        if (meta.subject !== GROUP_NAME) continue;
-        groupJid = chatJid;
-      }
-
-      if (body === "!refresh") {
-        console.log(`!refresh requested in "${GROUP_NAME}"`);
-        await sock.sendMessage(chatJid, { text: "Refreshing menus from Gmail..." });
-        try {
-          await Promise.all([refreshBlavatnik(), refreshSchwarzman()]);
-          await sock.sendMessage(chatJid, {
-            text: "Done! Menus refreshed. Send !menu to see the latest.",
-          });
-        } catch (err) {
-          console.error("Error refreshing menus:", err.message);
-          await sock.sendMessage(chatJid, {
-            text: "Something went wrong refreshing the menus.",
-          });
-        }
+      if (!msg.key.remoteJid.endsWith("@g.us")) {
+        // Direct message: menus follow the sender's subscription settings, if any.
+        const chatJid = directMessageJid(msg.key);
+        if (!chatJid) continue;
+        const prefs = loadSubscriptions()[chatJid];
+        console.log(`${body.trim()} requested by ${chatJid}`);
+        await commands.dispatch(body, {
+          chatJid,
+          sender: chatJid,
+          isGroup: false,
+          sources: prefs?.sources || undefined,
+          diet: prefs?.diet || undefined,
+          reply: (text) => sock.sendMessage(chatJid, { text }),
+          isAdmin: () => isAdmin(chatJid, chatJid),
+        });
         continue;
       }
 
-      console.log(`!menu requested in "${GROUP_NAME}"`);
-      try {
-        const menu = await getTodaysMenu();
-        await sock.sendMessage(chatJid, { text: menu });
-      } catch (err) {
-        console.error("Error fetching menu:", err.message);
-        await sock.sendMessage(chatJid, {
-          text: "Sorry, I couldn't fetch today's menu. Try again later.",
-        });
-      }
+      const chatJid = msg.key.remoteJid;
+      const sender = msg.key.participant || chatJid;
+      const reply = (text) => sock.sendMessage(chatJid, { text });
+
+      const group = await findGroupForChat(chatJid);
+      if (!group) continue;
+
+      console.log(`${body.trim()} requested in "${group.name}"`);
+      await commands.dispatch(body, {
+        chatJid,
+        sender,
+        isGroup: true,
+        sources: group.sources,
+        reply,
+        isAdmin: () => isAdmin(chatJid, sender),
+        allows: (name) => groupAllows(group, name),
+      });
     }
   });
 }
 
+if (!SEND_NOW) {
+  watchDropFolder();
+  const mail = mailSettings();
+  if (mail.idle && mailCredentials()) {
+    watchMailbox({ settings: mail, onMenu: mail.announce ? announceMenu : undefined });
+  }
+  startServer({ getStatus, baseUrl: process.env.PUBLIC_URL || null }).catch((err) =>
+    console.error("Failed to start HTTP API:", err.message),
+  );
+}
 connectToWhatsApp();
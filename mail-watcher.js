@@ -0,0 +1,144 @@
+const { simpleParser } = require("mailparser");
+const { EMAIL_SOURCES } = require("./email-sources");
+const { getWeekMonday, addDays, toISODate } = require("./dates");
+const clock = require("./clock");
+const { formatDate } = require("./render");
+const { mailSettings, createImapClient, searchCriteria } = require("./mailbox");
+
+const RECONNECT_MIN_MS = 5 * 1000;
+const RECONNECT_MAX_MS = 5 * 60 * 1000;
+// Gmail ends an IDLE after about 29 minutes, so renew it well before then.
+const MAX_IDLE_MS = 10 * 60 * 1000;
+
+/**
+ * Keep a connection open on the mailbox and ingest menu emails as they
+ * arrive, rather than waiting for a stale cache to trigger a search.
+ * ImapFlow idles (IMAP IDLE) while nothing else is running, so the server
+ * tells us about new mail; each new message matching a handler's search
+ * criteria goes through its ingestEmail() for the week the email
+ * covers, and onMenu({ handler, monday }) is called when a menu is saved.
+ *
+ * Dropped connections are reopened with backoff, catching up on mail that
+ * arrived in between. Mail from before the first connection is left to the
+ * usual search when a menu is fetched. Returns { stop }.
+ */
+function watchMailbox({
+  handlers = EMAIL_SOURCES,
+  onMenu = () => {},
+  settings = mailSettings(),
+  createClient = () => createImapClient({ settings, maxIdleTime: MAX_IDLE_MS }),
+  minDelayMs = RECONNECT_MIN_MS,
+  maxDelayMs = RECONNECT_MAX_MS,
+} = {}) {
+  let client = null;
+  let stopped = false;
+  let timer = null;
+  let delay = minDelayMs;
+  let uidValidity = null;
+  let lastUid = 0;
+  let queue = Promise.resolve();
+
+  // Checks run one at a time, however many "exists" events arrive.
+  const check = () => {
+    const current = client;
+    queue = queue
+      .then(() => checkNewMail(current))
+      .catch((err) => console.error("Mail watcher: error checking new mail:", err.message));
+    return queue;
+  };
+
+  async function checkNewMail(current) {
+    if (!current || current !== client) return;
+    const from = lastUid + 1;
+    let newest = lastUid;
+    for (const [name, handler] of Object.entries(handlers)) {
+      const criteria = { ...searchCriteria(name, handler.EMAIL_SUBJECT, settings), uid: `${from}:*` };
+      // "N:*" always includes the newest message, even when it's older than N.
+      const uids = (await current.search(criteria, { uid: true })).filter((uid) => uid >= from);
+      for (const uid of uids) {
+        newest = Math.max(newest, uid);
+        await ingestMessage(current, uid, name, handler);
+      }
+    }
+    lastUid = newest;
+  }
+
+  async function ingestMessage(current, uid, name, handler) {
+    try {
+      const { content } = await current.download(String(uid), undefined, { uid: true });
+      const parsed = await simpleParser(content);
+      console.log(`Mail watcher: new ${name} email "${parsed.subject || ""}", parsing it...`);
+      const monday = handler.emailWeek(parsed.date || clock.now());
+      if (await handler.ingestEmail(parsed, { monday })) {
+        await onMenu({ handler: name, monday });
+      }
+    } catch (err) {
+      console.error(`Mail watcher: couldn't ingest ${name} email ${uid}:`, err.message);
+    }
+  }
+
+  async function connect() {
+    timer = null;
+    const current = createClient();
+    client = current;
+    current.on("error", (err) => console.error("Mail watcher: IMAP error:", err.message));
+    current.on("close", () => {
+      if (current === client) reconnect();
+    });
+    current.on("exists", () => check());
+
+    try {
+      await current.connect();
+      const mailbox = await current.mailboxOpen(settings.mailbox);
+      if (String(mailbox.uidValidity) === uidValidity) {
+        check();
+      } else {
+        // First connection, or the mailbox was rebuilt: only mail from now on.
+        uidValidity = String(mailbox.uidValidity);
+        lastUid = mailbox.uidNext - 1;
+      }
+      delay = minDelayMs;
+      console.log(`Mail watcher: watching ${settings.mailbox} on ${settings.host} for menu emails.`);
+    } catch (err) {
+      console.error("Mail watcher: couldn't connect:", err.message);
+      reconnect();
+      current.close();
+    }
+  }
+
+  function reconnect() {
+    if (stopped || timer) return;
+    console.log(`Mail watcher: connection lost, reconnecting in ${Math.round(delay / 1000)}s...`);
+    timer = setTimeout(connect, delay);
+    delay = Math.min(delay * 2, maxDelayMs);
+  }
+
+  connect();
+  return {
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      const current = client;
+      client = null;
+      if (current) await current.logout().catch(() => current.close());
+    },
+  };
+}
+
+/**
+ * The group message for a menu that's just come in, e.g. "📬 Next week's
+ * Blavatnik Café menu is in."
+ */
+function formatMenuAnnouncement(sourceName, monday, now = clock.now()) {
+  const thisWeek = getWeekMonday(now);
+  if (monday.getTime() === thisWeek.getTime()) {
+    return `📬 This week's ${sourceName} menu is in. Send !menu to see today's.`;
+  }
+  if (monday.getTime() === addDays(thisWeek, 7).getTime()) {
+    return `📬 Next week's ${sourceName} menu is in.`;
+  }
+  const week = formatDate(toISODate(monday), { weekday: undefined });
+  return `📬 The ${sourceName} menu for the week of ${week} is in.`;
+}
+
+module.exports = { watchMailbox, formatMenuAnnouncement };
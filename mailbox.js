@@ -0,0 +1,57 @@
+const { ImapFlow } = require("imapflow");
+const { getConfig } = require("./config");
+
+// Where menu emails live unless the config's "mail" section says otherwise.
+const MAIL_DEFAULTS = {
+  host: "imap.gmail.com",
+  port: 993,
+  secure: true,
+  mailbox: "INBOX",
+  idle: true,
+  announce: false,
+};
+
+/**
+ * The config's "mail" section with defaults filled in: Gmail over TLS,
+ * the INBOX, IDLE watching on and no announcements. `search` maps a
+ * handler to IMAP search criteria that replace its default subject search.
+ */
+function mailSettings(config = getConfig()) {
+  const mail = config.mail || {};
+  return { ...MAIL_DEFAULTS, ...mail, search: mail.search || {} };
+}
+
+/**
+ * The mailbox login from .env, or null when it isn't set.
+ */
+function mailCredentials(env = process.env) {
+  const user = env.GMAIL_USER;
+  const pass = env.GMAIL_APP_PASSWORD;
+  return user && pass ? { user, pass } : null;
+}
+
+/**
+ * A new, unconnected ImapFlow client for the configured server.
+ * `options` are passed on to ImapFlow.
+ */
+function createImapClient({ settings = mailSettings(), auth = mailCredentials(), ...options } = {}) {
+  return new ImapFlow({
+    host: settings.host,
+    port: settings.port,
+    secure: settings.secure,
+    auth,
+    logger: false,
+    ...options,
+  });
+}
+
+/**
+ * IMAP search criteria for a handler's menu emails: mail.search.<handler>
+ * when it's set, otherwise a search on its usual subject.
+ */
+function searchCriteria(handler, defaultSubject, settings = mailSettings()) {
+  const configured = settings.search[handler];
+  return configured ? { ...configured } : { subject: defaultSubject };
+}
+
+module.exports = { mailSettings, mailCredentials, createImapClient, searchCriteria, MAIL_DEFAULTS };
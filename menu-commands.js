@@ -0,0 +1,106 @@
+const { getDayMenu, getWeekMessage, findSource } = require("./scraper");
+const { renderMenu } = require("./render");
+const { DIETS, findDiet } = require("./dietary");
+const { EMAIL_SOURCES } = require("./email-sources");
+const { resolveDay } = require("./dates");
+const clock = require("./clock");
+
+/**
+ * Sort !menu / !week arguments into a day, a café and a diet.
+ * Returns { date, sourceIds, diet, unknown } where unknown lists words that
+ * were none of these. Days are only accepted when allowDay is set.
+ */
+function parseMenuArgs(args, { allowDay = true, now = clock.now() } = {}) {
+  let date = now;
+  let sourceIds;
+  let diet;
+  const unknown = [];
+  for (const arg of args) {
+    const day = allowDay && resolveDay(arg, now);
+    const dietKey = !day && findDiet(arg);
+    const source = !day && !dietKey && findSource(arg);
+    if (day) date = day;
+    else if (dietKey) diet = dietKey;
+    else if (source) sourceIds = [source.id];
+    else unknown.push(arg);
+  }
+  return { date, sourceIds, diet, unknown };
+}
+
+async function runMenu(ctx, args) {
+  const { date, sourceIds = ctx.sources, diet = ctx.diet, unknown } = parseMenuArgs(args);
+  if (unknown.length) {
+    await ctx.reply(
+      `I don't know which day, café or diet "${unknown.join(" ")}" is. Try !menu tomorrow, !menu vegan or !menu blavatnik thursday.`,
+    );
+    return;
+  }
+
+  try {
+    const dayMenu = await getDayMenu(date, { sources: sourceIds, diet });
+    const found = dayMenu.sections.some((section) => section.items.length);
+    if (diet && !found) {
+      await ctx.reply(`No ${DIETS[diet].label} dishes found on the menu.`);
+      return;
+    }
+    await ctx.reply(renderMenu(dayMenu, "whatsapp"));
+  } catch (err) {
+    console.error("Error fetching menu:", err.message);
+    await ctx.reply("Sorry, I couldn't fetch the menu. Try again later.");
+  }
+}
+
+async function runWeek(ctx, args) {
+  const { sourceIds = ctx.sources, diet = ctx.diet, unknown } = parseMenuArgs(args, { allowDay: false });
+  if (unknown.length) {
+    await ctx.reply(`I don't know which café or diet "${unknown.join(" ")}" is. Try !week blavatnik or !week vegan.`);
+    return;
+  }
+
+  try {
+    await ctx.reply(await getWeekMessage(clock.now(), "whatsapp", { sources: sourceIds, diet }));
+  } catch (err) {
+    console.error("Error fetching week menu:", err.message);
+    await ctx.reply("Sorry, I couldn't fetch this week's menu. Try again later.");
+  }
+}
+
+async function runRefresh(ctx, args = []) {
+  const force = args[0]?.toLowerCase() === "force";
+  if (force && !(await ctx.isAdmin())) {
+    await ctx.reply("Sorry, only admins can force the menu images to be parsed again.");
+    return;
+  }
+  await ctx.reply(force ? "Re-reading and re-parsing menus from Gmail..." : "Refreshing menus from Gmail...");
+  try {
+    await Promise.all(Object.values(EMAIL_SOURCES).map((source) => source.checkForNewMenu({ force })));
+    await ctx.reply("Done! Menus refreshed. Send !menu to see the latest.");
+  } catch (err) {
+    console.error("Error refreshing menus:", err.message);
+    await ctx.reply("Something went wrong refreshing the menus.");
+  }
+}
+
+const menuCommands = [
+  {
+    name: "menu",
+    aliases: ["lunch"],
+    usage: "[day] [café] [diet]",
+    description: "Today's menu, or another day's (tomorrow, thursday), one café's or only veg, vegan, gf, df or halal dishes",
+    run: runMenu,
+  },
+  {
+    name: "week",
+    usage: "[café] [diet]",
+    description: "Monday to Friday in one message",
+    run: runWeek,
+  },
+  {
+    name: "refresh",
+    usage: "[force]",
+    description: "Re-check Gmail for new Blavatnik and Schwarzman menus. Admins can add force to parse the images again rather than reuse cached results",
+    run: runRefresh,
+  },
+];
+
+module.exports = { menuCommands, parseMenuArgs };
@@ -0,0 +1,22 @@
+const { EventEmitter } = require("events");
+
+/**
+ * Fired whenever a source's menu is refreshed from upstream (a new email is
+ * parsed, or the Exeter page is scraped):
+ *
+ *   menuEvents.on("items", ({ source, items }) => …)
+ *
+ * `items` are MenuItems for every day the refresh covered, not just today.
+ */
+const menuEvents = new EventEmitter();
+
+function emitMenuItems(source, items) {
+  if (!items.length) return;
+  try {
+    menuEvents.emit("items", { source, items });
+  } catch (err) {
+    console.error(`Error handling refreshed ${source} menu:`, err.message);
+  }
+}
+
+module.exports = { menuEvents, emitMenuItems };
@@ -0,0 +1,106 @@
+const { renderHtmlSections, escapeHtml, formatDate } = require("./render");
+const clock = require("./clock");
+
+const STYLES = `
+  :root { --accent: #002147; --muted: #666; --line: #ddd; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 16px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; color: #222; background: #f7f7f5; }
+  header, nav, main, footer { max-width: 60rem; margin: 0 auto; padding: 0 1rem; }
+  header h1 { margin: 1.5rem 0 0; color: var(--accent); }
+  header p { margin: 0; color: var(--muted); }
+  nav { display: flex; flex-wrap: wrap; gap: 0.25rem; margin-top: 1rem; border-bottom: 2px solid var(--accent); }
+  nav a { padding: 0.5rem 1rem; border-radius: 0.375rem 0.375rem 0 0; color: var(--accent); text-decoration: none; }
+  nav a:hover { background: #e8ecf2; }
+  nav a[aria-current] { background: var(--accent); color: #fff; }
+  main { display: grid; gap: 1rem; padding-top: 1rem; }
+  .day h2.date { margin: 0.5rem 0; }
+  .sections { display: grid; gap: 1rem; grid-template-columns: repeat(auto-fit, minmax(18rem, 1fr)); }
+  .source { background: #fff; border: 1px solid var(--line); border-radius: 0.5rem; padding: 0 1rem 0.5rem; }
+  .source h2 { margin: 0.75rem 0 0; font-size: 1.2rem; color: var(--accent); }
+  .source h3 { margin: 0.75rem 0 0; font-size: 1rem; }
+  .info, .note { margin: 0.25rem 0; color: var(--muted); }
+  .tag { display: inline-block; margin-left: 0.25rem; padding: 0 0.35rem; border-radius: 0.25rem; background: #e3f1e3; font-size: 0.75rem; font-weight: 600; }
+  .empty { color: var(--muted); font-style: italic; }
+  footer { margin: 2rem auto 1rem; color: var(--muted); font-size: 0.875rem; }
+  @media print {
+    body { background: #fff; font-size: 11pt; }
+    nav, footer { display: none; }
+    header h1, .source h2, .day h2.date { color: #000; }
+    .source { border: none; padding: 0; break-inside: avoid; }
+    .tag { background: none; border: 1px solid #000; }
+    .day + .day { break-before: page; }
+  }
+`;
+
+/**
+ * Render the lunch week as a standalone HTML page with a tab per weekday
+ * plus a "Whole week" tab. `selected` is the ISO date of the day to show,
+ * or "week" for all of them. Tab links keep the other query parameters
+ * (e.g. ?sources=) in `query`.
+ */
+function renderMenuPage(weekMenu, { selected, query = new URLSearchParams(), generatedAt = clock.now() } = {}) {
+  const link = (day) => {
+    const params = new URLSearchParams(query);
+    params.set("day", day);
+    return `?${escapeHtml(params.toString())}`;
+  };
+  const tab = (day, label) => {
+    const current = day === selected ? ' aria-current="page"' : "";
+    return `<a href="${link(day)}"${current}>${escapeHtml(label)}</a>`;
+  };
+
+  const tabs = weekMenu.days.map((day) =>
+    tab(day.date, formatDate(day.date, { weekday: "short", year: undefined })),
+  );
+  tabs.push(tab("week", "Whole week"));
+
+  const days = weekMenu.days.filter((day) => selected === "week" || day.date === selected);
+  const articles = days.map((day) =>
+    [
+      `<article class="day" id="day-${day.date}">`,
+      `<h2 class="date">${escapeHtml(formatDate(day.date))}</h2>`,
+      `<div class="sections">`,
+      renderHtmlSections(day),
+      "</div>",
+      "</article>",
+    ].join("\n"),
+  );
+
+  const updated = generatedAt.toLocaleTimeString("en-GB", { hour: "2-digit", minute: "2-digit" });
+  return `<!DOCTYPE html>
+<html lang="en-GB">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Lunch Menu</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>Lunch Menu</h1>
+<p>Week of ${escapeHtml(formatDate(weekMenu.weekCommencing, { weekday: undefined, year: "numeric" }))}</p>
+</header>
+<nav>
+${tabs.join("\n")}
+</nav>
+<main>
+${articles.join("\n")}
+</main>
+<footer>Updated at ${escapeHtml(updated)}. Menus can change on the day.</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * The tab to show for a ?day= value: a date within the week, "week", or
+ * today when it falls in the week (otherwise the Monday).
+ */
+function selectDay(weekMenu, day, today) {
+  if (day === "week") return "week";
+  const dates = weekMenu.days.map((d) => d.date);
+  if (dates.includes(day)) return day;
+  return dates.includes(today) ? today : dates[0];
+}
+
+module.exports = { renderMenuPage, selectDay };
@@ -0,0 +1,58 @@
+/**
+ * A single dish on a café's menu for one day.
+ *
+ * @typedef {Object} MenuItem
+ * @property {string} source        Source id from config.json
+ * @property {string} date          Day the item is served, as YYYY-MM-DD
+ * @property {string|null} category Menu heading the item sits under, if any
+ * @property {string} name          Dish name with calorie counts removed
+ * @property {string[]} tags        Dietary tags, e.g. "V"
+ * @property {number|null} kcal     Calories, when the menu lists them
+ * @property {number} position      0-based order within the source's menu
+ */
+
+/**
+ * A source's menu for one day: its items plus any notes for the reader
+ * (e.g. "Menu not yet updated this week").
+ *
+ * @typedef {Object} SourceMenu
+ * @property {MenuItem[]} items
+ * @property {string[]} notes
+ * @property {boolean} [stale]      Set when the items are an older week's
+ *                                  menu standing in for this week's
+ */
+
+const { extractTags, sortTags } = require("./dietary");
+
+const KCAL_RE = /~?(\d[\d,]*)\s*kcal/i;
+
+function stripCalories(text) {
+  return text
+    .replace(/\s*[—–-]\s*~?\d[\d,]*\s*kcal/gi, "")
+    .replace(/\s*\(?\s*~?\d[\d,]*\s*kcal\s*\)?/gi, "")
+    .trim();
+}
+
+function parseKcal(text) {
+  const match = text.match(KCAL_RE);
+  return match ? Number(match[1].replace(/,/g, "")) : null;
+}
+
+/**
+ * Build a MenuItem from raw menu text, pulling out the calorie count and
+ * any dietary markers. `tags` adds to the markers found in the text.
+ */
+function toMenuItem(text, { source, date, category = null, position, tags = [] }) {
+  const extracted = extractTags(stripCalories(text));
+  return {
+    source,
+    date,
+    category,
+    name: extracted.name,
+    tags: sortTags([...tags, ...extracted.tags]),
+    kcal: parseKcal(text),
+    position,
+  };
+}
+
+module.exports = { toMenuItem, stripCalories, parseKcal };
@@ -0,0 +1,149 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { toISODate } = require("./dates");
+const clock = require("./clock");
+
+const POLLS_PATH = path.join(__dirname, "data", "polls.json");
+const POLL_QUESTION = "Where are we eating?";
+const ELSEWHERE_OPTION = "Somewhere else";
+
+/**
+ * Read the poll store, keyed by the poll message's id:
+ * { [messageId]: { group, chatJid, date, options, secret, votes: { [voterJid]: [option] }, closed } }
+ * `secret` is the poll's base64 message secret, needed to decrypt votes.
+ */
+function loadPolls(filePath = POLLS_PATH) {
+  if (!fs.existsSync(filePath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (err) {
+    console.error("Polls: could not read file:", err.message);
+    return {};
+  }
+}
+
+/**
+ * Save the poll store, dropping polls from before `now`'s day.
+ */
+function savePolls(polls, { now = clock.now(), filePath = POLLS_PATH } = {}) {
+  const today = toISODate(now);
+  const kept = Object.fromEntries(Object.entries(polls).filter(([, poll]) => poll.date >= today));
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(kept, null, 2));
+}
+
+/**
+ * Poll options for a day's menu: each café with items, then a catch-all.
+ * Returns [] when no café has a menu, since there's nothing to vote on.
+ */
+function pollOptions(dayMenu) {
+  const cafes = dayMenu.sections
+    .filter((section) => section.items.length)
+    .map((section) => section.source.name);
+  return cafes.length ? [...cafes, ELSEWHERE_OPTION] : [];
+}
+
+/**
+ * Build the poll to send (for sock.sendMessage) and the record to store
+ * once it's sent.
+ */
+function createPoll(group, options, { now = clock.now() } = {}) {
+  const secret = crypto.randomBytes(32);
+  return {
+    message: { poll: { name: POLL_QUESTION, values: options, selectableCount: 1, messageSecret: secret } },
+    record: {
+      group: group.name,
+      date: toISODate(now),
+      options,
+      secret: secret.toString("base64"),
+      votes: {},
+      closed: false,
+    },
+  };
+}
+
+/**
+ * Store a poll once WhatsApp has given it a message id.
+ */
+function savePoll(messageId, chatJid, record, { now = clock.now(), filePath = POLLS_PATH } = {}) {
+  const polls = loadPolls(filePath);
+  polls[messageId] = { ...record, chatJid };
+  savePolls(polls, { now, filePath });
+}
+
+/**
+ * WhatsApp identifies chosen options by the SHA-256 of their text.
+ */
+function optionHash(option) {
+  return crypto.createHash("sha256").update(option).digest("hex");
+}
+
+/**
+ * Record a voter's (decrypted) choice on a poll, replacing any earlier
+ * vote. An empty selection withdraws the vote. Votes on unknown or closed
+ * polls are ignored. Returns true if the vote was recorded.
+ */
+function recordVote(messageId, voterJid, selectedHashes, { now = clock.now(), filePath = POLLS_PATH } = {}) {
+  const polls = loadPolls(filePath);
+  const poll = polls[messageId];
+  if (!poll || poll.closed) return false;
+
+  const hashes = selectedHashes.map((hash) => Buffer.from(hash).toString("hex"));
+  const chosen = poll.options.filter((option) => hashes.includes(optionHash(option)));
+  if (chosen.length) poll.votes[voterJid] = chosen;
+  else delete poll.votes[voterJid];
+  savePolls(polls, { now, filePath });
+  return true;
+}
+
+/**
+ * Close today's open poll for a group and return it, or null if there
+ * isn't one.
+ */
+function closePoll(groupName, { now = clock.now(), filePath = POLLS_PATH } = {}) {
+  const polls = loadPolls(filePath);
+  const today = toISODate(now);
+  const entry = Object.entries(polls).find(
+    ([, poll]) => poll.group === groupName && poll.date === today && !poll.closed,
+  );
+  if (!entry) return null;
+
+  entry[1].closed = true;
+  savePolls(polls, { now, filePath });
+  return entry[1];
+}
+
+/**
+ * The results message for a closed poll, most popular first.
+ */
+function formatTally(poll) {
+  const counts = new Map(poll.options.map((option) => [option, 0]));
+  for (const chosen of Object.values(poll.votes)) {
+    for (const option of chosen) counts.set(option, (counts.get(option) || 0) + 1);
+  }
+
+  const total = Object.keys(poll.votes).length;
+  if (!total) return `*${POLL_QUESTION}*\nNo votes today.`;
+
+  const ranked = [...counts.entries()].filter(([, n]) => n).sort((a, b) => b[1] - a[1]);
+  const lines = [`*${POLL_QUESTION}* — ${total} vote${total === 1 ? "" : "s"}`];
+  for (const [option, n] of ranked) lines.push(`${option}: ${n}`);
+  const [top, runnerUp] = ranked;
+  const winner = (!runnerUp || runnerUp[1] < top[1]) && top[0] !== ELSEWHERE_OPTION;
+  if (winner) lines.push("", `See you at ${top[0]}! 🍽️`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  pollOptions,
+  createPoll,
+  savePoll,
+  recordVote,
+  closePoll,
+  formatTally,
+  optionHash,
+  loadPolls,
+  POLLS_PATH,
+  POLL_QUESTION,
+};
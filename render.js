@@ -0,0 +1,284 @@
+/**
+ * Rendering layer: turns structured menus into text for a given channel.
+ *
+ * A day menu is { date, sections } where each section is
+ * { source, items, notes } and source carries the display fields from
+ * config.json (name, hours, price, description, numbered). A section
+ * marked `unavailable` couldn't be fetched and is shown as a warning.
+ * A week menu is { weekCommencing, days: [dayMenu, …] }.
+ */
+const { toISODate } = require("./dates");
+const clock = require("./clock");
+
+const RENDERERS = {
+  whatsapp: { day: renderWhatsApp, week: renderWhatsAppWeek },
+  text: { day: renderText, week: renderTextWeek },
+  markdown: { day: renderMarkdown, week: renderMarkdownWeek },
+  html: { day: renderHtml, week: renderHtmlWeek },
+  json: { day: renderJson, week: renderJson },
+};
+
+function getRenderer(format) {
+  const renderer = RENDERERS[format];
+  if (!renderer) throw new Error(`Unknown menu format "${format}"`);
+  return renderer;
+}
+
+function renderMenu(dayMenu, format = "whatsapp") {
+  return getRenderer(format).day(dayMenu);
+}
+
+function renderWeek(weekMenu, format = "whatsapp") {
+  return getRenderer(format).week(weekMenu);
+}
+
+function formatDate(isoDate, options = { year: "numeric" }) {
+  return new Date(`${isoDate}T00:00:00`).toLocaleDateString("en-GB", {
+    weekday: "long",
+    day: "numeric",
+    month: "short",
+    ...options,
+  });
+}
+
+function formatWeek(isoDate) {
+  return new Date(`${isoDate}T00:00:00`).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "short",
+  });
+}
+
+function emptyMessage(isoDate) {
+  const day = isoDate === toISODate(clock.now()) ? "today" : formatDate(isoDate, {});
+  return `No menu items found for ${day}.`;
+}
+
+function unavailableMessage(source) {
+  return `⚠️ ${source.name} menu unavailable right now`;
+}
+
+function visibleSections(dayMenu) {
+  return dayMenu.sections.filter((section) => section.items.length || section.unavailable);
+}
+
+/**
+ * Split a section's items into runs sharing the same category, in menu order.
+ */
+function groupByCategory(items) {
+  const groups = [];
+  for (const item of items) {
+    const last = groups[groups.length - 1];
+    if (last && last.category === item.category) {
+      last.items.push(item);
+    } else {
+      groups.push({ category: item.category, items: [item] });
+    }
+  }
+  return groups;
+}
+
+function itemLabel(item) {
+  return item.tags.length ? `${item.name} (${item.tags.join(", ")})` : item.name;
+}
+
+function infoParts(source) {
+  return [
+    source.hours && { icon: "🕐", text: source.hours },
+    source.price && { icon: "💷", text: source.price },
+  ].filter(Boolean);
+}
+
+// --- Line-based formats (WhatsApp, plain text, Markdown) ---
+
+function renderSections(dayMenu, style) {
+  const sections = visibleSections(dayMenu);
+  const lines = [];
+
+  for (const { source, items, notes, unavailable } of sections) {
+    if (unavailable) {
+      lines.push("", unavailableMessage(source));
+      continue;
+    }
+    lines.push("", style.sourceHeading(source.name));
+    const info = style.info(infoParts(source));
+    if (info) lines.push(info);
+    for (const note of notes) lines.push(style.note(note));
+    if (source.description) lines.push(style.description(source.description));
+
+    for (const group of groupByCategory(items)) {
+      if (group.category) lines.push("", style.categoryHeading(group.category));
+      for (const item of group.items) {
+        const marker = source.numbered ? `${item.position + 1}.` : style.bullet;
+        lines.push(`${marker} ${itemLabel(item)}`);
+      }
+    }
+  }
+
+  if (!sections.length) lines.push("", emptyMessage(dayMenu.date));
+  return lines;
+}
+
+function renderLines(dayMenu, style) {
+  const lines = [...style.title(formatDate(dayMenu.date)), ...renderSections(dayMenu, style)];
+  return lines.join("\n") + "\n";
+}
+
+function renderWeekLines(weekMenu, style) {
+  const lines = [...style.weekTitle(formatWeek(weekMenu.weekCommencing))];
+  for (const dayMenu of weekMenu.days) {
+    lines.push("", style.dayHeading(formatDate(dayMenu.date, {})));
+    lines.push(...renderSections(dayMenu, style));
+  }
+  return lines.join("\n") + "\n";
+}
+
+const WHATSAPP_STYLE = {
+  title: (date) => ["🍽 *Lunch Menu*", `📅 ${date}`],
+  weekTitle: (week) => [`🍽 *Lunch Menu — week of ${week}*`],
+  dayHeading: (date) => `📅 *${date}*`,
+  sourceHeading: (name) => `*--- ${name} ---*`,
+  info: (parts) => parts.map((p) => `${p.icon} ${p.text}`).join(" · "),
+  note: (note) => `_${note}_`,
+  description: (text) => `*${text}*`,
+  categoryHeading: (category) => `*${category}*`,
+  bullet: "•",
+};
+
+const TEXT_STYLE = {
+  title: (date) => [`Lunch Menu — ${date}`],
+  weekTitle: (week) => [`Lunch Menu — week of ${week}`],
+  dayHeading: (date) => `=== ${date} ===`,
+  sourceHeading: (name) => name.toUpperCase(),
+  info: (parts) => parts.map((p) => p.text).join(" · "),
+  note: (note) => `(${note})`,
+  description: (text) => text,
+  categoryHeading: (category) => `${category}:`,
+  bullet: "-",
+};
+
+const MARKDOWN_STYLE = {
+  title: (date) => [`# Lunch Menu — ${date}`],
+  weekTitle: (week) => [`# Lunch Menu — week of ${week}`],
+  dayHeading: (date) => `## ${date}`,
+  sourceHeading: (name) => `## ${name}`,
+  info: (parts) => parts.map((p) => `${p.icon} ${p.text}`).join(" · "),
+  note: (note) => `_${note}_`,
+  description: (text) => `**${text}**`,
+  categoryHeading: (category) => `### ${category}`,
+  bullet: "-",
+};
+
+// In a week, each day takes the second heading level, so sources move down one.
+const MARKDOWN_WEEK_STYLE = {
+  ...MARKDOWN_STYLE,
+  sourceHeading: (name) => `### ${name}`,
+  categoryHeading: (category) => `#### ${category}`,
+};
+
+function renderWhatsApp(dayMenu) {
+  return renderLines(dayMenu, WHATSAPP_STYLE);
+}
+
+function renderWhatsAppWeek(weekMenu) {
+  return renderWeekLines(weekMenu, WHATSAPP_STYLE);
+}
+
+function renderText(dayMenu) {
+  return renderLines(dayMenu, TEXT_STYLE);
+}
+
+function renderTextWeek(weekMenu) {
+  return renderWeekLines(weekMenu, TEXT_STYLE);
+}
+
+function renderMarkdown(dayMenu) {
+  return renderLines(dayMenu, MARKDOWN_STYLE);
+}
+
+function renderMarkdownWeek(weekMenu) {
+  return renderWeekLines(weekMenu, MARKDOWN_WEEK_STYLE);
+}
+
+// --- HTML ---
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function renderHtmlSection({ source, items, notes, unavailable }) {
+  if (unavailable) {
+    return `<p class="unavailable">${escapeHtml(unavailableMessage(source))}</p>`;
+  }
+  const parts = [`<section class="source" id="${escapeHtml(source.id)}">`];
+  parts.push(`<h2>${escapeHtml(source.name)}</h2>`);
+  const info = infoParts(source).map((p) => `${p.icon} ${escapeHtml(p.text)}`).join(" · ");
+  if (info) parts.push(`<p class="info">${info}</p>`);
+  for (const note of notes) parts.push(`<p class="note"><em>${escapeHtml(note)}</em></p>`);
+  if (source.description) {
+    parts.push(`<p class="description"><strong>${escapeHtml(source.description)}</strong></p>`);
+  }
+
+  const listTag = source.numbered ? "ol" : "ul";
+  for (const group of groupByCategory(items)) {
+    if (group.category) parts.push(`<h3>${escapeHtml(group.category)}</h3>`);
+    parts.push(`<${listTag}>`);
+    for (const item of group.items) {
+      const tags = item.tags
+        .map((tag) => ` <span class="tag">${escapeHtml(tag)}</span>`)
+        .join("");
+      parts.push(`<li>${escapeHtml(item.name)}${tags}</li>`);
+    }
+    parts.push(`</${listTag}>`);
+  }
+
+  parts.push("</section>");
+  return parts.join("\n");
+}
+
+function renderHtmlSections(dayMenu) {
+  const sections = visibleSections(dayMenu);
+  return sections.length
+    ? sections.map(renderHtmlSection).join("\n")
+    : `<p class="empty">${escapeHtml(emptyMessage(dayMenu.date))}</p>`;
+}
+
+/**
+ * Render a day's menu as an HTML fragment (no <html>/<body> wrapper).
+ */
+function renderHtml(dayMenu) {
+  const title = `<h1>Lunch Menu — ${escapeHtml(formatDate(dayMenu.date))}</h1>`;
+  return `${title}\n${renderHtmlSections(dayMenu)}\n`;
+}
+
+/**
+ * Render a week as an HTML fragment with one <article> per day.
+ */
+function renderHtmlWeek(weekMenu) {
+  const parts = [`<h1>Lunch Menu — week of ${escapeHtml(formatWeek(weekMenu.weekCommencing))}</h1>`];
+  for (const dayMenu of weekMenu.days) {
+    parts.push(`<article class="day" id="day-${dayMenu.date}">`);
+    parts.push(`<h1>${escapeHtml(formatDate(dayMenu.date, {}))}</h1>`);
+    parts.push(renderHtmlSections(dayMenu));
+    parts.push("</article>");
+  }
+  return `${parts.join("\n")}\n`;
+}
+
+// --- JSON ---
+
+function renderJson(menu) {
+  return JSON.stringify(menu, null, 2);
+}
+
+module.exports = {
+  renderMenu,
+  renderWeek,
+  renderHtmlSections,
+  escapeHtml,
+  formatDate,
+  RENDERERS,
+};
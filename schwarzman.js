@@ -1,148 +1,12 @@
-const { ImapFlow } = require("imapflow");
-const { simpleParser } = require("mailparser");
-const Anthropic = require("@anthropic-ai/sdk");
-const sharp = require("sharp");
-const fs = require("fs");
-const path = require("path");
-const { getWeekMonday } = require("./blavatnik");
+const { toMenuItem } = require("./menu");
+const { createEmailSource } = require("./email-source");
 
-const MENU_PATH = path.join(__dirname, "data", "schwarzman-menu.json");
+// The "Build Your Own" steps, as the prompt asks Claude to name them.
+const CATEGORIES = ["Base", "Sides", "Protein", "Toppings", "Sauces & Pickles"];
 
-// Categories to omit from the formatted output (minor items, keeps message concise)
-const SKIP_CATEGORIES = ["toppings", "sauces & pickles"];
-
-/**
- * Connect to Gmail via IMAP, find the latest Schwarzman menu email,
- * download the image attachment, parse it with Claude Vision, and save the result.
- */
-async function checkForNewSchwarzmanMenu() {
-  const user = process.env.GMAIL_USER;
-  const pass = process.env.GMAIL_APP_PASSWORD;
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-
-  if (!user || !pass || !apiKey) {
-    console.warn(
-      "Schwarzman: missing GMAIL_USER, GMAIL_APP_PASSWORD, or ANTHROPIC_API_KEY — skipping.",
-    );
-    return;
-  }
-
-  const client = new ImapFlow({
-    host: "imap.gmail.com",
-    port: 993,
-    secure: true,
-    auth: { user, pass },
-    logger: false,
-  });
-
-  try {
-    await client.connect();
-    const lock = await client.getMailboxLock("INBOX");
-
-    try {
-      const messages = await client.search(
-        { subject: "Schwarzman Menu" },
-        { uid: true },
-      );
-
-      if (!messages.length) {
-        console.log("Schwarzman: no menu emails found.");
-        return;
-      }
-
-      // Fetch the most recent matching message
-      const uid = messages[messages.length - 1];
-      const raw = await client.download(uid, undefined, { uid: true });
-
-      const parsed = await simpleParser(raw.content);
-
-      // Only process if the email is from the current week
-      const emailDate = parsed.date;
-      if (emailDate) {
-        const emailWeekMonday = getWeekMonday(emailDate);
-        const currentMonday = getWeekMonday();
-        if (emailWeekMonday.toDateString() !== currentMonday.toDateString()) {
-          console.log(`Schwarzman: latest email is from ${emailDate.toDateString()} (not current week), skipping.`);
-          return;
-        }
-      }
-
-      const imageAttachments = parsed.attachments.filter(
-        (a) => a.contentType === "image/png" || a.contentType === "image/jpeg",
-      );
-
-      if (!imageAttachments.length) {
-        console.log("Schwarzman: no PNG/JPEG attachment found in latest email.");
-        return;
-      }
-
-      // Try each image until one yields actual menu data
-      let menuData = null;
-      for (const attachment of imageAttachments) {
-        console.log(`Schwarzman: trying attachment "${attachment.filename}" (${Math.round(attachment.size / 1024)}KB)...`);
-        menuData = await parseMenuImage(attachment.content, attachment.contentType, apiKey);
-        const hasCategories = menuData && Object.keys(menuData).length > 0;
-        if (hasCategories) break;
-        menuData = null;
-      }
-
-      if (menuData) {
-        saveMenu(menuData);
-        console.log("Schwarzman: menu saved successfully.");
-      } else {
-        console.log("Schwarzman: no menu data found in any attachment.");
-      }
-    } finally {
-      lock.release();
-    }
-
-    await client.logout();
-  } catch (err) {
-    console.error("Schwarzman: IMAP error:", err.message);
-  }
-}
-
-/**
- * Send the image buffer to Claude Vision API and extract structured menu data.
- */
-async function parseMenuImage(imageBuffer, contentType, apiKey) {
-  const anthropic = new Anthropic({ apiKey });
-
-  // Compress large images to stay under Claude Vision's 5MB base64 limit
-  const MAX_SIZE = 4 * 1024 * 1024;
-  if (imageBuffer.length > MAX_SIZE) {
-    console.log(`Schwarzman: compressing image (${Math.round(imageBuffer.length / 1024)}KB → `);
-    imageBuffer = await sharp(imageBuffer)
-      .resize({ width: 2000, withoutEnlargement: true })
-      .jpeg({ quality: 80 })
-      .toBuffer();
-    contentType = "image/jpeg";
-    console.log(`${Math.round(imageBuffer.length / 1024)}KB)`);
-  }
-
-  const base64Image = imageBuffer.toString("base64");
-  const mediaType = contentType === "image/jpeg" ? "image/jpeg" : "image/png";
+const PROMPT = `Extract the "Build Your Own" lunch menu from this image. Return ONLY valid JSON with no markdown or code fences.
 
-  const response = await anthropic.messages.create({
-    model: "claude-sonnet-4-5-20250929",
-    max_tokens: 2048,
-    messages: [
-      {
-        role: "user",
-        content: [
-          {
-            type: "image",
-            source: {
-              type: "base64",
-              media_type: mediaType,
-              data: base64Image,
-            },
-          },
-          {
-            type: "text",
-            text: `Extract the "Build Your Own" lunch menu from this image. Return ONLY valid JSON with no markdown or code fences.
-
-The menu has step-based categories (e.g. "STEP 1 CHOOSE YOUR BASE"). Simplify the category names to just: "Base", "Sides", "Protein", "Toppings", "Sauces & Pickles", etc.
+The menu has step-based categories (e.g. "STEP 1 CHOOSE YOUR BASE"). Simplify the category names to just: ${CATEGORIES.map((c) => `"${c}"`).join(", ")}. Use no other keys.
 
 Return a JSON object where keys are the simplified category names and values are arrays of ALL food items in that category:
 {
@@ -155,115 +19,44 @@ Important:
 - Include ALL food items you can read in each category — do not skip any
 - Join item names that wrap across multiple lines into a single string (e.g. "Crispy Chilli" + "Beef" on two lines = "Crispy Chilli Beef")
 - Only include actual food items — skip headers, instructions, pricing info, calorie counts, and labels like "WEEKLY MENU", "BUNDLE PRICE", "SELECT ANY TWO", "PLUS", "Additional side/protein"
-- Preserve the exact order items appear in each category`,
-          },
-        ],
-      },
-    ],
-  });
+- Preserve the exact order items appear in each category`;
 
-  const text = response.content[0].text.trim();
-  try {
-    return JSON.parse(text);
-  } catch {
-    const match = text.match(/\{[\s\S]*\}/);
-    if (match) {
-      return JSON.parse(match[0]);
-    }
-    console.error("Schwarzman: failed to parse Vision API response:", text);
-    return null;
-  }
-}
-
-/**
- * Save parsed menu data to disk, tagged with the Monday of the current week.
- */
-function saveMenu(menuData) {
-  const payload = {
-    weekCommencing: getWeekMonday().toISOString(),
-    lastChecked: new Date().toDateString(),
-    menu: menuData,
-  };
-  fs.mkdirSync(path.dirname(MENU_PATH), { recursive: true });
-  fs.writeFileSync(MENU_PATH, JSON.stringify(payload, null, 2));
-}
+// Categories to omit from the formatted output (minor items, keeps message concise)
+const SKIP_CATEGORIES = ["toppings", "sauces & pickles"];
 
 /**
- * Format the Schwarzman "Build Your Own" menu for WhatsApp.
+ * Convert the Schwarzman "Build Your Own" menu into MenuItems, one per dish,
+ * with the step category ("Base", "Protein", …) kept on each item. The
+ * same dishes run all week, so every weekday gets them.
  */
-function formatMenu(menuData) {
-  const lines = [];
-  lines.push("*1 Base + 1 Protein + 2 Sides*");
-
-  for (const [category, items] of Object.entries(menuData)) {
-    if (!Array.isArray(items) || !items.length) continue;
+function toItems(menuData, { source, date }) {
+  const items = [];
+  for (const [category, dishes] of Object.entries(menuData)) {
+    if (!Array.isArray(dishes) || !dishes.length) continue;
     if (SKIP_CATEGORIES.includes(category.toLowerCase())) continue;
 
-    lines.push("");
-    lines.push(`*${category}*`);
-    for (const item of items) {
-      lines.push(`• ${item}`);
+    for (const text of dishes) {
+      items.push(toMenuItem(text, { source, date, category, position: items.length }));
     }
   }
-
-  return lines;
-}
-
-/**
- * Update lastChecked in the cache file to avoid re-checking Gmail repeatedly.
- */
-function updateLastChecked(menuPath) {
-  if (!fs.existsSync(menuPath)) return;
-  try {
-    const data = JSON.parse(fs.readFileSync(menuPath, "utf-8"));
-    data.lastChecked = new Date().toDateString();
-    fs.writeFileSync(menuPath, JSON.stringify(data, null, 2));
-  } catch { /* ignore */ }
-}
-
-/**
- * Read cached menu and return formatted items.
- * Since the Schwarzman menu is the same all week, the `today` parameter is ignored.
- * Refreshes only when the cached week differs from the current week.
- */
-async function fetchSchwarzman(_today) {
-  let needsRefresh = true;
-  if (fs.existsSync(MENU_PATH)) {
-    try {
-      const cached = JSON.parse(fs.readFileSync(MENU_PATH, "utf-8"));
-      const cachedMonday = cached.weekCommencing
-        ? new Date(cached.weekCommencing).toDateString()
-        : null;
-      const currentMonday = getWeekMonday().toDateString();
-      if (cachedMonday === currentMonday) {
-        needsRefresh = false;
-      } else if (cached.lastChecked === new Date().toDateString()) {
-        needsRefresh = false;
-      }
-    } catch {
-      // Corrupted file, will refresh
-    }
-  }
-
-  if (needsRefresh) {
-    await checkForNewSchwarzmanMenu();
-    updateLastChecked(MENU_PATH);
-  }
-
-  if (!fs.existsSync(MENU_PATH)) return [];
-
-  try {
-    const cached = JSON.parse(fs.readFileSync(MENU_PATH, "utf-8"));
-    const cachedMonday = cached.weekCommencing
-      ? new Date(cached.weekCommencing).toDateString()
-      : null;
-    const stale = cachedMonday !== getWeekMonday().toDateString();
-    const lines = formatMenu(cached.menu);
-    if (stale && lines.length) lines.unshift("_Menu not yet updated this week_");
-    return lines;
-  } catch {
-    return [];
-  }
+  return items;
 }
 
-module.exports = { fetchSchwarzman, checkForNewSchwarzmanMenu };
+// Each week's email covers the week it's sent. Only known categories, and
+// there's always a base and a protein to choose.
+const schwarzman = createEmailSource({
+  id: "schwarzman",
+  label: "Schwarzman",
+  subject: "Schwarzman Menu",
+  weekOffset: 0,
+  prompt: PROMPT,
+  promptVersion: "schwarzman-2",
+  schema: { keys: CATEGORIES, required: ["Base", "Protein"], maxItems: 15 },
+  toItems,
+});
+
+module.exports = {
+  ...schwarzman,
+  fetchSchwarzman: schwarzman.fetch,
+  checkForNewSchwarzmanMenu: schwarzman.checkForNewMenu,
+};
@@ -1,111 +1,296 @@
 const axios = require("axios");
 const cheerio = require("cheerio");
-const { fetchBlavatnik } = require("./blavatnik");
-const { fetchSchwarzman } = require("./schwarzman");
-
-const DAYS = [
-  "Sunday",
-  "Monday",
-  "Tuesday",
-  "Wednesday",
-  "Thursday",
-  "Friday",
-  "Saturday",
-];
+const { EMAIL_SOURCES } = require("./email-sources");
+const { getConfig } = require("./config");
+const {
+  DAYS,
+  WEEKDAYS,
+  getWeekMonday,
+  getLunchWeekMonday,
+  toISODate,
+  addDays,
+  dateOfWeekday,
+} = require("./dates");
+const { toMenuItem } = require("./menu");
+const { filterDayMenu } = require("./dietary");
+const { emitMenuItems } = require("./menu-events");
+const { renderMenu, renderWeek } = require("./render");
+const { normalize, closestMatch } = require("./fuzzy");
+const clock = require("./clock");
 
 const DAY_PREFIX_RE = new RegExp(
   `^(${DAYS.join("|")})\\s*[–—-]\\s*`,
 );
 
-function stripCalories(text) {
-  return text
-    .replace(/\s*[—–-]\s*~?\d[\d,]*\s*kcal/gi, "")
-    .replace(/\s*\(?\s*~?\d[\d,]*\s*kcal\s*\)?/gi, "")
-    .trim();
+// --- Menu sources ---
+// Sources are declared in config.json; each type maps to a fetch function
+// that returns a SourceMenu ({ items, notes }) for the given date, and a
+// fetchWeek function that returns one SourceMenu for each weekday of the
+// week containing the date from a single fetch.
+
+const SOURCE_FETCHERS = {
+  "exeter-html": (source) => ({
+    fetch: (date) => fetchExeterSection(source, date, { timeoutMs: sourceTimeoutMs(source) }),
+    fetchWeek: (date) => fetchExeterWeek(source, date, { timeoutMs: sourceTimeoutMs(source) }),
+  }),
+  "email-vision": (source) => ({
+    fetch: (date, options = {}) => EMAIL_SOURCES[source.handler].fetch(date, { ...options, source: source.id }),
+    fetchWeek: (date) => EMAIL_SOURCES[source.handler].fetchWeek(date, { source: source.id }),
+  }),
+  static: (source) => ({
+    fetch: async (date) => staticMenu(source, date),
+    fetchWeek: async (date) =>
+      WEEKDAYS.map((day) => staticMenu(source, dateOfWeekday(day, getWeekMonday(date)))),
+  }),
+};
+
+// How long each type of source gets to answer before the message goes
+// without it, unless the source sets "timeout" (seconds). An emailed menu
+// may need an IMAP search and several Vision attempts.
+const SOURCE_TIMEOUTS_MS = {
+  "exeter-html": 15 * 1000,
+  "email-vision": 90 * 1000,
+  static: 5 * 1000,
+};
+
+let menuSources = null;
+
+/**
+ * Return the configured menu sources, building them on first use.
+ * Throws if the config is missing or invalid.
+ */
+function getMenuSources() {
+  if (!menuSources) menuSources = buildMenuSources(getConfig());
+  return menuSources;
 }
 
-// --- Menu sources ---
-// Each has a fetch function that returns an array of formatted lines.
-// To add Schwarzman, Blavatnik, etc., just add a new entry here.
-
-const MENU_SOURCES = [
-  {
-    name: "Dakota Café (Cohen Quad)",
-    info: "🕐 12:00–13:30 · 💷 £3.80",
-    fetch: fetchCohenQuad,
-  },
-  {
-    name: "Blavatnik Café",
-    info: "🕐 12:00–13:30 · 💷 £5.50",
-    fetch: fetchBlavatnik,
-  },
-  {
-    name: "Schwarzman Centre",
-    info: "🕐 12:00–14:00 · 💷 £7.95",
-    fetch: fetchSchwarzman,
-  },
-];
+/**
+ * Turn validated config entries into sources with fetch and fetchWeek functions.
+ */
+function buildMenuSources(config) {
+  return config.sources.map((source) => ({
+    ...source,
+    ...SOURCE_FETCHERS[source.type](source),
+  }));
+}
+
+// Generic words in café names that shouldn't pick out a source on their own.
+const NAME_STOPWORDS = new Set(["cafe", "centre", "center", "the", "college"]);
 
 /**
- * Fetch and compile all menus into a single WhatsApp message.
+ * Find the source a user meant by a (possibly misspelt) name, e.g. "blav"
+ * or "schwartzman". Matches ids, aliases, full names and distinctive words
+ * of names. Returns null if nothing or more than one source matches.
  */
-async function getTodaysMenu() {
-  const today = DAYS[new Date().getDay()];
-  const dateStr = new Date().toLocaleDateString("en-GB", {
-    weekday: "long",
-    day: "numeric",
-    month: "short",
-    year: "numeric",
-  });
+function findSource(query, sources = getMenuSources()) {
+  return closestMatch(query, sources, (source) => [
+    source.id,
+    source.name,
+    ...(source.aliases || []),
+    ...normalize(source.name)
+      .split(" ")
+      .filter((word) => word.length >= 4 && !NAME_STOPWORDS.has(word)),
+  ]);
+}
 
-  let msg = `🍽 *Lunch Menu*\n📅 ${dateStr}\n`;
-
-  let anyItems = false;
-  for (const source of MENU_SOURCES) {
-    try {
-      const items = await source.fetch(today);
-      if (items.length) {
-        anyItems = true;
-        msg += `\n*--- ${source.name} ---*\n`;
-        msg += `${source.info}\n`;
-        msg += items.join("\n");
-        msg += "\n";
-      }
-    } catch (err) {
-      console.error(`Error fetching ${source.name}:`, err.message);
-    }
-  }
+/**
+ * The display fields of a source, as passed to the rendering layer.
+ */
+function describeSource(source) {
+  const { id, name, hours, price, description, numbered = false } = source;
+  return { id, name, hours, price, description, numbered };
+}
+
+function staticMenu(source, date) {
+  const texts = Array.isArray(source.items)
+    ? source.items
+    : source.items[DAYS[date.getDay()]] || [];
+  return {
+    items: texts.map((text, i) =>
+      toMenuItem(text, { source: source.id, date: toISODate(date), position: i }),
+    ),
+    notes: [],
+  };
+}
+
+/**
+ * Fetch every source's menu for one day as structured data:
+ * { date, sections: [{ source, items, notes }] }.
+ * Sources are fetched at the same time, each within its timeout; one that
+ * fails or runs out of time gets an empty section marked `unavailable`,
+ * so the message says so rather than leaving the café out. A section
+ * showing an older week's menu in place of this week's is marked `stale`.
+ * `sources` limits it to the given source ids and `diet` (e.g. "vegan") to
+ * the items that suit it; other options are passed through to the fetchers
+ * (e.g. { fallback: false }).
+ */
+async function getDayMenu(date = clock.now(), { sources, diet, ...options } = {}) {
+  const day = addDays(date, 0);
+  const sections = await Promise.all(
+    selectSources(sources).map((source) => fetchSection(source, day, options)),
+  );
+  return filterDayMenu({ date: toISODate(day), sections }, diet);
+}
+
+async function fetchSection(source, day, options) {
+  const [section] = await fetchSections(source, async () => [await source.fetch(day, options)], 1);
+  return section;
+}
 
-  if (!anyItems) {
-    msg += "\nNo menu items found for today.";
+/**
+ * Run `fetchMenus()`, which returns `count` SourceMenus, within the
+ * source's timeout and turn them into sections. If it fails, all `count`
+ * sections are marked unavailable.
+ */
+async function fetchSections(source, fetchMenus, count) {
+  const started = Date.now();
+  try {
+    const menus = await withTimeout(fetchMenus(), sourceTimeoutMs(source));
+    const itemCount = menus.reduce((total, menu) => total + menu.items.length, 0);
+    console.log(`${source.name}: fetched ${itemCount} items in ${Date.now() - started}ms.`);
+    return menus.map(({ items, notes, stale }) => ({
+      source: describeSource(source),
+      items,
+      notes,
+      ...(stale && { stale: true }),
+    }));
+  } catch (err) {
+    console.error(`${source.name}: menu unavailable after ${Date.now() - started}ms:`, err.message);
+    return Array.from({ length: count }, () => ({
+      source: describeSource(source),
+      items: [],
+      notes: [],
+      unavailable: true,
+    }));
   }
+}
 
-  return msg;
+function sourceTimeoutMs(source) {
+  return source.timeout ? source.timeout * 1000 : SOURCE_TIMEOUTS_MS[source.type];
 }
 
-// --- Cohen Quad (Exeter College) ---
+/**
+ * Settle with `promise`, or reject once `ms` have passed. The work itself
+ * carries on, so a slow refresh still saves its menu for next time.
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms / 1000}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function selectSources(ids) {
+  const sources = getMenuSources();
+  return ids ? sources.filter((source) => ids.includes(source.id)) : sources;
+}
+
+/**
+ * Fetch Monday–Friday of the lunch week containing `date`:
+ * { weekCommencing, days: [dayMenu, …] }. Each source is fetched once for
+ * the whole week, without next-available fallbacks. Accepts the same
+ * `sources` and `diet` filters as getDayMenu.
+ */
+async function getWeekMenu(date = clock.now(), { sources, diet } = {}) {
+  const monday = getLunchWeekMonday(date);
+  const weeks = await Promise.all(
+    selectSources(sources).map((source) =>
+      fetchSections(source, () => source.fetchWeek(monday), WEEKDAYS.length),
+    ),
+  );
+  const days = WEEKDAYS.map((day, i) =>
+    filterDayMenu(
+      { date: toISODate(dateOfWeekday(day, monday)), sections: weeks.map((week) => week[i]) },
+      diet,
+    ),
+  );
+  return { weekCommencing: toISODate(monday), days };
+}
+
+/**
+ * Fetch and compile all of today's menus into a single message (WhatsApp by default).
+ */
+async function getTodaysMenu(format = "whatsapp") {
+  return getMenuMessage(clock.now(), format);
+}
+
+/**
+ * Fetch and compile the menus for the given day into a single message.
+ * Options are as for getDayMenu.
+ */
+async function getMenuMessage(date, format = "whatsapp", options = {}) {
+  return renderMenu(await getDayMenu(date, options), format);
+}
 
-const EXETER_MENU_URL =
-  "https://www.exeter.ox.ac.uk/students/catering/todays-menus/";
+/**
+ * Fetch and compile the whole lunch week containing `date` into a single message.
+ */
+async function getWeekMessage(date = clock.now(), format = "whatsapp", options = {}) {
+  return renderWeek(await getWeekMenu(date, options), format);
+}
+
+// --- Exeter College menu page (e.g. Cohen Quad) ---
+
+/**
+ * Scrape the source's section for `date`. Options are as for fetchExeterWeek.
+ */
+async function fetchExeterSection(source, date = clock.now(), options = {}) {
+  const scrape = await scrapeExeter(source, date, options);
+  return scrape ? scrape.parseDay(date) : { items: [], notes: [] };
+}
 
-async function fetchCohenQuad(today) {
-  const { data: html } = await axios.get(EXETER_MENU_URL);
+/**
+ * Scrape the source's section once and split it into a SourceMenu for
+ * each weekday of the week containing `date`. The page only lists the
+ * current week, so other weeks return nothing without a request. Every
+ * scrape announces the whole week's items on menuEvents. `timeoutMs`
+ * bounds the page request.
+ */
+async function fetchExeterWeek(source, date = clock.now(), options = {}) {
+  const scrape = await scrapeExeter(source, date, options);
+  return scrape ? scrape.week : WEEKDAYS.map(() => ({ items: [], notes: [] }));
+}
+
+async function scrapeExeter(source, date, { timeoutMs = SOURCE_TIMEOUTS_MS["exeter-html"] } = {}) {
+  const monday = getWeekMonday();
+  if (getWeekMonday(date).toDateString() !== monday.toDateString()) return null;
+
+  const { data: html } = await axios.get(source.url, { timeout: timeoutMs });
   const $ = cheerio.load(html);
-  return parseExeterSection($, "Dakota Café (Cohen Quad)", today);
+  const parseDay = (day) =>
+    parseExeterSection($, source.section, DAYS[day.getDay()], {
+      source: source.id,
+      date: toISODate(day),
+      skipSections: compilePatterns(source.skipSections),
+      skipLines: compilePatterns(source.skipLines),
+    });
+
+  const week = WEEKDAYS.map((day) => parseDay(dateOfWeekday(day, monday)));
+  emitMenuItems(source.id, week.flatMap((menu) => menu.items));
+  return { parseDay, week };
+}
+
+function compilePatterns(patterns = []) {
+  return patterns.map((pattern) => new RegExp(pattern, "i"));
 }
 
 /**
- * Parse a section from the Exeter menu page.
+ * Parse a section from the Exeter menu page into a SourceMenu.
  * Finds the <h2> matching sectionName, collects content until the next <h2>.
- * Filters day-specific items to only show today's.
+ * Filters day-specific items to only show today's. Headings become the
+ * category of the items below them; other free-text lines become notes.
+ * Headings matching one of options.skipSections drop their whole block;
+ * lines matching options.skipLines are dropped.
  */
-// Sections to skip entirely from the Cohen Quad menu
-const SKIP_SECTIONS_RE = /^panini$/i;
-// Lines to drop from the output
-const SKIP_LINES_RE = /please note.*subject to change|selection of sides and salads/i;
+function parseExeterSection($, sectionName, today, options = {}) {
+  const { source = null, date = null, skipSections = [], skipLines = [] } = options;
+  const items = [];
+  const notes = [];
+  let category = null;
 
-function parseExeterSection($, sectionName, today) {
-  const lines = [];
+  const addItem = (text) =>
+    items.push(toMenuItem(text, { source, date, category, position: items.length }));
 
   let sectionH2 = null;
   $("h2").each((_, el) => {
@@ -115,7 +300,7 @@ function parseExeterSection($, sectionName, today) {
     }
   });
 
-  if (!sectionH2) return lines;
+  if (!sectionH2) return { items, notes };
 
   let skipUntilNext = false;
   let current = sectionH2.next();
@@ -138,7 +323,7 @@ function parseExeterSection($, sectionName, today) {
           !DAY_PREFIX_RE.test(text) &&
           current.next().is("ul"));
 
-      if (isHeading && SKIP_SECTIONS_RE.test(text)) {
+      if (isHeading && skipSections.some((re) => re.test(text))) {
         skipUntilNext = true;
         current = current.next();
         continue;
@@ -146,9 +331,9 @@ function parseExeterSection($, sectionName, today) {
 
       if (isHeading) {
         skipUntilNext = false;
-        lines.push(`\n*${text}*`);
-      } else if (!skipUntilNext && !SKIP_LINES_RE.test(text)) {
-        lines.push(text);
+        category = text;
+      } else if (!skipUntilNext && !skipLines.some((re) => re.test(text))) {
+        notes.push(text);
       }
     } else if (tag === "UL" && !skipUntilNext) {
       current.find("> li").each((_, li) => {
@@ -157,10 +342,10 @@ function parseExeterSection($, sectionName, today) {
 
         if (dayMatch) {
           if (dayMatch[1] === today) {
-            lines.push(`• ${stripCalories(liText.replace(DAY_PREFIX_RE, ""))}`);
+            addItem(liText.replace(DAY_PREFIX_RE, ""));
           }
         } else {
-          lines.push(`• ${stripCalories(liText)}`);
+          addItem(liText);
         }
       });
     }
@@ -168,7 +353,20 @@ function parseExeterSection($, sectionName, today) {
     current = current.next();
   }
 
-  return lines;
+  return { items, notes };
 }
 
-module.exports = { getTodaysMenu, fetchCohenQuad, parseExeterSection };
+module.exports = {
+  getTodaysMenu,
+  getMenuMessage,
+  getWeekMessage,
+  getDayMenu,
+  getWeekMenu,
+  getMenuSources,
+  buildMenuSources,
+  describeSource,
+  findSource,
+  fetchExeterSection,
+  fetchExeterWeek,
+  parseExeterSection,
+};
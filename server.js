@@ -0,0 +1,199 @@
+const http = require("http");
+const scraper = require("./scraper");
+const { findDiet } = require("./dietary");
+const { resolveDay, toISODate } = require("./dates");
+const clock = require("./clock");
+const { renderMenuPage, selectDay } = require("./menu-page");
+const { renderICalendar, renderAtom } = require("./feeds");
+const stats = require("./stats");
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = "127.0.0.1";
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Turn a /menu/:date segment into a Date: "2026-10-19", or the same day
+ * words as !menu ("today", "tomorrow", "thursday"). Returns null otherwise.
+ */
+function parseDateParam(value, now = clock.now()) {
+  const match = value.match(ISO_DATE_RE);
+  if (!match) return resolveDay(value, now);
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Read the ?sources=a,b and ?diet= filters shared by the menu endpoints.
+ */
+function menuFilters(query, sourceIds) {
+  const filters = {};
+  if (query.has("sources")) {
+    const ids = query.get("sources").split(",").filter(Boolean);
+    const unknown = ids.filter((id) => !sourceIds.includes(id));
+    if (unknown.length) throw httpError(400, `Unknown source: ${unknown.join(", ")}`);
+    filters.sources = ids;
+  }
+  if (query.has("diet")) {
+    const diet = findDiet(query.get("diet"));
+    if (!diet) throw httpError(400, `Unknown diet: ${query.get("diet")}`);
+    filters.diet = diet;
+  }
+  return filters;
+}
+
+/**
+ * Read the ?weeks= repeat window for the statistics endpoints.
+ */
+function statsOptions(query) {
+  if (!query.has("weeks")) return {};
+  const weeks = Number(query.get("weeks"));
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > stats.MAX_REPEAT_WEEKS) {
+    throw httpError(400, `weeks must be a whole number from 1 to ${stats.MAX_REPEAT_WEEKS}`);
+  }
+  return { weeks };
+}
+
+/**
+ * Create the HTTP server for the menu API and web page. Every endpoint is
+ * a GET; all but the page return JSON:
+ *
+ *   /                          the menu page, with ?day=thursday or ?day=week
+ *   /menu.ics, /menu.atom      this lunch week as a calendar or feed
+ *   /menu/today, /menu/:date   a day menu ({ date, sections })
+ *   /menu/week                 this lunch week ({ weekCommencing, days })
+ *   /stats, /stats.md          menu-history statistics, as JSON or a report
+ *   /sources                   the configured cafés
+ *   /status                    whatever getStatus() reports
+ *
+ * The page, feeds and menu endpoints accept ?sources=id,id and ?diet=vegan;
+ * the statistics take ?weeks= for the repeat window.
+ * Dependencies are injectable for tests; they default to the scraper the
+ * bot itself uses. `baseUrl` is the public address used for feed links.
+ */
+function createServer({
+  getDayMenu = scraper.getDayMenu,
+  getWeekMenu = scraper.getWeekMenu,
+  getSources = scraper.getMenuSources,
+  getStatus = () => ({}),
+  getHistory = (date) => stats.pastDays(date),
+  now = clock.now,
+  baseUrl = null,
+} = {}) {
+  const sourceIds = () => getSources().map((source) => source.id);
+
+  // [path pattern, handler(query, params), response type]
+  const routes = [
+    [
+      /^\/$/,
+      async (query) => {
+        const weekMenu = await getWeekMenu(now(), menuFilters(query, sourceIds()));
+        const day = query.get("day") || "today";
+        const date = day === "week" ? null : parseDateParam(day.toLowerCase(), now());
+        const selected = selectDay(weekMenu, date ? toISODate(date) : day, toISODate(now()));
+        return renderMenuPage(weekMenu, { selected, query, generatedAt: now() });
+      },
+      "html",
+    ],
+    [
+      /^\/menu\.ics$/,
+      async (query) => renderICalendar(await getWeekMenu(now(), menuFilters(query, sourceIds())), { now: now() }),
+      "ics",
+    ],
+    [
+      /^\/menu\.atom$/,
+      async (query) =>
+        renderAtom(await getWeekMenu(now(), menuFilters(query, sourceIds())), { now: now(), baseUrl }),
+      "atom",
+    ],
+    [/^\/menu\/week$/, (query) => getWeekMenu(now(), menuFilters(query, sourceIds()))],
+    [
+      /^\/menu\/([^/]+)$/,
+      (query, [value]) => {
+        const date = parseDateParam(value.toLowerCase(), now());
+        if (!date) throw httpError(400, `Invalid date "${value}": use YYYY-MM-DD, today, tomorrow or a weekday`);
+        return getDayMenu(date, menuFilters(query, sourceIds()));
+      },
+    ],
+    [/^\/stats$/, (query) => stats.computeStats(getHistory(now()), statsOptions(query))],
+    [
+      /^\/stats\.md$/,
+      (query) => {
+        const sourceNames = Object.fromEntries(getSources().map((s) => [s.id, s.name]));
+        const options = { ...statsOptions(query), top: stats.REPORT_TOP_DISHES };
+        return stats.renderReport(stats.computeStats(getHistory(now()), options), { sourceNames, generatedAt: now() });
+      },
+      "markdown",
+    ],
+    [/^\/sources$/, () => getSources().map(scraper.describeSource)],
+    [/^\/status$/, () => getStatus()],
+  ];
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    try {
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        throw httpError(405, "Only GET is supported");
+      }
+      const route = routes.find(([pattern]) => pattern.test(url.pathname));
+      if (!route) throw httpError(404, `No such endpoint: ${url.pathname}`);
+
+      const [pattern, handler, type = "json"] = route;
+      const params = url.pathname.match(pattern).slice(1);
+      const result = await handler(url.searchParams, params);
+      if (type === "json") sendJson(res, 200, result);
+      else send(res, 200, result, CONTENT_TYPES[type]);
+    } catch (err) {
+      const status = err.status || 500;
+      if (status === 500) console.error(`HTTP: error serving ${url.pathname}:`, err.message);
+      sendJson(res, status, { error: status === 500 ? "Internal server error" : err.message });
+    }
+  });
+}
+
+const CONTENT_TYPES = {
+  json: "application/json; charset=utf-8",
+  html: "text/html; charset=utf-8",
+  ics: "text/calendar; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+  markdown: "text/markdown; charset=utf-8",
+};
+
+function sendJson(res, status, data) {
+  send(res, status, JSON.stringify(data, null, 2), CONTENT_TYPES.json);
+}
+
+function send(res, status, body, contentType) {
+  res.writeHead(status, {
+    "Content-Type": contentType,
+    "Content-Length": Buffer.byteLength(body),
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(res.req.method === "HEAD" ? undefined : body);
+}
+
+/**
+ * Start the API and page on HTTP_PORT / HTTP_HOST (default 127.0.0.1:3000).
+ * Resolves with the listening server.
+ */
+function startServer(deps, env = process.env) {
+  const port = env.HTTP_PORT ? Number(env.HTTP_PORT) : DEFAULT_PORT;
+  const host = env.HTTP_HOST || DEFAULT_HOST;
+  const server = createServer(deps);
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      console.log(`HTTP server listening on http://${host}:${server.address().port}`);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { createServer, startServer, parseDateParam };
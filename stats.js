@@ -0,0 +1,334 @@
+const fs = require("fs");
+const path = require("path");
+const { normalize } = require("./fuzzy");
+const { DAYS, getWeekMonday, toISODate, addDays } = require("./dates");
+const clock = require("./clock");
+const { matchesDiet } = require("./dietary");
+const { formatDate } = require("./render");
+const { compileTerm } = require("./watches");
+const { loadHistory } = require("./history");
+const { getMenuSources } = require("./scraper");
+
+const DEFAULT_REPEAT_WEEKS = 4;
+const MAX_REPEAT_WEEKS = 52;
+const TOP_DISHES = 5;
+const REPORT_TOP_DISHES = 10;
+const CHAT_TOP_DISHES = 3;
+const CHAT_RECENT_WEEKS = 4;
+
+function weekdayOf(isoDate) {
+  return DAYS[new Date(`${isoDate}T00:00:00`).getDay()];
+}
+
+function percent(part, whole) {
+  return whole ? Math.round((part / whole) * 100) : 0;
+}
+
+/**
+ * The key with the highest count in a { key: count } object; ties go to
+ * the key seen first.
+ */
+function mostCommon(counts) {
+  let best = null;
+  for (const [key, count] of Object.entries(counts)) {
+    if (best === null || count > counts[best]) best = key;
+  }
+  return best;
+}
+
+/**
+ * Every serving in the archive as { date, source, key, name, item }, in
+ * date order. `key` is the normalised dish name, so "Katsu Curry (V)" and
+ * "katsu curry" count as the same dish.
+ */
+function servingsOf(days) {
+  return days.flatMap((day) =>
+    day.items.map((item) => ({
+      date: day.date,
+      source: day.source,
+      key: normalize(item.name),
+      name: item.name,
+      item,
+    })),
+  );
+}
+
+/**
+ * Per-café numbers: the most frequent dishes (with the weekday each one
+ * usually appears on), and how many servings repeat a dish the same café
+ * served within the previous `weeks` weeks.
+ */
+function sourceStats(servings, { weeks, top }) {
+  const bySource = new Map();
+  for (const serving of servings) {
+    if (!bySource.has(serving.source)) bySource.set(serving.source, []);
+    bySource.get(serving.source).push(serving);
+  }
+
+  return [...bySource].map(([source, list]) => {
+    const dishes = new Map();
+    const lastServed = new Map();
+    let repeats = 0;
+    for (const { date, key, name } of list) {
+      const previous = lastServed.get(key);
+      const windowStart = toISODate(addDays(new Date(`${date}T00:00:00`), -7 * weeks));
+      if (previous && previous !== date && previous >= windowStart) repeats++;
+      lastServed.set(key, date);
+
+      if (!dishes.has(key)) dishes.set(key, { count: 0, names: {}, weekdays: {} });
+      const dish = dishes.get(key);
+      dish.count++;
+      dish.names[name] = (dish.names[name] || 0) + 1;
+      dish.weekdays[weekdayOf(date)] = (dish.weekdays[weekdayOf(date)] || 0) + 1;
+    }
+
+    const topDishes = [...dishes.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, top)
+      .map((dish) => ({
+        name: mostCommon(dish.names),
+        count: dish.count,
+        usualWeekday: mostCommon(dish.weekdays),
+      }));
+
+    return {
+      source,
+      servings: list.length,
+      dishes: dishes.size,
+      topDishes,
+      repeats: { count: repeats, share: percent(repeats, list.length) },
+    };
+  });
+}
+
+/**
+ * The vegetarian (including vegan) share of dishes for each lunch week.
+ */
+function weekStats(servings) {
+  const weeks = new Map();
+  for (const { date, item } of servings) {
+    const weekCommencing = toISODate(getWeekMonday(new Date(`${date}T00:00:00`)));
+    if (!weeks.has(weekCommencing)) weeks.set(weekCommencing, { weekCommencing, dishes: 0, vegetarian: 0 });
+    const week = weeks.get(weekCommencing);
+    week.dishes++;
+    if (matchesDiet(item, "veg")) week.vegetarian++;
+  }
+  return [...weeks.values()]
+    .sort((a, b) => a.weekCommencing.localeCompare(b.weekCommencing))
+    .map((week) => ({ ...week, share: percent(week.vegetarian, week.dishes) }));
+}
+
+/**
+ * Statistics over archived days (as from loadHistory):
+ *
+ *   { from, to, days, weeks: repeat window,
+ *     sources: [{ source, servings, dishes, topDishes, repeats }],
+ *     vegetarian: [{ weekCommencing, dishes, vegetarian, share }] }
+ *
+ * Shares are whole percentages.
+ */
+function computeStats(days, { weeks = DEFAULT_REPEAT_WEEKS, top = TOP_DISHES } = {}) {
+  const servings = servingsOf(days);
+  const dates = [...new Set(days.map((day) => day.date))].sort();
+  return {
+    from: dates[0] || null,
+    to: dates[dates.length - 1] || null,
+    days: dates.length,
+    weeks,
+    sources: sourceStats(servings, { weeks, top }),
+    vegetarian: weekStats(servings),
+  };
+}
+
+/**
+ * How often dishes matching `term` (a keyword or /regex/, as for !watch)
+ * were served, by weekday and by café. Returns null when none were.
+ */
+function dishStats(days, term) {
+  const matches = compileTerm(term);
+  const found = servingsOf(days).filter((serving) => matches(serving.name));
+  if (!found.length) return null;
+
+  const weekdays = {};
+  const sources = {};
+  for (const { date, source } of found) {
+    weekdays[weekdayOf(date)] = (weekdays[weekdayOf(date)] || 0) + 1;
+    sources[source] = (sources[source] || 0) + 1;
+  }
+  const byWeekday = Object.fromEntries(
+    DAYS.filter((day) => weekdays[day]).map((day) => [day, weekdays[day]]),
+  );
+  return {
+    servings: found.length,
+    usualWeekday: mostCommon(weekdays),
+    weekdays: byWeekday,
+    sources,
+  };
+}
+
+// --- Rendering ---
+
+/**
+ * A short WhatsApp summary: top dishes and repeat rates per café, and
+ * the vegetarian share for the last few weeks.
+ */
+function renderStats(stats, { sourceNames = {} } = {}) {
+  if (!stats.days) return "There's no menu history yet. Statistics start once menus have been archived.";
+  const name = (id) => sourceNames[id] || id;
+  const lines = [
+    "📊 *Menu statistics*",
+    `_${stats.days} days, ${formatDate(stats.from)} to ${formatDate(stats.to)}_`,
+  ];
+
+  for (const source of stats.sources) {
+    lines.push("", `*${name(source.source)}* — ${source.servings} dishes, ${source.dishes} different`);
+    source.topDishes.slice(0, CHAT_TOP_DISHES).forEach((dish, i) => {
+      lines.push(`${i + 1}. ${dish.name} ×${dish.count} (usually ${dish.usualWeekday})`);
+    });
+    lines.push(`Repeats within ${stats.weeks} weeks: ${source.repeats.share}% of dishes`);
+  }
+
+  const recent = stats.vegetarian.slice(-CHAT_RECENT_WEEKS);
+  if (recent.length) {
+    lines.push("", "*Vegetarian share*");
+    for (const week of recent) {
+      lines.push(`• w/c ${formatDate(week.weekCommencing, { weekday: undefined })}: ${week.share}% (${week.vegetarian}/${week.dishes})`);
+    }
+  }
+  return lines.join("\n");
+}
+
+function renderDishStats(term, dish, { sourceNames = {} } = {}) {
+  if (!dish) return `"${term}" isn't in the menu history.`;
+  const name = (id) => sourceNames[id] || id;
+  const count = (n) => `${n} time${n === 1 ? "" : "s"}`;
+  const lines = [
+    `📊 *${term}* — served ${count(dish.servings)}, usually on a ${dish.usualWeekday}`,
+    "",
+    ...Object.entries(dish.weekdays).map(([day, n]) => `• ${day}: ${n}`),
+    "",
+    ...Object.entries(dish.sources)
+      .sort((a, b) => b[1] - a[1])
+      .map(([source, n]) => `• ${name(source)}: ${count(n)}`),
+  ];
+  return lines.join("\n");
+}
+
+/**
+ * The full statistics as a Markdown report, for sharing or settling
+ * arguments.
+ */
+function renderReport(stats, { sourceNames = {}, generatedAt = clock.now() } = {}) {
+  const name = (id) => sourceNames[id] || id;
+  const lines = ["# Lunch menu statistics", ""];
+  if (!stats.days) {
+    lines.push("No menu history yet.");
+    return `${lines.join("\n")}\n`;
+  }
+  lines.push(
+    `${stats.days} days of menus, ${formatDate(stats.from)} to ${formatDate(stats.to)}.`,
+    `Generated ${generatedAt.toISOString()}.`,
+    "",
+    "## Cafés",
+    "",
+    `| Café | Dishes | Different dishes | Repeats within ${stats.weeks} weeks |`,
+    "| --- | ---: | ---: | ---: |",
+  );
+  for (const source of stats.sources) {
+    lines.push(
+      `| ${name(source.source)} | ${source.servings} | ${source.dishes} | ${source.repeats.count} (${source.repeats.share}%) |`,
+    );
+  }
+
+  for (const source of stats.sources) {
+    lines.push("", `## Most frequent at ${name(source.source)}`, "", "| Dish | Times | Usual weekday |", "| --- | ---: | --- |");
+    for (const dish of source.topDishes) {
+      lines.push(`| ${dish.name.replace(/\|/g, "\\|")} | ${dish.count} | ${dish.usualWeekday} |`);
+    }
+  }
+
+  lines.push("", "## Vegetarian share by week", "", "| Week commencing | Vegetarian | Dishes | Share |", "| --- | ---: | ---: | ---: |");
+  for (const week of stats.vegetarian) {
+    lines.push(`| ${week.weekCommencing} | ${week.vegetarian} | ${week.dishes} | ${week.share}% |`);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// --- Command ---
+
+function sourceNameMap() {
+  return Object.fromEntries(getMenuSources().map((s) => [s.id, s.name]));
+}
+
+/**
+ * Archived days up to and including today.
+ */
+function pastDays(now = clock.now()) {
+  return loadHistory({ until: toISODate(now) });
+}
+
+async function runStats(ctx, args) {
+  const term = args.join(" ").trim();
+  const sourceNames = sourceNameMap();
+  if (!term || /^\d+$/.test(term)) {
+    const weeks = term ? Number(term) : DEFAULT_REPEAT_WEEKS;
+    if (weeks < 1 || weeks > MAX_REPEAT_WEEKS) {
+      await ctx.reply(`Pick a repeat window between 1 and ${MAX_REPEAT_WEEKS} weeks.`);
+      return;
+    }
+    await ctx.reply(renderStats(computeStats(pastDays(), { weeks }), { sourceNames }));
+    return;
+  }
+
+  let dish;
+  try {
+    dish = dishStats(pastDays(), term);
+  } catch (err) {
+    await ctx.reply(`That isn't a valid pattern: ${err.message}`);
+    return;
+  }
+  await ctx.reply(renderDishStats(term, dish, { sourceNames }));
+}
+
+const statsCommands = [
+  {
+    name: "stats",
+    usage: "[weeks|dish]",
+    description: "Dish statistics from the menu history",
+    run: runStats,
+  },
+];
+
+module.exports = {
+  statsCommands,
+  computeStats,
+  dishStats,
+  renderStats,
+  renderDishStats,
+  renderReport,
+  pastDays,
+  DEFAULT_REPEAT_WEEKS,
+  MAX_REPEAT_WEEKS,
+  REPORT_TOP_DISHES,
+};
+
+// `node stats.js [file] [--weeks N]` writes the Markdown report (to stdout
+// without a file).
+if (require.main === module) {
+  require("dotenv").config();
+  const args = process.argv.slice(2);
+  const weeksFlag = args.indexOf("--weeks");
+  const weeks = weeksFlag === -1 ? DEFAULT_REPEAT_WEEKS : Number(args.splice(weeksFlag, 2)[1]);
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_REPEAT_WEEKS) {
+    console.error(`--weeks must be a whole number from 1 to ${MAX_REPEAT_WEEKS}`);
+    process.exit(1);
+  }
+  const report = renderReport(computeStats(pastDays(), { weeks, top: REPORT_TOP_DISHES }), { sourceNames: sourceNameMap() });
+  if (args[0]) {
+    fs.mkdirSync(path.dirname(path.resolve(args[0])), { recursive: true });
+    fs.writeFileSync(args[0], report);
+    console.log(`Report written: ${args[0]}`);
+  } else {
+    process.stdout.write(report);
+  }
+}
@@ -0,0 +1,210 @@
+const fs = require("fs");
+const path = require("path");
+const { DIETS, findDiet, filterDayMenu } = require("./dietary");
+const { findSource, getMenuSources } = require("./scraper");
+
+const SUBSCRIPTIONS_PATH = path.join(__dirname, "data", "subscriptions.json");
+const DEFAULT_SEND_AT = "11:00";
+const TIME_RE = /^([01]?\d|2[0-3])[:.]([0-5]\d)$/;
+
+/**
+ * Read all subscriptions, keyed by the subscriber's WhatsApp JID:
+ * { [jid]: { sources: string[]|null, diet: string|null, sendAt: "HH:MM" } }.
+ */
+function loadSubscriptions(filePath = SUBSCRIPTIONS_PATH) {
+  if (!fs.existsSync(filePath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (err) {
+    console.error("Subscriptions: could not read file:", err.message);
+    return {};
+  }
+}
+
+function saveSubscriptions(subscriptions, filePath = SUBSCRIPTIONS_PATH) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(subscriptions, null, 2));
+}
+
+/**
+ * Apply a change to one subscriber's preferences and save.
+ * Returns the updated preferences, or null if they aren't subscribed.
+ */
+function updateSubscription(jid, changes, filePath = SUBSCRIPTIONS_PATH) {
+  const subscriptions = loadSubscriptions(filePath);
+  if (!subscriptions[jid]) return null;
+  subscriptions[jid] = { ...subscriptions[jid], ...changes };
+  saveSubscriptions(subscriptions, filePath);
+  return subscriptions[jid];
+}
+
+/**
+ * Subscribers whose delivery time is `time` ("HH:MM"), as [jid, prefs] pairs.
+ */
+function subscribersDueAt(time, filePath = SUBSCRIPTIONS_PATH) {
+  return Object.entries(loadSubscriptions(filePath)).filter(
+    ([, prefs]) => prefs.sendAt === time,
+  );
+}
+
+/**
+ * Cut a full day menu down to a subscriber's cafés and diet.
+ */
+function personaliseMenu(dayMenu, prefs) {
+  const sections = prefs.sources
+    ? dayMenu.sections.filter((section) => prefs.sources.includes(section.source.id))
+    : dayMenu.sections;
+  return filterDayMenu({ ...dayMenu, sections }, prefs.diet);
+}
+
+function describePrefs(prefs) {
+  const names = prefs.sources
+    ? getMenuSources()
+      .filter((source) => prefs.sources.includes(source.id))
+      .map((source) => source.name)
+      .join(", ")
+    : "all cafés";
+  const diet = prefs.diet ? DIETS[prefs.diet].label : "no filter";
+  return [
+    `*Your lunch menu settings*`,
+    `Cafés: ${names}`,
+    `Diet: ${diet}`,
+    `Time: ${prefs.sendAt} on weekdays`,
+    "",
+    "Change with !prefs cafes <names|all>, !prefs diet <veg|vegan|gf|df|halal|none> or !prefs time <HH:MM>.",
+  ].join("\n");
+}
+
+/**
+ * The JID to key a direct message's sender by, from its message key, or
+ * null if the chat isn't a DM with a person. WhatsApp addresses some chats
+ * by LID ("…@lid") and gives the phone-number JID as remoteJidAlt; that
+ * form is preferred, so subscriptions stay keyed (and menus sent) the
+ * same way whichever form a message arrives in.
+ */
+function directMessageJid({ remoteJid, remoteJidAlt }) {
+  const jids = [remoteJid, remoteJidAlt].filter(Boolean);
+  return (
+    jids.find((jid) => jid.endsWith("@s.whatsapp.net")) ||
+    jids.find((jid) => jid.endsWith("@lid")) ||
+    null
+  );
+}
+
+// --- Commands (direct messages only) ---
+
+async function requireDirectMessage(ctx, command) {
+  if (!ctx.isGroup) return true;
+  await ctx.reply(`Send !${command} to me in a direct message to get the menu privately.`);
+  return false;
+}
+
+async function runSubscribe(ctx) {
+  if (!(await requireDirectMessage(ctx, "subscribe"))) return;
+
+  const subscriptions = loadSubscriptions();
+  if (!subscriptions[ctx.chatJid]) {
+    subscriptions[ctx.chatJid] = { sources: null, diet: null, sendAt: DEFAULT_SEND_AT };
+    saveSubscriptions(subscriptions);
+    console.log(`Subscriptions: ${ctx.chatJid} subscribed.`);
+  }
+  await ctx.reply(
+    `You're subscribed! I'll send you the menu every weekday.\n\n${describePrefs(subscriptions[ctx.chatJid])}`,
+  );
+}
+
+async function runUnsubscribe(ctx) {
+  if (!(await requireDirectMessage(ctx, "unsubscribe"))) return;
+
+  const subscriptions = loadSubscriptions();
+  if (subscriptions[ctx.chatJid]) {
+    delete subscriptions[ctx.chatJid];
+    saveSubscriptions(subscriptions);
+    console.log(`Subscriptions: ${ctx.chatJid} unsubscribed.`);
+  }
+  await ctx.reply("You're unsubscribed. Send !subscribe any time to start again.");
+}
+
+async function runPrefs(ctx, [setting, ...values]) {
+  if (!(await requireDirectMessage(ctx, "prefs"))) return;
+
+  const current = loadSubscriptions()[ctx.chatJid];
+  if (!current) {
+    await ctx.reply("You're not subscribed yet. Send !subscribe first.");
+    return;
+  }
+  if (!setting) {
+    await ctx.reply(describePrefs(current));
+    return;
+  }
+
+  const changes = parsePreference(setting.toLowerCase(), values);
+  if (changes.error) {
+    await ctx.reply(changes.error);
+    return;
+  }
+  await ctx.reply(`Saved.\n\n${describePrefs(updateSubscription(ctx.chatJid, changes))}`);
+}
+
+/**
+ * Turn "!prefs <setting> <values…>" into a preferences change, or { error }.
+ */
+function parsePreference(setting, values) {
+  if (setting === "cafes" || setting === "cafés" || setting === "sources") {
+    if (!values.length || values[0].toLowerCase() === "all") return { sources: null };
+    const sources = [];
+    for (const value of values) {
+      const source = findSource(value);
+      if (!source) return { error: `I don't know a café called "${value}".` };
+      if (!sources.includes(source.id)) sources.push(source.id);
+    }
+    return { sources };
+  }
+
+  if (setting === "diet") {
+    if (!values.length || values[0].toLowerCase() === "none") return { diet: null };
+    const diet = findDiet(values[0]);
+    if (!diet) return { error: `I don't know the diet "${values[0]}". Try veg, vegan, gf, df or halal.` };
+    return { diet };
+  }
+
+  if (setting === "time") {
+    const match = (values[0] || "").match(TIME_RE);
+    if (!match) return { error: "Give the time as HH:MM, e.g. !prefs time 11:30." };
+    return { sendAt: `${match[1].padStart(2, "0")}:${match[2]}` };
+  }
+
+  return { error: "You can set cafes, diet or time. Send !prefs to see your settings." };
+}
+
+const subscriptionCommands = [
+  {
+    name: "subscribe",
+    description: "Get the menu by direct message every weekday",
+    run: runSubscribe,
+  },
+  {
+    name: "unsubscribe",
+    description: "Stop the daily direct message",
+    run: runUnsubscribe,
+  },
+  {
+    name: "prefs",
+    aliases: ["settings"],
+    usage: "[cafes|diet|time] [value]",
+    description: "Show or change your subscription's cafés, diet and time",
+    run: runPrefs,
+  },
+];
+
+module.exports = {
+  subscriptionCommands,
+  loadSubscriptions,
+  saveSubscriptions,
+  updateSubscription,
+  subscribersDueAt,
+  personaliseMenu,
+  parsePreference,
+  directMessageJid,
+  SUBSCRIPTIONS_PATH,
+};
@@ -0,0 +1,86 @@
+const { PDFDocument } = require("pdf-lib");
+const { menuCandidates, splitPdf, isMenuAttachment, MAX_PDF_PAGES } = require("../attachments");
+
+/** A PDF with one page per text, each page showing its text. */
+async function makePdf(...texts) {
+  const doc = await PDFDocument.create();
+  for (const text of texts) doc.addPage().drawText(text, { x: 50, y: 700 });
+  return Buffer.from(await doc.save());
+}
+
+async function pageCount(buffer) {
+  return (await PDFDocument.load(buffer)).getPageCount();
+}
+
+const PNG = Buffer.from("fake png bytes");
+
+beforeEach(() => jest.spyOn(console, "error").mockImplementation(() => {}));
+afterEach(() => jest.restoreAllMocks());
+
+// ── splitPdf ─────────────────────────────────────────────────────────────────
+
+describe("splitPdf", () => {
+  test("splits a PDF into single-page PDFs", async () => {
+    const pages = await splitPdf(await makePdf("Cover", "Menu", "Allergens"));
+    expect(pages).toHaveLength(3);
+    for (const page of pages) {
+      expect(page.subarray(0, 5).toString()).toBe("%PDF-");
+      expect(await pageCount(page)).toBe(1);
+    }
+  });
+
+  test("gives the same bytes for the same page, so parses can be cached", async () => {
+    const pdf = await makePdf("Menu");
+    const [first] = await splitPdf(pdf);
+    const [second] = await splitPdf(pdf);
+    expect(first.equals(second)).toBe(true);
+  });
+
+  test("stops after the page limit", async () => {
+    const texts = Array.from({ length: MAX_PDF_PAGES + 2 }, (_, i) => `Page ${i + 1}`);
+    expect(await splitPdf(await makePdf(...texts))).toHaveLength(MAX_PDF_PAGES);
+  });
+
+  test("throws for a file that isn't a PDF", async () => {
+    await expect(splitPdf(Buffer.from("not a pdf"))).rejects.toThrow();
+  });
+});
+
+// ── menuCandidates ───────────────────────────────────────────────────────────
+
+describe("menuCandidates", () => {
+  test("lists images as they are and PDFs page by page, in order", async () => {
+    const pdf = await makePdf("Cover", "Menu");
+    const candidates = await menuCandidates(
+      [
+        { filename: "logo.gif", contentType: "image/gif", content: PNG },
+        { filename: "menu.pdf", contentType: "application/pdf", content: pdf },
+        { filename: "menu.png", contentType: "image/png", content: PNG },
+      ],
+      "Blavatnik",
+    );
+
+    expect(candidates.map((c) => [c.name.replace(/ \(\d+KB\)$/, ""), c.contentType])).toEqual([
+      ['page 1 of "menu.pdf"', "application/pdf"],
+      ['page 2 of "menu.pdf"', "application/pdf"],
+      ['attachment "menu.png"', "image/png"],
+    ]);
+    expect(candidates[2].content).toBe(PNG);
+  });
+
+  test("recognises a PDF sent as application/octet-stream by its name", async () => {
+    const attachment = { filename: "Menu.PDF", contentType: "application/octet-stream", content: await makePdf("Menu") };
+    expect(isMenuAttachment(attachment)).toBe(true);
+    expect(await menuCandidates([attachment], "Schwarzman")).toHaveLength(1);
+    expect(isMenuAttachment({ ...attachment, filename: "menu.zip" })).toBe(false);
+  });
+
+  test("skips a PDF that can't be read", async () => {
+    const candidates = await menuCandidates(
+      [{ filename: "broken.pdf", contentType: "application/pdf", content: Buffer.from("%PDF-garbage") }],
+      "Schwarzman",
+    );
+    expect(candidates).toEqual([]);
+    expect(console.error).toHaveBeenCalledWith('Schwarzman: couldn\'t read PDF "broken.pdf":', expect.any(String));
+  });
+});
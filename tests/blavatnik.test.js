@@ -5,12 +5,15 @@ const path = require("path");
 jest.mock("imapflow");
 jest.mock("mailparser");
 jest.mock("@anthropic-ai/sdk");
+jest.mock("../vision-cache", () => ({ cachedParse: jest.fn((content, { parse }) => parse()) }));
 
-const { fetchBlavatnik } = require("../blavatnik");
+const { PDFDocument } = require("pdf-lib");
+const { fetchBlavatnik, ingestEmail, ingestAttachments } = require("../blavatnik");
+const { splitPdf } = require("../attachments");
 
 const MENU_PATH = path.join(__dirname, "../data/blavatnik-menu.json");
 
-const { getWeekMonday } = require("../blavatnik");
+const { getWeekMonday, toISODate, dateOfWeekday, addDays } = require("../dates");
 
 const SAMPLE_MENU = {
   Monday:    ["Grilled Chicken — ~1,380kcal", "Tomato Soup — ~120kcal", "Side Salad — ~80kcal"],
@@ -42,16 +45,62 @@ describe("fetchBlavatnik", () => {
 
   afterEach(() => jest.restoreAllMocks());
 
-  test("returns formatted numbered list from a fresh cache", async () => {
+  test("returns today's items from a fresh cache with calories split out", async () => {
     existsSpy.mockReturnValue(true);
     readSpy.mockReturnValue(freshCache());
 
-    const items = await fetchBlavatnik("Monday");
-    expect(items).toEqual([
-      "1. Grilled Chicken",
-      "2. Tomato Soup (V)",
-      "3. Side Salad",
-    ]);
+    const { items, notes } = await fetchBlavatnik(dateOfWeekday("Monday"));
+    expect(items.map((i) => i.name)).toEqual(["Grilled Chicken", "Tomato Soup", "Side Salad"]);
+    expect(items.map((i) => i.kcal)).toEqual([1380, 120, 80]);
+    expect(items[0]).toMatchObject({
+      source: "blavatnik",
+      date: toISODate(getWeekMonday()),
+      category: null,
+    });
+    expect(notes).toEqual([]);
+  });
+
+  test("tags the second item as vegetarian", async () => {
+    existsSpy.mockReturnValue(true);
+    readSpy.mockReturnValue(freshCache());
+
+    const { items } = await fetchBlavatnik(dateOfWeekday("Monday"));
+    expect(items.map((i) => i.tags)).toEqual([[], ["V"], []]);
+  });
+
+  test("does not duplicate a (V) marker already in the item text", async () => {
+    const cache = JSON.stringify({
+      weekCommencing: getWeekMonday().toISOString(),
+      menu: { Monday: ["Chicken Pie", "Veggie Pie (V)"] },
+    });
+    existsSpy.mockReturnValue(true);
+    readSpy.mockReturnValue(cache);
+
+    const { items } = await fetchBlavatnik(dateOfWeekday("Monday"));
+    expect(items[1]).toMatchObject({ name: "Veggie Pie", tags: ["V"] });
+  });
+
+  test("keeps markers from the email, with vegan in place of vegetarian", async () => {
+    const cache = JSON.stringify({
+      weekCommencing: getWeekMonday().toISOString(),
+      menu: { Monday: ["Chicken Curry (H, GF)", "Chickpea Curry (VG)"] },
+    });
+    existsSpy.mockReturnValue(true);
+    readSpy.mockReturnValue(cache);
+
+    const { items } = await fetchBlavatnik(dateOfWeekday("Monday"));
+    expect(items.map((i) => i.tags)).toEqual([["GF", "H"], ["VG"]]);
+  });
+
+  test("notes that the menu is out of date when only last week's is cached", async () => {
+    existsSpy.mockReturnValue(true);
+    readSpy.mockReturnValue(
+      JSON.stringify({ ...JSON.parse(staleCache()), lastChecked: new Date().toDateString() }),
+    );
+
+    const { items, notes } = await fetchBlavatnik(dateOfWeekday("Monday"));
+    expect(items).toHaveLength(3);
+    expect(notes).toEqual(["Menu not yet updated this week"]);
   });
 
   test("falls back to next available day with a label when today has no menu", async () => {
@@ -62,19 +111,72 @@ describe("fetchBlavatnik", () => {
     existsSpy.mockReturnValue(true);
     readSpy.mockReturnValue(cacheWithGap);
 
-    const items = await fetchBlavatnik("Monday");
-    expect(items[0]).toBe("_Next available: Tuesday_");
-    expect(items[1]).toBe("1. Lentil Dhal");
+    const { items, notes } = await fetchBlavatnik(dateOfWeekday("Monday"));
+    expect(notes).toEqual(["Next available: Tuesday"]);
+    expect(items[0].name).toBe("Lentil Dhal");
+    expect(items[0].date).toBe(toISODate(dateOfWeekday("Tuesday")));
+  });
+
+  test("returns an empty day without a fallback when asked not to fall back", async () => {
+    const cacheWithGap = JSON.stringify({
+      weekCommencing: getWeekMonday().toISOString(),
+      menu: { Monday: [], Tuesday: ["Lentil Dhal"] },
+    });
+    existsSpy.mockReturnValue(true);
+    readSpy.mockReturnValue(cacheWithGap);
+
+    const menu = await fetchBlavatnik(dateOfWeekday("Monday"), { fallback: false });
+    expect(menu).toEqual({ items: [], notes: [] });
+  });
+
+  test("returns nothing for a week other than the cached or current one", async () => {
+    existsSpy.mockReturnValue(true);
+    readSpy.mockReturnValue(freshCache());
+
+    const nextMonday = dateOfWeekday("Monday", addDays(getWeekMonday(), 7));
+    const { items } = await fetchBlavatnik(nextMonday);
+    expect(items).toEqual([]);
+  });
+
+  test("serves next week from an upcoming menu without replacing this week's", async () => {
+    const nextWeek = addDays(getWeekMonday(), 7);
+    existsSpy.mockReturnValue(true);
+    readSpy.mockReturnValue(
+      JSON.stringify({
+        ...JSON.parse(freshCache()),
+        upcoming: { weekCommencing: nextWeek.toISOString(), menu: { Monday: ["Beef Lasagne", "Veggie Lasagne"] } },
+      }),
+    );
+
+    const thisWeek = await fetchBlavatnik(dateOfWeekday("Monday"));
+    expect(thisWeek.items[0].name).toBe("Grilled Chicken");
+    const { items, notes } = await fetchBlavatnik(nextWeek);
+    expect(items.map((i) => i.name)).toEqual(["Beef Lasagne", "Veggie Lasagne"]);
+    expect(items[0].date).toBe(toISODate(nextWeek));
+    expect(notes).toEqual([]);
+  });
+
+  test("switches to the upcoming menu once its week starts", async () => {
+    existsSpy.mockReturnValue(true);
+    readSpy.mockReturnValue(
+      JSON.stringify({
+        ...JSON.parse(staleCache()),
+        menu: { Monday: ["Old Dish", "Old Veg"] },
+        upcoming: JSON.parse(freshCache()),
+      }),
+    );
+
+    const { items, notes } = await fetchBlavatnik(dateOfWeekday("Monday"));
+    expect(items[0].name).toBe("Grilled Chicken");
+    expect(notes).toEqual([]);
   });
 
-  test("numbers items in order 1, 2, 3", async () => {
+  test("positions items in order 0, 1, 2", async () => {
     existsSpy.mockReturnValue(true);
     readSpy.mockReturnValue(freshCache());
 
-    const items = await fetchBlavatnik("Wednesday");
-    expect(items[0]).toMatch(/^1\./);
-    expect(items[1]).toMatch(/^2\./);
-    expect(items[2]).toMatch(/^3\./);
+    const { items } = await fetchBlavatnik(dateOfWeekday("Wednesday"));
+    expect(items.map((i) => i.position)).toEqual([0, 1, 2]);
   });
 
   test("returns empty array when all days in cache are empty", async () => {
@@ -85,32 +187,102 @@ describe("fetchBlavatnik", () => {
     existsSpy.mockReturnValue(true);
     readSpy.mockReturnValue(emptyCache);
 
-    const items = await fetchBlavatnik("Monday");
+    const { items } = await fetchBlavatnik(dateOfWeekday("Monday"));
     expect(items).toEqual([]);
   });
 
-  test("returns empty array when no cache file exists and checkForNewMenu finds nothing", async () => {
+  test("throws when no cache file exists and the mailbox can't be checked", async () => {
     existsSpy.mockReturnValue(false);
+    jest.spyOn(console, "warn").mockImplementation(() => {});
 
-    const items = await fetchBlavatnik("Monday");
-    expect(items).toEqual([]);
+    await expect(fetchBlavatnik(dateOfWeekday("Monday"))).rejects.toThrow("couldn't check the mailbox");
   });
 
   test("attempts refresh when cache is from a previous week", async () => {
     // First call (week check) returns last week's cache; second call (post-refresh read) returns false
     existsSpy.mockReturnValueOnce(true).mockReturnValue(false);
     readSpy.mockReturnValue(staleCache());
+    jest.spyOn(console, "warn").mockImplementation(() => {});
 
-    const items = await fetchBlavatnik("Monday");
-    // After stale cache triggers refresh and no new cache is written, returns []
-    expect(items).toEqual([]);
+    // The refresh can't run without credentials and no cache is left to fall back on
+    await expect(fetchBlavatnik(dateOfWeekday("Monday"))).rejects.toThrow("couldn't check the mailbox");
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("Blavatnik: missing GMAIL_USER"));
   });
 
-  test("returns empty array on corrupted cache", async () => {
+  test("throws on corrupted cache", async () => {
     existsSpy.mockReturnValue(true);
     readSpy.mockReturnValue("not valid json {{");
+    jest.spyOn(console, "warn").mockImplementation(() => {});
 
-    const items = await fetchBlavatnik("Monday");
-    expect(items).toEqual([]);
+    await expect(fetchBlavatnik(dateOfWeekday("Monday"))).rejects.toThrow("saved menu is unreadable");
+  });
+});
+
+// ── ingestEmail / ingestAttachments ──────────────────────────────────────────
+
+describe("ingestEmail and ingestAttachments", () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = null;
+    const readFileSync = fs.readFileSync;
+    jest.spyOn(fs, "readFileSync").mockImplementation((file, ...rest) => {
+      if (file === MENU_PATH) throw new Error("ENOENT: no such file");
+      return readFileSync(file, ...rest);
+    });
+    jest.spyOn(fs, "mkdirSync").mockImplementation(() => {});
+    jest.spyOn(fs, "writeFileSync").mockImplementation((file, data) => {
+      if (file === MENU_PATH) saved = JSON.parse(data);
+    });
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("reads a PDF page by page and saves the page that holds the menu", async () => {
+    const doc = await PDFDocument.create();
+    doc.addPage().drawText("Welcome to the Blavatnik Café");
+    doc.addPage().drawText("Weekly menu");
+    const pdf = Buffer.from(await doc.save());
+    const pages = await splitPdf(pdf);
+
+    const create = jest.fn(async ({ messages }) => {
+      const page = messages[0].content[0].source.data;
+      const menu = page === pages[1].toString("base64") ? SAMPLE_MENU : { Monday: ["Welcome"] };
+      return { content: [{ type: "text", text: JSON.stringify(menu) }] };
+    });
+    const attachment = { filename: "menu.pdf", contentType: "application/pdf", content: pdf, size: pdf.length };
+
+    const monday = getWeekMonday();
+    expect(await ingestAttachments([attachment], { monday, anthropic: { messages: { create } } })).toBe(true);
+
+    // Every attempt on the cover page fails validation before page 2 is read.
+    expect(create).toHaveBeenCalledTimes(4);
+    expect(create.mock.calls[3][0].messages[0].content[0].type).toBe("document");
+    expect(saved).toMatchObject({ weekCommencing: monday.toISOString(), menu: SAMPLE_MENU });
+  });
+
+  test("saves a menu pasted into the email body without calling Vision", async () => {
+    const create = jest.fn();
+    const text = Object.entries(SAMPLE_MENU).map(([day, dishes]) => `${day}: ${dishes.join(" | ")}`).join("\n");
+    const attachment = { filename: "logo.png", contentType: "image/png", content: Buffer.from("png"), size: 3 };
+
+    const monday = getWeekMonday();
+    const parsed = { html: false, text, attachments: [attachment] };
+    expect(await ingestEmail(parsed, { monday, anthropic: { messages: { create } } })).toBe(true);
+    expect(create).not.toHaveBeenCalled();
+    expect(saved.menu).toEqual(SAMPLE_MENU);
+  });
+
+  test("falls back to the attachments when the body has no menu", async () => {
+    const create = jest.fn(async () => ({ content: [{ type: "text", text: JSON.stringify(SAMPLE_MENU) }] }));
+    const attachment = { filename: "menu.png", contentType: "image/png", content: Buffer.from("png"), size: 3 };
+
+    const parsed = { html: "<p>Menu attached.</p>", text: "Menu attached.", attachments: [attachment] };
+    expect(await ingestEmail(parsed, { anthropic: { messages: { create } } })).toBe(true);
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(saved.menu).toEqual(SAMPLE_MENU);
   });
 });
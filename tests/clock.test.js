@@ -0,0 +1,45 @@
+const clock = require("../clock");
+const { getWeekMonday, resolveDay, toISODate, DAYS } = require("../dates");
+
+afterEach(() => clock.setClock());
+
+// ── timezone ─────────────────────────────────────────────────────────────────
+
+describe("timezone", () => {
+  test("pins dates to London time whatever the host's timezone", () => {
+    expect(process.env.TZ).toBe("Europe/London");
+    // 23:30 UTC on Saturday 24 October 2026 is already Sunday in BST...
+    expect(DAYS[new Date("2026-10-24T23:30:00Z").getDay()]).toBe("Sunday");
+    // ...but after the clocks go back that night, London matches UTC.
+    expect(DAYS[new Date("2026-10-25T23:30:00Z").getDay()]).toBe("Sunday");
+    expect(new Date("2026-10-19T10:00:00Z").getHours()).toBe(11);
+    expect(new Date("2026-10-26T11:00:00Z").getHours()).toBe(11);
+  });
+
+  test("finds the week's Monday either side of a BST change", () => {
+    expect(toISODate(getWeekMonday(new Date("2026-10-25T23:30:00Z")))).toBe("2026-10-19");
+    expect(toISODate(getWeekMonday(new Date("2026-10-25T23:30:00Z").getTime() + 3600 * 1000))).toBe("2026-10-26");
+    expect(toISODate(getWeekMonday(new Date("2026-03-29T12:00:00Z")))).toBe("2026-03-23");
+  });
+});
+
+// ── setClock ─────────────────────────────────────────────────────────────────
+
+describe("setClock", () => {
+  test("freezes the time date logic sees", () => {
+    clock.setClock(new Date(2026, 9, 23, 10, 30)); // Friday
+    expect(clock.now()).toEqual(new Date(2026, 9, 23, 10, 30));
+    expect(toISODate(getWeekMonday())).toBe("2026-10-19");
+    expect(toISODate(resolveDay("tomorrow"))).toBe("2026-10-24");
+  });
+
+  test("takes a function, and goes back to the system clock without one", () => {
+    let time = new Date(2026, 9, 19, 9);
+    clock.setClock(() => time);
+    time = new Date(2026, 9, 20, 9);
+    expect(clock.now()).toEqual(new Date(2026, 9, 20, 9));
+
+    clock.setClock();
+    expect(Math.abs(clock.now() - Date.now())).toBeLessThan(1000);
+  });
+});
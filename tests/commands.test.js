@@ -0,0 +1,131 @@
+const { createCommandRegistry, parseCommand, formatHelp } = require("../commands");
+
+function makeCtx({ admin = false } = {}) {
+  return {
+    replies: [],
+    reply(text) {
+      this.replies.push(text);
+    },
+    isAdmin: async () => admin,
+  };
+}
+
+// ── parseCommand ─────────────────────────────────────────────────────────────
+
+describe("parseCommand", () => {
+  test("splits the command name from its arguments", () => {
+    expect(parseCommand("!menu blavatnik thursday")).toEqual({
+      name: "menu",
+      args: ["blavatnik", "thursday"],
+    });
+  });
+
+  test("ignores case, trailing whitespace and @mentions", () => {
+    expect(parseCommand("@447700900123 !MENU  Tomorrow \n")).toEqual({
+      name: "menu",
+      args: ["Tomorrow"],
+    });
+  });
+
+  test("returns null for ordinary chat", () => {
+    expect(parseCommand("anyone for lunch?")).toBeNull();
+    expect(parseCommand("!!!")).toBeNull();
+    expect(parseCommand("")).toBeNull();
+  });
+});
+
+// ── createCommandRegistry ────────────────────────────────────────────────────
+
+describe("createCommandRegistry", () => {
+  let registry, run;
+
+  beforeEach(() => {
+    run = jest.fn();
+    registry = createCommandRegistry();
+    registry.register(
+      { name: "menu", aliases: ["lunch"], usage: "[day]", description: "Show the menu", run },
+      { name: "reload", description: "Reload config", permission: "admin", run },
+    );
+  });
+
+  test("runs a command by name or alias with its arguments", async () => {
+    const ctx = makeCtx();
+    expect(await registry.dispatch("!menu friday", ctx)).toBe(true);
+    expect(await registry.dispatch("!Lunch", ctx)).toBe(true);
+    expect(run).toHaveBeenNthCalledWith(1, ctx, ["friday"]);
+    expect(run).toHaveBeenNthCalledWith(2, ctx, []);
+  });
+
+  test("returns false for messages that aren't commands", async () => {
+    expect(await registry.dispatch("hello", makeCtx())).toBe(false);
+  });
+
+  test("suggests the closest command for a typo", async () => {
+    const ctx = makeCtx();
+    await registry.dispatch("!mneu", ctx);
+    expect(ctx.replies[0]).toMatch(/Did you mean !menu\?/);
+    expect(run).not.toHaveBeenCalled();
+  });
+
+  test("stays quiet for unknown commands with no close match", async () => {
+    const ctx = makeCtx();
+    expect(await registry.dispatch("!important", ctx)).toBe(true);
+    expect(ctx.replies).toEqual([]);
+  });
+
+  test("refuses admin commands to non-admins", async () => {
+    const ctx = makeCtx();
+    await registry.dispatch("!reload", ctx);
+    expect(ctx.replies).toEqual(["Sorry, only admins can use !reload."]);
+    expect(run).not.toHaveBeenCalled();
+
+    await registry.dispatch("!reload", makeCtx({ admin: true }));
+    expect(run).toHaveBeenCalled();
+  });
+
+  test("replies with an apology when a command throws", async () => {
+    run.mockRejectedValue(new Error("boom"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const ctx = makeCtx();
+    await registry.dispatch("!menu", ctx);
+    expect(ctx.replies).toEqual(["Something went wrong. Try again later."]);
+    jest.restoreAllMocks();
+  });
+
+  test("ignores commands the chat has switched off and hides them from !help", async () => {
+    const ctx = { ...makeCtx(), replies: [], allows: (name) => name !== "reload" };
+    await registry.dispatch("!reload", { ...ctx, isAdmin: async () => true });
+    expect(run).not.toHaveBeenCalled();
+
+    await registry.dispatch("!help", ctx);
+    expect(ctx.replies[0]).not.toContain("!reload");
+  });
+
+  test("rejects duplicate names and aliases", () => {
+    expect(() => registry.register({ name: "lunch", description: "", run })).toThrow(/registered twice/);
+  });
+
+  test("generates !help from the registered commands", async () => {
+    const ctx = makeCtx();
+    await registry.dispatch("!help", ctx);
+    expect(ctx.replies[0]).toContain("!menu [day] — Show the menu");
+    expect(ctx.replies[0]).toContain("!reload — Reload config _(admin)_");
+    expect(ctx.replies[0]).toContain("!help [command]");
+  });
+});
+
+// ── formatHelp ───────────────────────────────────────────────────────────────
+
+describe("formatHelp", () => {
+  const commands = [
+    { name: "menu", aliases: ["lunch"], usage: "[day]", description: "Show the menu", permission: "everyone" },
+  ];
+
+  test("describes a single command with its aliases", () => {
+    expect(formatHelp(commands, "!lunch")).toBe("*!menu [day]*\nShow the menu\nAlso: !lunch");
+  });
+
+  test("says when the command doesn't exist", () => {
+    expect(formatHelp(commands, "pizza")).toMatch(/No command called !pizza/);
+  });
+});
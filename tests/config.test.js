@@ -0,0 +1,232 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadConfig, validateConfig } = require("../config");
+
+const VALID_CONFIG = {
+  sources: [
+    {
+      id: "cohen",
+      name: "Dakota Café (Cohen Quad)",
+      type: "exeter-html",
+      url: "https://www.exeter.ox.ac.uk/students/catering/todays-menus/",
+      section: "Dakota Café (Cohen Quad)",
+      skipSections: ["^panini$"],
+      hours: "12:00–13:30",
+      price: "£3.80",
+    },
+    { id: "blavatnik", name: "Blavatnik Café", type: "email-vision", handler: "blavatnik" },
+    { id: "soup", name: "Soup Stand", type: "static", items: { Monday: ["Leek & Potato"] } },
+  ],
+};
+
+function withSource(overrides) {
+  return { sources: [{ ...VALID_CONFIG.sources[0], ...overrides }] };
+}
+
+// ── validateConfig ───────────────────────────────────────────────────────────
+
+describe("validateConfig", () => {
+  test("accepts a valid config", () => {
+    expect(validateConfig(VALID_CONFIG)).toEqual([]);
+  });
+
+  test("accepts the committed config.json", () => {
+    expect(() => loadConfig()).not.toThrow();
+  });
+
+  test("requires a non-empty sources array", () => {
+    expect(validateConfig({})).toEqual(["\"sources\" must be a non-empty array"]);
+    expect(validateConfig({ sources: [] })).toHaveLength(1);
+  });
+
+  test("rejects unknown source types", () => {
+    const errors = validateConfig(withSource({ type: "carrier-pigeon" }));
+    expect(errors[0]).toMatch(/sources\[0\]\.type must be one of/);
+  });
+
+  test("rejects duplicate ids", () => {
+    const source = VALID_CONFIG.sources[0];
+    const errors = validateConfig({ sources: [source, source] });
+    expect(errors).toEqual(['sources[1].id "cohen" is used more than once']);
+  });
+
+  test("rejects invalid skip regexes", () => {
+    const errors = validateConfig(withSource({ skipLines: ["(unclosed"] }));
+    expect(errors[0]).toMatch(/skipLines\[0\] is not a valid regular expression/);
+  });
+
+  test("requires a URL and section for Exeter sources", () => {
+    const errors = validateConfig(withSource({ url: "exeter.ox.ac.uk", section: "" }));
+    expect(errors).toEqual([
+      "sources[0].url must be an http(s) URL",
+      "sources[0].section must be a non-empty string",
+    ]);
+  });
+
+  test("takes a timeout in seconds", () => {
+    expect(validateConfig(withSource({ timeout: 30 }))).toEqual([]);
+    expect(validateConfig(withSource({ timeout: "30s" }))).toEqual([
+      "sources[0].timeout must be a positive number of seconds",
+    ]);
+  });
+
+  test("rejects unknown email handlers", () => {
+    const errors = validateConfig({
+      sources: [{ id: "x", name: "X", type: "email-vision", handler: "nope" }],
+    });
+    expect(errors[0]).toBe("sources[0].handler must be one of: blavatnik, schwarzman");
+  });
+
+  test("accepts any handler registered in email-sources.js", () => {
+    const { EMAIL_SOURCES } = require("../email-sources");
+    EMAIL_SOURCES["new-cafe"] = {};
+    try {
+      expect(validateConfig({
+        sources: [{ id: "new", name: "New Café", type: "email-vision", handler: "new-cafe" }],
+      })).toEqual([]);
+    } finally {
+      delete EMAIL_SOURCES["new-cafe"];
+    }
+  });
+
+  test("rejects static items keyed by non-weekdays", () => {
+    const errors = validateConfig({
+      sources: [{ id: "x", name: "X", type: "static", items: { Caturday: ["Tuna"] } }],
+    });
+    expect(errors).toEqual(["sources[0].items.Caturday must be a weekday with an array of strings"]);
+  });
+});
+
+// ── validateConfig: groups ───────────────────────────────────────────────────
+
+describe("validateConfig groups", () => {
+  test("accepts groups with known sources, times and commands", () => {
+    const config = {
+      ...VALID_CONFIG,
+      groups: [
+        { name: "Lunch Crew", sources: ["cohen"], sendAt: "11:30", commands: ["menu"], pollCutoff: "11:45" },
+      ],
+    };
+    expect(validateConfig(config)).toEqual([]);
+  });
+
+  test("requires the poll cutoff to be a time after the menu is sent", () => {
+    const config = {
+      ...VALID_CONFIG,
+      groups: [
+        { name: "Lunch Crew", pollCutoff: "10:45" },
+        { name: "DPhil", sendAt: "11:30", pollCutoff: "noon" },
+      ],
+    };
+    expect(validateConfig(config)).toEqual([
+      "groups[0].pollCutoff must be later than the group's first sendAt",
+      'groups[1].pollCutoff must be a 24-hour time like "11:45"',
+    ]);
+  });
+
+  test("accepts several send times and a weekly digest", () => {
+    const config = {
+      ...VALID_CONFIG,
+      groups: [
+        { name: "Lunch Crew", sendAt: ["08:30", "11:00"], pollCutoff: "10:00", digest: { day: "Sunday", at: "18:00" } },
+      ],
+    };
+    expect(validateConfig(config)).toEqual([]);
+  });
+
+  test("rejects repeated send times and a bad digest", () => {
+    const config = {
+      ...VALID_CONFIG,
+      groups: [
+        { name: "Lunch Crew", sendAt: ["11:00", "11:00"] },
+        { name: "DPhil", sendAt: [], digest: { day: "Caturday", at: "6pm" } },
+      ],
+    };
+    expect(validateConfig(config)).toEqual([
+      "groups[0].sendAt lists the same time more than once",
+      'groups[1].sendAt must be a 24-hour time like "11:00", or a list of them',
+      'groups[1].digest.day must be a day of the week, like "Sunday"',
+      'groups[1].digest.at must be a 24-hour time like "18:00"',
+    ]);
+  });
+
+  test("rejects unknown sources, bad times and duplicate names", () => {
+    const config = {
+      ...VALID_CONFIG,
+      groups: [
+        { name: "Lunch Crew", sources: ["nando"], sendAt: "25:00" },
+        { name: "Lunch Crew" },
+      ],
+    };
+    expect(validateConfig(config)).toEqual([
+      'groups[0].sources has unknown source "nando"',
+      'groups[0].sendAt must be a 24-hour time like "11:00", or a list of them',
+      'groups[1].name "Lunch Crew" is used more than once',
+    ]);
+  });
+});
+
+// ── validateConfig: mail ─────────────────────────────────────────────────────
+
+describe("validateConfig mail", () => {
+  test("accepts a mail server, switches and per-handler search criteria", () => {
+    const config = {
+      ...VALID_CONFIG,
+      mail: {
+        host: "outlook.office365.com",
+        port: 993,
+        secure: true,
+        mailbox: "Menus",
+        idle: true,
+        announce: true,
+        search: { blavatnik: { subject: "Weekly Menu", from: "catering@example.org" } },
+      },
+    };
+    expect(validateConfig(config)).toEqual([]);
+  });
+
+  test("rejects bad server settings and unknown search handlers or keys", () => {
+    const config = {
+      ...VALID_CONFIG,
+      mail: {
+        host: "",
+        port: 99999,
+        idle: "yes",
+        search: { cohen: { subject: "Menu" }, schwarzman: { body: "menu" } },
+      },
+    };
+    expect(validateConfig(config)).toEqual([
+      "mail.host must be a non-empty string",
+      "mail.port must be a port number",
+      "mail.idle must be true or false",
+      'mail.search has unknown handler "cohen"',
+      "mail.search.schwarzman must map subject, from, to to strings",
+    ]);
+  });
+});
+
+// ── loadConfig ───────────────────────────────────────────────────────────────
+
+describe("loadConfig", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "lunch-config-"));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("throws with every validation error listed", () => {
+    const file = path.join(dir, "config.json");
+    fs.writeFileSync(file, JSON.stringify(withSource({ type: "nope", name: "" })));
+    expect(() => loadConfig(file)).toThrow(/Invalid config[\s\S]*name must be[\s\S]*type must be/);
+  });
+
+  test("throws on malformed JSON", () => {
+    const file = path.join(dir, "config.json");
+    fs.writeFileSync(file, "{ not json");
+    expect(() => loadConfig(file)).toThrow(/Could not read config/);
+  });
+});
@@ -0,0 +1,50 @@
+const {
+  getWeekMonday,
+  getLunchWeekMonday,
+  toISODate,
+  resolveDay,
+} = require("../dates");
+
+// Wednesday 21 October 2026, mid-morning
+const WEDNESDAY = new Date(2026, 9, 21, 10, 30);
+const SATURDAY = new Date(2026, 9, 24, 10, 30);
+
+// ── getWeekMonday ────────────────────────────────────────────────────────────
+
+describe("getWeekMonday", () => {
+  test("returns the Monday at midnight for any day of the week", () => {
+    expect(toISODate(getWeekMonday(WEDNESDAY))).toBe("2026-10-19");
+    expect(toISODate(getWeekMonday(new Date(2026, 9, 25)))).toBe("2026-10-19");
+    expect(getWeekMonday(WEDNESDAY).getHours()).toBe(0);
+  });
+});
+
+// ── getLunchWeekMonday ───────────────────────────────────────────────────────
+
+describe("getLunchWeekMonday", () => {
+  test("is this week on weekdays and next week at the weekend", () => {
+    expect(toISODate(getLunchWeekMonday(WEDNESDAY))).toBe("2026-10-19");
+    expect(toISODate(getLunchWeekMonday(SATURDAY))).toBe("2026-10-26");
+  });
+});
+
+// ── resolveDay ───────────────────────────────────────────────────────────────
+
+describe("resolveDay", () => {
+  test("resolves today and tomorrow", () => {
+    expect(toISODate(resolveDay(undefined, WEDNESDAY))).toBe("2026-10-21");
+    expect(toISODate(resolveDay("today", WEDNESDAY))).toBe("2026-10-21");
+    expect(toISODate(resolveDay("Tomorrow", WEDNESDAY))).toBe("2026-10-22");
+  });
+
+  test("resolves full and abbreviated weekday names within the lunch week", () => {
+    expect(toISODate(resolveDay("thursday", WEDNESDAY))).toBe("2026-10-22");
+    expect(toISODate(resolveDay("mon", WEDNESDAY))).toBe("2026-10-19");
+    expect(toISODate(resolveDay("tues", SATURDAY))).toBe("2026-10-27");
+  });
+
+  test("returns null for anything else", () => {
+    expect(resolveDay("blavatnik", WEDNESDAY)).toBeNull();
+    expect(resolveDay("t", WEDNESDAY)).toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+const { withRetries, prepareDayMenu, sendWithRetries } = require("../delivery");
+
+const section = (name, extra = {}) => ({ source: { id: name.toLowerCase(), name }, items: [], notes: [], ...extra });
+const dayMenu = (...sections) => ({ date: "2026-10-21", sections });
+
+let sleep;
+
+beforeEach(() => {
+  sleep = jest.fn(async () => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// ── withRetries ──────────────────────────────────────────────────────────────
+
+describe("withRetries", () => {
+  test("retries with a doubling, capped delay until the task succeeds", async () => {
+    const task = jest.fn()
+      .mockRejectedValueOnce(new Error("one"))
+      .mockRejectedValueOnce(new Error("two"))
+      .mockRejectedValueOnce(new Error("three"))
+      .mockResolvedValue("done");
+
+    const result = await withRetries(task, { attempts: 5, delayMs: 1000, maxDelayMs: 3000, label: "Test", sleep });
+    expect(result).toBe("done");
+    expect(task.mock.calls.map(([attempt]) => attempt)).toEqual([1, 2, 3, 4]);
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([1000, 2000, 3000]);
+    expect(console.warn).toHaveBeenCalledWith("Test: attempt 1 of 5 failed (one), retrying in 1s...");
+  });
+
+  test("throws the last error once every attempt has failed", async () => {
+    const task = jest.fn().mockRejectedValueOnce(new Error("first")).mockRejectedValue(new Error("last"));
+    await expect(withRetries(task, { attempts: 2, delayMs: 10, label: "Test", sleep })).rejects.toThrow("last");
+    expect(sleep).toHaveBeenCalledTimes(1);
+  });
+});
+
+// ── prepareDayMenu ───────────────────────────────────────────────────────────
+
+describe("prepareDayMenu", () => {
+  test("fetches again while a café is unavailable", async () => {
+    const partial = dayMenu(section("Cohen"), section("Blavatnik", { unavailable: true }));
+    const complete = dayMenu(section("Cohen"), section("Blavatnik"));
+    const fetch = jest.fn().mockResolvedValueOnce(partial).mockResolvedValue(complete);
+
+    expect(await prepareDayMenu(fetch, { label: "Menu", sleep })).toBe(complete);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("(Blavatnik unavailable)"));
+  });
+
+  test("goes ahead with the last menu when a café never comes back", async () => {
+    const partial = dayMenu(section("Cohen"), section("Blavatnik", { unavailable: true }));
+    const fetch = jest.fn().mockResolvedValue(partial);
+
+    expect(await prepareDayMenu(fetch, { label: "Menu", attempts: 3, sleep })).toBe(partial);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test("throws when no menu could be fetched at all", async () => {
+    const fetch = jest.fn().mockRejectedValue(new Error("config missing"));
+    await expect(prepareDayMenu(fetch, { label: "Menu", attempts: 2, sleep })).rejects.toThrow("config missing");
+  });
+});
+
+// ── sendWithRetries ──────────────────────────────────────────────────────────
+
+describe("sendWithRetries", () => {
+  test("retries a send while the socket is down", async () => {
+    const send = jest.fn().mockRejectedValueOnce(new Error("Connection Closed")).mockResolvedValue({ key: { id: "1" } });
+    expect(await sendWithRetries(send, { label: "Send", sleep })).toEqual({ key: { id: "1" } });
+    expect(sleep).toHaveBeenCalledWith(5000);
+  });
+});
@@ -0,0 +1,92 @@
+const { extractTags, findDiet, matchesDiet, filterDayMenu } = require("../dietary");
+const { toMenuItem } = require("../menu");
+
+function item(name, tags) {
+  return toMenuItem(name, { source: "cohen", date: "2026-10-19", position: 0, tags });
+}
+
+// ── extractTags ──────────────────────────────────────────────────────────────
+
+describe("extractTags", () => {
+  test("strips bracketed markers in any common spelling", () => {
+    expect(extractTags("Halloumi and Pesto (V)")).toEqual({ name: "Halloumi and Pesto", tags: ["V"] });
+    expect(extractTags("Dal (gf, vg)")).toEqual({ name: "Dal", tags: ["VG", "GF"] });
+    expect(extractTags("Kimchi Bowl (Ve) [Dairy-Free]")).toEqual({ name: "Kimchi Bowl", tags: ["VG", "DF"] });
+    expect(extractTags("Chicken Shawarma (Halal)")).toEqual({ name: "Chicken Shawarma", tags: ["H"] });
+  });
+
+  test("strips codes written after a dash or comma", () => {
+    expect(extractTags("Falafel Wrap, VG GF")).toEqual({ name: "Falafel Wrap", tags: ["VG", "GF"] });
+    expect(extractTags("Tomato Soup - V")).toEqual({ name: "Tomato Soup", tags: ["V"] });
+    expect(extractTags("Chickpea Curry – VG/GF")).toEqual({ name: "Chickpea Curry", tags: ["VG", "GF"] });
+  });
+
+  test("keeps codes that end the name without a separator", () => {
+    expect(extractTags("Vitamin H")).toEqual({ name: "Vitamin H", tags: [] });
+    expect(extractTags("Falafel Wrap VG GF")).toEqual({ name: "Falafel Wrap VG GF", tags: [] });
+    expect(extractTags("Salad of Pea-V")).toEqual({ name: "Salad of Pea-V", tags: [] });
+  });
+
+  test("tags diet words but keeps them in the name", () => {
+    expect(extractTags("Vegan Chilli")).toEqual({ name: "Vegan Chilli", tags: ["VG"] });
+    expect(extractTags("Gluten-free Brownie")).toEqual({ name: "Gluten-free Brownie", tags: ["GF"] });
+  });
+
+  test("leaves other brackets and ordinary words alone", () => {
+    expect(extractTags("Tuna Melt (Tuesday-Friday only)")).toEqual({
+      name: "Tuna Melt (Tuesday-Friday only)",
+      tags: [],
+    });
+    expect(extractTags("Pie and Veg")).toEqual({ name: "Pie and Veg", tags: [] });
+  });
+});
+
+// ── findDiet ─────────────────────────────────────────────────────────────────
+
+describe("findDiet", () => {
+  test("accepts keys and aliases in any case", () => {
+    expect(findDiet("veg")).toBe("veg");
+    expect(findDiet("Vegetarian")).toBe("veg");
+    expect(findDiet("GF")).toBe("gf");
+    expect(findDiet("plant-based")).toBe("vegan");
+  });
+
+  test("returns null for anything else", () => {
+    expect(findDiet("keto")).toBeNull();
+    expect(findDiet(undefined)).toBeNull();
+  });
+});
+
+// ── matchesDiet ──────────────────────────────────────────────────────────────
+
+describe("matchesDiet", () => {
+  test("counts vegan dishes as vegetarian", () => {
+    expect(matchesDiet(item("Dal", ["VG"]), "veg")).toBe(true);
+    expect(matchesDiet(item("Quiche", ["V"]), "vegan")).toBe(false);
+  });
+
+  test("rejects untagged items", () => {
+    expect(matchesDiet(item("Roast Chicken", []), "gf")).toBe(false);
+  });
+});
+
+// ── filterDayMenu ────────────────────────────────────────────────────────────
+
+describe("filterDayMenu", () => {
+  const dayMenu = {
+    date: "2026-10-19",
+    sections: [
+      { source: { id: "cohen" }, items: [item("Dal", ["VG", "GF"]), item("Roast Chicken", [])], notes: [] },
+    ],
+  };
+
+  test("keeps only matching items", () => {
+    const filtered = filterDayMenu(dayMenu, "gf");
+    expect(filtered.sections[0].items.map((i) => i.name)).toEqual(["Dal"]);
+    expect(dayMenu.sections[0].items).toHaveLength(2);
+  });
+
+  test("returns the menu unchanged without a diet", () => {
+    expect(filterDayMenu(dayMenu, null)).toBe(dayMenu);
+  });
+});
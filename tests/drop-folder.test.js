@@ -0,0 +1,176 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ingestFile, processDroppedFile, parseFileName } = require("../drop-folder");
+const { emailWeek: blavatnikWeek } = require("../blavatnik");
+const { emailWeek: schwarzmanWeek } = require("../schwarzman");
+const { MAIL_DEFAULTS } = require("../mailbox");
+
+const PNG = Buffer.from("fake png bytes");
+
+function email({ subject, date, filename = "menu.png" }) {
+  return [
+    "From: Catering <catering@example.org>",
+    "To: lunch@example.org",
+    `Subject: ${subject}`,
+    `Date: ${date}`,
+    "MIME-Version: 1.0",
+    'Content-Type: multipart/mixed; boundary="XYZ"',
+    "",
+    "--XYZ",
+    "Content-Type: text/plain",
+    "",
+    "Please find this week's menu attached.",
+    "--XYZ",
+    `Content-Type: image/png; name="${filename}"`,
+    `Content-Disposition: attachment; filename="${filename}"`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    PNG.toString("base64"),
+    "--XYZ--",
+    "",
+  ].join("\r\n");
+}
+
+let dir;
+let handlers;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "drop-folder-"));
+  const ingester = (subject, emailWeek) => {
+    const ingestAttachments = jest.fn(async () => true);
+    const ingestEmail = jest.fn((parsed, options) => ingestAttachments(parsed.attachments, options));
+    return { EMAIL_SUBJECT: subject, emailWeek, ingestEmail, ingestAttachments };
+  };
+  handlers = {
+    blavatnik: ingester("Weekly Menu Update", blavatnikWeek),
+    schwarzman: ingester("Schwarzman Menu", schwarzmanWeek),
+  };
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function drop(name, content) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+// ── parseFileName ────────────────────────────────────────────────────────────
+
+describe("parseFileName", () => {
+  test("reads the handler and date from image names", () => {
+    expect(parseFileName("blavatnik-2026-10-19.png")).toEqual({ handler: "blavatnik", date: "2026-10-19", ext: "png" });
+    expect(parseFileName("Schwarzman.JPG")).toEqual({ handler: "schwarzman", date: null, ext: "jpg" });
+    expect(parseFileName("schwarzman-2026-10-19.pdf")).toEqual({ handler: "schwarzman", date: "2026-10-19", ext: "pdf" });
+  });
+
+  test("accepts any .eml, with or without a handler", () => {
+    expect(parseFileName("blavatnik-2026-10-19.eml")).toEqual({ handler: "blavatnik", date: "2026-10-19", ext: "eml" });
+    expect(parseFileName("Fwd menu.eml")).toEqual({ handler: null, date: null, ext: "eml" });
+  });
+
+  test("rejects other files", () => {
+    for (const name of ["cohen-2026-10-19.png", "menu.png", "blavatnik.txt", ".DS_Store", "blavatnik-2026-13-45.png"]) {
+      expect(parseFileName(name)).toBeNull();
+    }
+  });
+});
+
+// ── ingestFile ───────────────────────────────────────────────────────────────
+
+describe("ingestFile", () => {
+  test("runs a dropped image through its handler for the week in its name", async () => {
+    const result = await ingestFile(drop("blavatnik-2026-10-21.png", PNG), { handlers, force: true });
+    expect(result).toEqual({ handler: "blavatnik", saved: true });
+
+    const [[attachments, options]] = handlers.blavatnik.ingestAttachments.mock.calls;
+    expect(attachments).toEqual([
+      { filename: "blavatnik-2026-10-21.png", contentType: "image/png", content: PNG, size: PNG.length },
+    ]);
+    expect(options).toMatchObject({ monday: new Date(2026, 9, 19), force: true });
+  });
+
+  test("passes a dropped PDF on as a PDF attachment", async () => {
+    const pdf = Buffer.from("%PDF-1.7 menu");
+    await ingestFile(drop("schwarzman.pdf", pdf), { handlers });
+    const [[[attachment]]] = handlers.schwarzman.ingestAttachments.mock.calls;
+    expect(attachment).toMatchObject({ filename: "schwarzman.pdf", contentType: "application/pdf", content: pdf });
+  });
+
+  test("matches an .eml to its source by subject and uses the email's week", async () => {
+    const eml = email({ subject: "Fwd: Weekly Menu Update", date: "Fri, 16 Oct 2026 09:00:00 +0100" });
+    expect(await ingestFile(drop("forwarded.eml", eml), { handlers })).toEqual({ handler: "blavatnik", saved: true });
+
+    const [[attachments, options]] = handlers.blavatnik.ingestAttachments.mock.calls;
+    expect(attachments).toHaveLength(1);
+    expect(attachments[0]).toMatchObject({ filename: "menu.png", contentType: "image/png" });
+    expect(attachments[0].content.equals(PNG)).toBe(true);
+    // Blavatnik's Friday email is for the following week.
+    expect(options.monday).toEqual(new Date(2026, 9, 19));
+  });
+
+  test("matches by the usual subject when the configured search gives only a sender", async () => {
+    const settings = { ...MAIL_DEFAULTS, search: { blavatnik: { from: "catering@example.org" } } };
+    const eml = email({ subject: "Schwarzman Menu", date: "Mon, 12 Oct 2026 09:00:00 +0100" });
+    expect(await ingestFile(drop("menu.eml", eml), { handlers, settings })).toEqual({
+      handler: "schwarzman",
+      saved: true,
+    });
+  });
+
+  test("matches by the configured subject when the search sets one", async () => {
+    const settings = { ...MAIL_DEFAULTS, search: { schwarzman: { subject: "Build Your Own" } } };
+    const eml = email({ subject: "Build Your Own this week", date: "Mon, 12 Oct 2026 09:00:00 +0100" });
+    expect(await ingestFile(drop("menu.eml", eml), { handlers, settings })).toEqual({
+      handler: "schwarzman",
+      saved: true,
+    });
+  });
+
+  test("prefers the handler and date in an .eml's name", async () => {
+    const eml = email({ subject: "Menu", date: "Mon, 12 Oct 2026 09:00:00 +0100" });
+    await ingestFile(drop("schwarzman-2026-10-19.eml", eml), { handlers });
+    expect(handlers.schwarzman.ingestAttachments).toHaveBeenCalledWith(
+      expect.any(Array),
+      expect.objectContaining({ monday: new Date(2026, 9, 19) }),
+    );
+  });
+
+  test("throws for an .eml no source claims", async () => {
+    const eml = email({ subject: "Team social", date: "Mon, 12 Oct 2026 09:00:00 +0100" });
+    await expect(ingestFile(drop("social.eml", eml), { handlers })).rejects.toThrow(/No source matches/);
+  });
+});
+
+// ── processDroppedFile ───────────────────────────────────────────────────────
+
+describe("processDroppedFile", () => {
+  test("moves ingested files to processed/", async () => {
+    drop("blavatnik-2026-10-19.png", PNG);
+    await processDroppedFile(dir, "blavatnik-2026-10-19.png", { handlers });
+    expect(fs.existsSync(path.join(dir, "processed", "blavatnik-2026-10-19.png"))).toBe(true);
+    expect(fs.existsSync(path.join(dir, "blavatnik-2026-10-19.png"))).toBe(false);
+  });
+
+  test("moves files that gave no menu to failed/", async () => {
+    handlers.schwarzman.ingestAttachments.mockResolvedValue(false);
+    drop("schwarzman.jpg", PNG);
+    expect(await processDroppedFile(dir, "schwarzman.jpg", { handlers })).toEqual({ handler: "schwarzman", saved: false });
+    expect(fs.existsSync(path.join(dir, "failed", "schwarzman.jpg"))).toBe(true);
+  });
+
+  test("leaves unrelated files and folders alone", async () => {
+    drop("notes.txt", "hello");
+    fs.mkdirSync(path.join(dir, "processed"));
+    expect(await processDroppedFile(dir, "notes.txt", { handlers })).toBeNull();
+    expect(await processDroppedFile(dir, "processed", { handlers })).toBeNull();
+    expect(await processDroppedFile(dir, "gone.png", { handlers })).toBeNull();
+    expect(fs.existsSync(path.join(dir, "notes.txt"))).toBe(true);
+  });
+});
@@ -0,0 +1,109 @@
+const { parseMenuBody, parseMenuHtml, parseMenuText } = require("../email-body");
+const { MENU_SCHEMA: BLAVATNIK_SCHEMA } = require("../blavatnik");
+const { MENU_SCHEMA: SCHWARZMAN_SCHEMA } = require("../schwarzman");
+
+const WEEKDAYS = BLAVATNIK_SCHEMA.keys;
+
+const WEEK = {
+  Monday: ["Chicken Katsu", "Veggie Katsu (V)", "Rice"],
+  Tuesday: ["Beef Chilli", "Bean Chilli (VG)", "Rice"],
+  Wednesday: ["Fish Pie", "Leek Pie (V)", "Greens"],
+  Thursday: ["Lamb Tagine", "Veg Tagine", "Couscous"],
+  Friday: ["Fish & Chips", "Halloumi & Chips", "Peas"],
+};
+
+// ── parseMenuHtml ────────────────────────────────────────────────────────────
+
+describe("parseMenuHtml", () => {
+  test("reads a table with the days across the top, inside a layout table", () => {
+    const cells = (i) => WEEKDAYS.map((day) => `<td>${WEEK[day][i].replace("&", "&amp;")}</td>`).join("");
+    const html = `<html><head><style>td { padding: 4px }</style></head><body>
+      <table><tr><td>
+        <p>Hi all,</p><p>Please see next week's menu below.</p>
+        <table>
+          <tr>${WEEKDAYS.map((day) => `<th>${day.toUpperCase()}</th>`).join("")}</tr>
+          <tr>${cells(0)}</tr><tr>${cells(1)}</tr><tr>${cells(2)}</tr>
+        </table>
+        <p>Kind regards,<br>Catering</p>
+      </td></tr></table></body></html>`;
+    expect(parseMenuHtml(html, WEEKDAYS)).toEqual(WEEK);
+  });
+
+  test("reads a table with a day at the start of each row and dishes split by line breaks", () => {
+    const html = `<table>
+      <tr><td>Monday 19th October</td><td>Chicken Katsu<br>Veggie Katsu (V)</td><td>Rice</td></tr>
+      <tr><td>Tues</td><td><p>Beef Chilli</p><p>Bean Chilli (VG)</p></td><td>Rice</td></tr>
+    </table>`;
+    expect(parseMenuHtml(html, WEEKDAYS)).toEqual({ Monday: WEEK.Monday, Tuesday: WEEK.Tuesday });
+  });
+
+  test("reads headings followed by lists, skipping prices and instructions", () => {
+    const html = `<p>WEEKLY MENU</p>
+      <p><b>STEP 1: CHOOSE YOUR BASE</b></p><ul><li>Coconut Rice</li><li>Bulgur w/ Roasted Veg</li></ul>
+      <p>STEP 2 - SIDES</p><p>Select any two</p><ul><li>Polenta chips</li><li>Slaw</li></ul>
+      <h3>Proteins</h3><ul><li>Chicken Katsu</li><li>Tempeh Korma</li></ul>
+      <p>Sauces &amp; Pickles</p><ul><li>Sriracha mayo</li></ul>
+      <p>BUNDLE PRICE £7.95</p>`;
+    expect(parseMenuHtml(html, SCHWARZMAN_SCHEMA.keys)).toEqual({
+      Base: ["Coconut Rice", "Bulgur w/ Roasted Veg"],
+      Sides: ["Polenta chips", "Slaw"],
+      Protein: ["Chicken Katsu", "Tempeh Korma"],
+      "Sauces & Pickles": ["Sriracha mayo"],
+    });
+  });
+});
+
+// ── parseMenuText ────────────────────────────────────────────────────────────
+
+describe("parseMenuText", () => {
+  test("reads inline, listed and numbered days, ignoring the greeting and sign-off", () => {
+    const text = [
+      "Hello,",
+      "",
+      "Here is the menu for next week, let us know of any allergies.",
+      "",
+      "Monday: Chicken Katsu | Veggie Katsu (V) | Rice",
+      "Tuesday",
+      "- Beef Chilli",
+      "- Bean Chilli (VG)",
+      "WED 21/10: Fish Pie; Leek Pie (V)",
+      "Friday 23rd October",
+      "1. Fish & Chips",
+      "2. Halloumi & Chips",
+      "",
+      "Best wishes",
+      "Catering",
+    ].join("\n");
+    expect(parseMenuText(text, WEEKDAYS)).toEqual({
+      Monday: WEEK.Monday,
+      Tuesday: ["Beef Chilli", "Bean Chilli (VG)"],
+      Wednesday: ["Fish Pie", "Leek Pie (V)"],
+      Friday: ["Fish & Chips", "Halloumi & Chips"],
+    });
+  });
+
+  test("finds nothing in an email that only points at an attachment", () => {
+    expect(parseMenuText("Hi all,\n\nPlease find this week's menu attached.\n\nThanks", WEEKDAYS)).toEqual({});
+  });
+});
+
+// ── parseMenuBody ────────────────────────────────────────────────────────────
+
+describe("parseMenuBody", () => {
+  const text = WEEKDAYS.map((day) => `${day}: ${WEEK[day].join(" | ")}`).join("\n");
+
+  test("returns a body menu that passes the source's schema", () => {
+    expect(parseMenuBody({ html: false, text }, BLAVATNIK_SCHEMA)).toEqual(WEEK);
+  });
+
+  test("falls back from the HTML to the text part", () => {
+    expect(parseMenuBody({ html: "<p>See below</p>", text }, BLAVATNIK_SCHEMA)).toEqual(WEEK);
+  });
+
+  test("returns null when the body menu is incomplete or there is none", () => {
+    const partial = text.split("\n").slice(0, 3).join("\n");
+    expect(parseMenuBody({ text: partial }, BLAVATNIK_SCHEMA)).toBeNull();
+    expect(parseMenuBody({ html: "<p>Menu attached.</p>", text: "Menu attached." }, BLAVATNIK_SCHEMA)).toBeNull();
+    expect(parseMenuBody({}, SCHWARZMAN_SCHEMA)).toBeNull();
+  });
+});
@@ -0,0 +1,244 @@
+const fs = require("fs");
+const path = require("path");
+
+jest.mock("@anthropic-ai/sdk");
+jest.mock("../mailbox", () => {
+  const actual = jest.requireActual("../mailbox");
+  return {
+    ...actual,
+    mailCredentials: () => ({ user: "menus@example.org", pass: "secret" }),
+    mailSettings: () => ({ ...actual.MAIL_DEFAULTS, search: {} }),
+    createImapClient: jest.fn(),
+  };
+});
+jest.mock("../config", () => ({
+  ...jest.requireActual("../config"),
+  getConfig: () => ({ sources: [{ id: "cafe", name: "Test Café", type: "email-vision", handler: "test-cafe" }] }),
+}));
+
+const { createEmailSource } = require("../email-source");
+const { createImapClient } = require("../mailbox");
+const { EMAIL_SOURCES } = require("../email-sources");
+const { getMenuMessage } = require("../scraper");
+const { toMenuItem } = require("../menu");
+const { WEEKDAYS, getWeekMonday, toISODate, dateOfWeekday, addDays } = require("../dates");
+
+const MENU_PATH = path.join(__dirname, "../data/test-cafe-menu.json");
+
+// A café declared as a new one would be: Friday emails for next week.
+const cafe = createEmailSource({
+  id: "test-cafe",
+  label: "Test Café",
+  subject: "Café Menu",
+  weekOffset: 1,
+  prompt: "Extract the menu.",
+  promptVersion: "test-cafe-1",
+  schema: { keys: WEEKDAYS, required: WEEKDAYS, minItems: 2 },
+  toItems: (menu, { source, date, day }) =>
+    (menu[day] || []).map((text, i) => toMenuItem(text, { source, date, position: i })),
+});
+
+const MENU = Object.fromEntries(WEEKDAYS.map((day) => [day, [`${day} Pie`, `${day} Soup`]]));
+
+function email(date) {
+  return [
+    "From: Catering <catering@example.org>",
+    "Subject: Café Menu",
+    `Date: ${date.toUTCString()}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    ...WEEKDAYS.map((day) => `${day}: ${MENU[day].join(" | ")}`),
+    "",
+  ].join("\r\n");
+}
+
+/** A stand-in ImapFlow client holding the given emails, oldest first. */
+function fakeClient(emails) {
+  return {
+    connect: jest.fn(async () => {}),
+    getMailboxLock: jest.fn(async () => ({ release: jest.fn() })),
+    search: jest.fn(async () => emails.map((_, i) => i + 1)),
+    download: jest.fn(async (uid) => ({ content: Buffer.from(emails[uid - 1]) })),
+    logout: jest.fn(async () => {}),
+    close: jest.fn(),
+  };
+}
+
+let saved;
+
+beforeEach(() => {
+  saved = null;
+  jest.spyOn(fs, "mkdirSync").mockImplementation(() => {});
+  jest.spyOn(fs, "writeFileSync").mockImplementation((file, data) => {
+    if (file === MENU_PATH) saved = JSON.parse(data);
+  });
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// ── emailWeek ────────────────────────────────────────────────────────────────
+
+describe("emailWeek", () => {
+  test("moves the week an email is sent by the source's week offset", () => {
+    const friday = new Date(2026, 9, 16, 9);
+    expect(cafe.emailWeek(friday)).toEqual(new Date(2026, 9, 19));
+  });
+});
+
+// ── checkForNewMenu ──────────────────────────────────────────────────────────
+
+describe("checkForNewMenu", () => {
+  beforeEach(() => {
+    const readFileSync = fs.readFileSync;
+    jest.spyOn(fs, "readFileSync").mockImplementation((file, ...rest) => {
+      if (file === MENU_PATH) throw new Error("ENOENT: no such file");
+      return readFileSync(file, ...rest);
+    });
+  });
+
+  test("skips an email for a week that hasn't started and saves the newest one that has", async () => {
+    const thisWeek = getWeekMonday();
+    const lastWeeksEmail = email(addDays(thisWeek, -3));
+    const thisWeeksEmail = email(addDays(thisWeek, 2));
+    const client = fakeClient([lastWeeksEmail, thisWeeksEmail]);
+    createImapClient.mockReturnValue(client);
+
+    await cafe.checkForNewMenu({ anthropic: {} });
+
+    expect(client.download).toHaveBeenCalledTimes(2);
+    expect(saved).toMatchObject({ weekCommencing: thisWeek.toISOString(), menu: MENU });
+    expect(client.logout).toHaveBeenCalled();
+  });
+
+  test("logs out even when reading the mailbox fails, closing the connection if that fails too", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const client = fakeClient([]);
+    client.search.mockRejectedValue(new Error("Command failed"));
+    createImapClient.mockReturnValue(client);
+
+    expect(await cafe.checkForNewMenu({ anthropic: {} })).toBe(false);
+    expect(client.logout).toHaveBeenCalled();
+
+    client.connect.mockRejectedValue(new Error("ECONNREFUSED"));
+    client.logout.mockRejectedValue(new Error("Not connected"));
+    expect(await cafe.checkForNewMenu({ anthropic: {} })).toBe(false);
+    expect(client.close).toHaveBeenCalled();
+  });
+
+  test("shares one check between callers that ask while it's under way", async () => {
+    const client = fakeClient([email(addDays(getWeekMonday(), 2))]);
+    createImapClient.mockClear().mockReturnValue(client);
+
+    const results = await Promise.all([
+      cafe.checkForNewMenu({ anthropic: {} }),
+      cafe.checkForNewMenu({ anthropic: {} }),
+      cafe.fetch(dateOfWeekday("Wednesday")),
+    ]);
+    expect(results.slice(0, 2)).toEqual([true, true]);
+    expect(createImapClient).toHaveBeenCalledTimes(1);
+    expect(client.download).toHaveBeenCalledTimes(1);
+
+    await cafe.checkForNewMenu({ anthropic: {} });
+    expect(createImapClient).toHaveBeenCalledTimes(2);
+  });
+
+  test("saves an older email under its own week, so it's served as out of date", async () => {
+    const thisWeek = getWeekMonday();
+    createImapClient.mockReturnValue(fakeClient([email(addDays(thisWeek, -10))]));
+
+    await cafe.checkForNewMenu({ anthropic: {} });
+
+    expect(saved.weekCommencing).toBe(addDays(thisWeek, -7).toISOString());
+  });
+});
+
+// ── fetch ────────────────────────────────────────────────────────────────────
+
+describe("fetch", () => {
+  const cache = (monday) => JSON.stringify({
+    weekCommencing: monday.toISOString(),
+    lastChecked: new Date().toDateString(),
+    menu: { ...MENU, Monday: [] },
+  });
+
+  beforeEach(() => jest.spyOn(fs, "existsSync").mockReturnValue(true));
+
+  test("turns the cached menu into the day's items with toItems", async () => {
+    jest.spyOn(fs, "readFileSync").mockReturnValue(cache(getWeekMonday()));
+
+    const { items, notes } = await cafe.fetch(dateOfWeekday("Wednesday"), { source: "cafe" });
+    expect(items.map((item) => [item.source, item.name, item.date])).toEqual([
+      ["cafe", "Wednesday Pie", toISODate(dateOfWeekday("Wednesday"))],
+      ["cafe", "Wednesday Soup", toISODate(dateOfWeekday("Wednesday"))],
+    ]);
+    expect(notes).toEqual([]);
+  });
+
+  test("falls back to the next day with dishes, noting a stale menu", async () => {
+    jest.spyOn(fs, "readFileSync").mockReturnValue(cache(addDays(getWeekMonday(), -7)));
+
+    const { items, notes, stale } = await cafe.fetch(dateOfWeekday("Monday"));
+    expect(items[0].name).toBe("Tuesday Pie");
+    expect(notes).toEqual(["Menu not yet updated this week", "Next available: Tuesday"]);
+    expect(stale).toBe(true);
+  });
+});
+
+// ── fetchWeek ────────────────────────────────────────────────────────────────
+
+describe("fetchWeek", () => {
+  test("reads the cache once for every weekday, without fallbacks", async () => {
+    jest.spyOn(fs, "existsSync").mockReturnValue(true);
+    const readFileSync = jest.spyOn(fs, "readFileSync").mockReturnValue(JSON.stringify({
+      weekCommencing: addDays(getWeekMonday(), -7).toISOString(),
+      lastChecked: new Date().toDateString(),
+      menu: { ...MENU, Monday: [] },
+    }));
+
+    const week = await cafe.fetchWeek(dateOfWeekday("Wednesday"), { source: "cafe" });
+    expect(week).toHaveLength(5);
+    expect(week[0]).toEqual({ items: [], notes: [] });
+    expect(week[1].items.map((item) => [item.name, item.date])).toEqual([
+      ["Tuesday Pie", toISODate(dateOfWeekday("Tuesday"))],
+      ["Tuesday Soup", toISODate(dateOfWeekday("Tuesday"))],
+    ]);
+    expect(week[4]).toMatchObject({ notes: ["Menu not yet updated this week"], stale: true });
+    expect(readFileSync).toHaveBeenCalledTimes(2);
+  });
+});
+
+// ── fetch without a mailbox ──────────────────────────────────────────────────
+
+describe("fetch when the mailbox can't be checked", () => {
+  beforeAll(() => {
+    EMAIL_SOURCES["test-cafe"] = cafe;
+    process.env.ANTHROPIC_API_KEY = "test-key";
+  });
+
+  afterAll(() => {
+    delete EMAIL_SOURCES["test-cafe"];
+    delete process.env.ANTHROPIC_API_KEY;
+  });
+
+  beforeEach(() => {
+    const existsSync = fs.existsSync;
+    jest.spyOn(fs, "existsSync").mockImplementation((file) => file !== MENU_PATH && existsSync(file));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  test("shows the café as unavailable when nothing is saved", async () => {
+    const client = fakeClient([]);
+    client.connect.mockRejectedValue(new Error("ECONNREFUSED"));
+    createImapClient.mockReturnValue(client);
+
+    await expect(cafe.fetch(dateOfWeekday("Wednesday"))).rejects.toThrow("couldn't check the mailbox");
+    expect(await getMenuMessage(dateOfWeekday("Wednesday"))).toContain("⚠️ Test Café menu unavailable right now");
+  });
+
+  test("returns no items when the mailbox was checked and had no menu", async () => {
+    createImapClient.mockReturnValue(fakeClient([]));
+    expect(await cafe.fetch(dateOfWeekday("Wednesday"))).toEqual({ items: [], notes: [] });
+  });
+});
@@ -0,0 +1,108 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { renderICalendar, renderAtom, writeFeeds, foldLine } = require("../feeds");
+const { toMenuItem } = require("../menu");
+
+const NOW = new Date(Date.UTC(2026, 9, 19, 9, 0));
+
+const BLAVATNIK = { id: "blavatnik", name: "Blavatnik Café", hours: "12:00–13:30", numbered: true };
+const COHEN = { id: "cohen", name: "Dakota Café (Cohen Quad)", numbered: false };
+
+function section(source, names, notes = []) {
+  const items = names.map((name, position) => toMenuItem(name, { source: source.id, date: "2026-10-19", position }));
+  return { source, items, notes };
+}
+
+const WEEK = {
+  weekCommencing: "2026-10-19",
+  days: [
+    {
+      date: "2026-10-19",
+      sections: [
+        section(BLAVATNIK, ["Grilled Chicken, Rice", "Tomato Soup (V)"], ["Menu not yet updated this week"]),
+        section(COHEN, ["Pasta Bolognese"]),
+      ],
+    },
+    { date: "2026-10-20", sections: [section(BLAVATNIK, []), section(COHEN, [])] },
+  ],
+};
+
+// ── renderICalendar ──────────────────────────────────────────────────────────
+
+describe("renderICalendar", () => {
+  const ics = renderICalendar(WEEK, { now: NOW });
+  const unfolded = ics.replace(/\r\n /g, "");
+
+  test("uses CRLF line endings and wraps everything in a VCALENDAR", () => {
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(ics.replace(/\r\n/g, "")).not.toContain("\n");
+  });
+
+  test("adds one event per café per day with items", () => {
+    expect(unfolded.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(unfolded).toContain("UID:2026-10-19-blavatnik@oxford-lunch-menus");
+    expect(unfolded).toContain("UID:2026-10-19-cohen@oxford-lunch-menus");
+    expect(unfolded).toContain("DTSTAMP:20261019T090000Z");
+  });
+
+  test("times events to the café's hours, or makes them all-day", () => {
+    expect(unfolded).toContain("DTSTART;TZID=Europe/London:20261019T120000\r\nDTEND;TZID=Europe/London:20261019T133000");
+    expect(unfolded).toContain("DTSTART;VALUE=DATE:20261019\r\nDTEND;VALUE=DATE:20261020");
+    expect(unfolded).toContain("TZID:Europe/London");
+  });
+
+  test("lists the items in an escaped description", () => {
+    expect(unfolded).toContain(
+      "DESCRIPTION:Menu not yet updated this week\\n1. Grilled Chicken\\, Rice\\n2. Tomato Soup (V)",
+    );
+  });
+});
+
+describe("foldLine", () => {
+  test("folds at 75 octets without splitting characters", () => {
+    const folded = foldLine(`DESCRIPTION:${"é".repeat(60)}`);
+    const lines = folded.split("\r\n");
+    expect(lines.length).toBeGreaterThan(1);
+    for (const line of lines) expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    expect(lines.slice(1).every((line) => line.startsWith(" "))).toBe(true);
+    expect(folded.replace(/\r\n /g, "")).toBe(`DESCRIPTION:${"é".repeat(60)}`);
+  });
+});
+
+// ── renderAtom ───────────────────────────────────────────────────────────────
+
+describe("renderAtom", () => {
+  test("has one entry per day with items", () => {
+    const atom = renderAtom(WEEK, { now: NOW });
+    expect(atom).toMatch(/^<\?xml version="1.0" encoding="utf-8"\?>\n<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/);
+    expect(atom.match(/<entry>/g)).toHaveLength(1);
+    expect(atom).toContain("<title>Lunch menu — Monday, 19 Oct 2026</title>");
+    expect(atom).toContain("<id>urn:oxford-lunch-menus:2026-10-19</id>");
+    expect(atom).toContain("<summary>Blavatnik Café, Dakota Café (Cohen Quad)</summary>");
+    expect(atom).toContain("&lt;li&gt;Tomato Soup &lt;span class=&quot;tag&quot;&gt;V&lt;/span&gt;&lt;/li&gt;");
+    expect(atom).not.toContain("<link");
+  });
+
+  test("links to the web page when given a base URL", () => {
+    const atom = renderAtom(WEEK, { now: NOW, baseUrl: "http://lunch.example.org" });
+    expect(atom).toContain('<link rel="self" href="http://lunch.example.org/menu.atom"/>');
+    expect(atom).toContain('<link rel="alternate" type="text/html" href="http://lunch.example.org/?day=2026-10-19"/>');
+  });
+});
+
+// ── writeFeeds ───────────────────────────────────────────────────────────────
+
+describe("writeFeeds", () => {
+  test("writes both feeds into the directory", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "feeds-"));
+    try {
+      const written = writeFeeds(WEEK, path.join(dir, "out"), { now: NOW });
+      expect(written.map((p) => path.basename(p))).toEqual(["lunch-menu.ics", "lunch-menu.atom"]);
+      expect(fs.readFileSync(written[0], "utf-8")).toBe(renderICalendar(WEEK, { now: NOW }));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
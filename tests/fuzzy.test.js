@@ -0,0 +1,45 @@
+const { normalize, editDistance, closestMatch } = require("../fuzzy");
+
+// ── normalize ────────────────────────────────────────────────────────────────
+
+describe("normalize", () => {
+  test("lowercases, strips accents and punctuation", () => {
+    expect(normalize("Dakota Café (Cohen Quad)")).toBe("dakota cafe cohen quad");
+  });
+});
+
+// ── editDistance ──────────────────────────────────────────────────────────────
+
+describe("editDistance", () => {
+  test("counts single-character edits", () => {
+    expect(editDistance("menu", "menu")).toBe(0);
+    expect(editDistance("schwartzman", "schwarzman")).toBe(1);
+    expect(editDistance("", "abc")).toBe(3);
+  });
+
+  test("counts a swap of adjacent letters as one edit", () => {
+    expect(editDistance("mneu", "menu")).toBe(1);
+  });
+});
+
+// ── closestMatch ─────────────────────────────────────────────────────────────
+
+describe("closestMatch", () => {
+  const entries = ["blavatnik", "schwarzman", "cohen"];
+  const keys = (entry) => [entry];
+
+  test("prefers exact matches, then prefixes, then near-misses", () => {
+    expect(closestMatch("cohen", entries, keys)).toBe("cohen");
+    expect(closestMatch("blav", entries, keys)).toBe("blavatnik");
+    expect(closestMatch("shwarzman", entries, keys)).toBe("schwarzman");
+  });
+
+  test("returns null when nothing is close", () => {
+    expect(closestMatch("pizza", entries, keys)).toBeNull();
+    expect(closestMatch("", entries, keys)).toBeNull();
+  });
+
+  test("returns null when two entries match equally well", () => {
+    expect(closestMatch("ca", ["cat", "car"], keys)).toBeNull();
+  });
+});
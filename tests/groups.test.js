@@ -0,0 +1,132 @@
+const {
+  resolveGroups,
+  groupAllows,
+  weekdayCron,
+  weeklyCron,
+  minutesBefore,
+  groupsBySendTime,
+  groupsByPollCutoff,
+} = require("../groups");
+
+const CONFIG = {
+  sources: [{ id: "cohen" }, { id: "blavatnik" }, { id: "schwarzman" }],
+};
+
+// ── resolveGroups ────────────────────────────────────────────────────────────
+
+describe("resolveGroups", () => {
+  test("fills in every source, 11:00, every command, no poll and no digest by default", () => {
+    const groups = resolveGroups({ ...CONFIG, groups: [{ name: "Lunch Crew" }] }, {});
+    expect(groups).toEqual([
+      {
+        name: "Lunch Crew",
+        sources: ["cohen", "blavatnik", "schwarzman"],
+        sendAt: ["11:00"],
+        commands: null,
+        pollCutoff: null,
+        digest: null,
+      },
+    ]);
+  });
+
+  test("keeps per-group settings", () => {
+    const [group] = resolveGroups(
+      {
+        ...CONFIG,
+        groups: [
+          {
+            name: "DPhil",
+            sources: ["blavatnik"],
+            sendAt: ["12:30", "11:30"],
+            commands: ["menu"],
+            pollCutoff: "11:50",
+            digest: { day: "Sunday", at: "18:00" },
+          },
+        ],
+      },
+      {},
+    );
+    expect(group).toEqual({
+      name: "DPhil",
+      sources: ["blavatnik"],
+      sendAt: ["11:30", "12:30"],
+      commands: ["menu"],
+      pollCutoff: "11:50",
+      digest: { day: "Sunday", at: "18:00" },
+    });
+  });
+
+  test("turns command aliases into command names and rejects unknown ones", () => {
+    const registry = { menu: { name: "menu" }, lunch: { name: "menu" }, week: { name: "week" } };
+    const findCommand = (name) => registry[name] || null;
+    const config = (commands) => ({ ...CONFIG, groups: [{ name: "DPhil", commands }] });
+
+    const [group] = resolveGroups(config(["lunch", "week"]), {}, findCommand);
+    expect(group.commands).toEqual(["menu", "week"]);
+    expect(groupAllows(group, "menu")).toBe(true);
+    expect(() => resolveGroups(config(["lunchh"]), {}, findCommand)).toThrow(
+      'Group "DPhil" enables unknown command "lunchh"',
+    );
+  });
+
+  test("falls back to GROUP_NAME when the config has no groups", () => {
+    const groups = resolveGroups(CONFIG, { GROUP_NAME: "Lunch Crew" });
+    expect(groups.map((g) => g.name)).toEqual(["Lunch Crew"]);
+  });
+
+  test("throws when no group is configured anywhere", () => {
+    expect(() => resolveGroups(CONFIG, {})).toThrow(/No WhatsApp groups configured/);
+  });
+});
+
+// ── groupAllows ──────────────────────────────────────────────────────────────
+
+describe("groupAllows", () => {
+  test("allows everything when the group doesn't list commands", () => {
+    expect(groupAllows({ commands: null }, "refresh")).toBe(true);
+  });
+
+  test("allows only listed commands, plus !help", () => {
+    const group = { commands: ["menu"] };
+    expect(groupAllows(group, "menu")).toBe(true);
+    expect(groupAllows(group, "refresh")).toBe(false);
+    expect(groupAllows(group, "help")).toBe(true);
+  });
+});
+
+// ── weekdayCron / groupsBySendTime / groupsByPollCutoff ──────────────────────
+
+describe("scheduling helpers", () => {
+  test("builds a Monday–Friday cron expression", () => {
+    expect(weekdayCron("11:00")).toBe("0 11 * * 1-5");
+    expect(weekdayCron("09:05")).toBe("5 9 * * 1-5");
+  });
+
+  test("builds a weekly cron expression", () => {
+    expect(weeklyCron("Sunday", "18:00")).toBe("0 18 * * 0");
+    expect(weeklyCron("Friday", "16:30")).toBe("30 16 * * 5");
+  });
+
+  test("works out a time earlier the same day", () => {
+    expect(minutesBefore("11:00", 30)).toBe("10:30");
+    expect(minutesBefore("09:15", 30)).toBe("08:45");
+    expect(minutesBefore("00:10", 30)).toBe("00:00");
+  });
+
+  test("buckets groups sharing a send time, in time order", () => {
+    const a = { name: "A", sendAt: ["11:00"] };
+    const b = { name: "B", sendAt: ["08:30", "11:30"] };
+    const c = { name: "C", sendAt: ["11:00"] };
+    expect([...groupsBySendTime([a, b, c])]).toEqual([
+      ["08:30", [b]],
+      ["11:00", [a, c]],
+      ["11:30", [b]],
+    ]);
+  });
+
+  test("buckets polling groups by cutoff, skipping the rest", () => {
+    const a = { name: "A", pollCutoff: "11:45" };
+    const b = { name: "B", pollCutoff: null };
+    expect([...groupsByPollCutoff([a, b])]).toEqual([["11:45", [a]]]);
+  });
+});
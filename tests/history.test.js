@@ -0,0 +1,181 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  historyCommands,
+  archiveItems,
+  loadHistory,
+  searchHistory,
+  formatHistory,
+} = require("../history");
+const { toMenuItem } = require("../menu");
+
+// Wednesday 21 October 2026
+const NOW = new Date(2026, 9, 21, 10, 30);
+
+function item(name, date, source = "blavatnik", position = 0) {
+  return toMenuItem(name, { source, date, position });
+}
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "history-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// ── archiveItems ─────────────────────────────────────────────────────────────
+
+describe("archiveItems", () => {
+  test("appends one snapshot per source and day", () => {
+    const written = archiveItems(
+      [
+        item("Chicken Katsu Curry", "2026-10-19"),
+        item("Vegetable Tagine (V)", "2026-10-19", "blavatnik", 1),
+        item("Fish and Chips", "2026-10-20"),
+        item("Dal", "2026-10-19", "exeter"),
+      ],
+      { dir, now: NOW },
+    );
+    expect(written).toBe(3);
+
+    const lines = fs.readFileSync(path.join(dir, "blavatnik.jsonl"), "utf-8").trim().split("\n");
+    expect(lines).toHaveLength(2);
+    const first = JSON.parse(lines[0]);
+    expect(first).toMatchObject({ date: "2026-10-19", source: "blavatnik", archivedAt: NOW.toISOString() });
+    expect(first.items.map((i) => i.name)).toEqual(["Chicken Katsu Curry", "Vegetable Tagine"]);
+    expect(first.items[1].tags).toEqual(["V"]);
+    expect(fs.existsSync(path.join(dir, "exeter.jsonl"))).toBe(true);
+  });
+
+  test("skips days that haven't changed", () => {
+    archiveItems([item("Dal", "2026-10-19")], { dir, now: NOW });
+    expect(archiveItems([item("Dal", "2026-10-19")], { dir, now: NOW })).toBe(0);
+    expect(fs.readFileSync(path.join(dir, "blavatnik.jsonl"), "utf-8").trim().split("\n")).toHaveLength(1);
+  });
+
+  test("appends a correction, which replaces the earlier snapshot when read", () => {
+    archiveItems([item("Dal", "2026-10-19")], { dir, now: NOW });
+    archiveItems([item("Chana Masala", "2026-10-19")], { dir, now: NOW });
+    expect(fs.readFileSync(path.join(dir, "blavatnik.jsonl"), "utf-8").trim().split("\n")).toHaveLength(2);
+
+    const days = loadHistory({ dir });
+    expect(days).toHaveLength(1);
+    expect(days[0].items.map((i) => i.name)).toEqual(["Chana Masala"]);
+  });
+});
+
+// ── loadHistory ──────────────────────────────────────────────────────────────
+
+describe("loadHistory", () => {
+  test("returns nothing before anything is archived", () => {
+    expect(loadHistory({ dir: path.join(dir, "missing") })).toEqual([]);
+  });
+
+  test("sorts days by date, then source, and can stop at a date", () => {
+    archiveItems([item("Dal", "2026-10-20"), item("Soup", "2026-10-19", "exeter")], { dir, now: NOW });
+    archiveItems([item("Salad", "2026-10-19", "cohen"), item("Pie", "2026-10-23")], { dir, now: NOW });
+
+    const days = loadHistory({ dir });
+    expect(days.map((d) => `${d.date} ${d.source}`)).toEqual([
+      "2026-10-19 cohen",
+      "2026-10-19 exeter",
+      "2026-10-20 blavatnik",
+      "2026-10-23 blavatnik",
+    ]);
+    expect(loadHistory({ dir, until: "2026-10-20" })).toHaveLength(3);
+  });
+
+  test("skips unreadable lines", () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    archiveItems([item("Dal", "2026-10-19")], { dir, now: NOW });
+    fs.appendFileSync(path.join(dir, "blavatnik.jsonl"), "{not json\n");
+    expect(loadHistory({ dir })).toHaveLength(1);
+    console.error.mockRestore();
+  });
+});
+
+// ── searchHistory ────────────────────────────────────────────────────────────
+
+describe("searchHistory", () => {
+  beforeEach(() => {
+    archiveItems(
+      [
+        item("Chicken Katsu Curry", "2026-10-05"),
+        item("Katsu Curry", "2026-10-14", "exeter"),
+        item("Tofu Katsu Curry (VG)", "2026-10-20"),
+        item("Katsu Curry", "2026-10-23"),
+        item("Curried Parsnip Soup", "2026-10-20", "exeter"),
+      ],
+      { dir, now: NOW },
+    );
+  });
+
+  test("finds past servings, most recent first, ignoring days still to come", () => {
+    expect(searchHistory("katsu curry", { dir, now: NOW })).toEqual([
+      { date: "2026-10-20", source: "blavatnik", name: "Tofu Katsu Curry" },
+      { date: "2026-10-14", source: "exeter", name: "Katsu Curry" },
+      { date: "2026-10-05", source: "blavatnik", name: "Chicken Katsu Curry" },
+    ]);
+  });
+
+  test("accepts a regex", () => {
+    const found = searchHistory("/^curr/i", { dir, now: NOW });
+    expect(found.map((f) => f.name)).toEqual(["Curried Parsnip Soup"]);
+  });
+});
+
+// ── formatHistory ────────────────────────────────────────────────────────────
+
+describe("formatHistory", () => {
+  const sourceNames = { blavatnik: "Blavatnik", exeter: "Exeter College" };
+
+  test("says when and where a dish was last served", () => {
+    const text = formatHistory(
+      "katsu curry",
+      [
+        { date: "2026-10-20", source: "blavatnik", name: "Tofu Katsu Curry" },
+        { date: "2026-10-14", source: "exeter", name: "Katsu Curry" },
+      ],
+      { sourceNames, now: NOW },
+    );
+    expect(text).toMatch(/^\*Tofu Katsu Curry\* was last served Tuesday, 20 Oct 2026 at Blavatnik\./);
+    expect(text).toContain("Served 2 times in total.");
+    expect(text).toContain("• Wednesday, 14 Oct 2026 — Katsu Curry, Exeter College");
+  });
+
+  test("says today when it's on today", () => {
+    const text = formatHistory("dal", [{ date: "2026-10-21", source: "exeter", name: "Dal" }], {
+      sourceNames,
+      now: NOW,
+    });
+    expect(text).toBe("*Dal* was last served today at Exeter College.");
+  });
+
+  test("says how far back it looked when nothing matched", () => {
+    expect(formatHistory("haggis", [], { since: "2026-09-07", now: NOW })).toBe(
+      'I haven\'t seen "haggis" on any menu since Monday, 7 Sept 2026.',
+    );
+  });
+});
+
+// ── command ──────────────────────────────────────────────────────────────────
+
+describe("history command", () => {
+  const run = (ctx, args = []) => historyCommands.find((c) => c.name === "history").run(ctx, args);
+
+  test("asks for a dish", async () => {
+    const reply = jest.fn();
+    await run({ reply });
+    expect(reply).toHaveBeenCalledWith(expect.stringMatching(/^Which dish\?/));
+  });
+
+  test("rejects an invalid regex", async () => {
+    const reply = jest.fn();
+    await run({ reply }, ["/(katsu/"]);
+    expect(reply).toHaveBeenCalledWith(expect.stringMatching(/^That isn't a valid pattern/));
+  });
+});
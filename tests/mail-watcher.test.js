@@ -0,0 +1,243 @@
+const { EventEmitter } = require("events");
+const { watchMailbox, formatMenuAnnouncement } = require("../mail-watcher");
+const { MAIL_DEFAULTS } = require("../mailbox");
+const { emailWeek: blavatnikWeek } = require("../blavatnik");
+const { emailWeek: schwarzmanWeek } = require("../schwarzman");
+
+function email({ subject, date }) {
+  return [
+    "From: Catering <catering@example.org>",
+    `Subject: ${subject}`,
+    `Date: ${date}`,
+    "MIME-Version: 1.0",
+    'Content-Type: multipart/mixed; boundary="XYZ"',
+    "",
+    "--XYZ",
+    'Content-Type: image/png; name="menu.png"',
+    'Content-Disposition: attachment; filename="menu.png"',
+    "Content-Transfer-Encoding: base64",
+    "",
+    Buffer.from("fake png bytes").toString("base64"),
+    "--XYZ--",
+    "",
+  ].join("\r\n");
+}
+
+const BLAVATNIK_EMAIL = { subject: "Weekly Menu Update", date: "Fri, 16 Oct 2026 09:00:00 +0100" };
+const SCHWARZMAN_EMAIL = { subject: "Schwarzman Menu", date: "Mon, 12 Oct 2026 09:00:00 +0100" };
+
+/**
+ * A stand-in ImapFlow client over an in-memory mailbox. `mail` is shared
+ * between clients so a reconnect sees what arrived while it was down.
+ */
+function fakeClient(mail, { uidValidity = 1, failConnect = false } = {}) {
+  const client = new EventEmitter();
+  client.connect = jest.fn(async () => {
+    if (failConnect) throw new Error("connection refused");
+  });
+  client.mailboxOpen = jest.fn(async () => ({
+    uidValidity: BigInt(uidValidity),
+    uidNext: Math.max(0, ...mail.map((m) => m.uid)) + 1,
+  }));
+  client.search = jest.fn(async (criteria) => {
+    const from = Number(criteria.uid.split(":")[0]);
+    return mail
+      .filter((m) => m.uid >= from && m.subject.toLowerCase().includes(criteria.subject.toLowerCase()))
+      .map((m) => m.uid);
+  });
+  client.download = jest.fn(async (uid) => ({
+    content: Buffer.from(email(mail.find((m) => m.uid === Number(uid)))),
+  }));
+  client.close = jest.fn(() => client.emit("close"));
+  client.logout = jest.fn(async () => client.emit("close"));
+  return client;
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+/** Retry an assertion until it passes, for work the watcher does in the background. */
+async function waitFor(assertion, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return assertion();
+    } catch (err) {
+      if (Date.now() > deadline) throw err;
+      await flush();
+    }
+  }
+}
+
+let handlers;
+let watcher;
+
+beforeEach(() => {
+  const ingester = (subject, emailWeek) => {
+    const ingestAttachments = jest.fn(async () => true);
+    const ingestEmail = jest.fn((parsed, options) => ingestAttachments(parsed.attachments, options));
+    return { EMAIL_SUBJECT: subject, emailWeek, ingestEmail, ingestAttachments };
+  };
+  handlers = {
+    blavatnik: ingester("Weekly Menu Update", blavatnikWeek),
+    schwarzman: ingester("Schwarzman Menu", schwarzmanWeek),
+  };
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  await watcher?.stop();
+  watcher = null;
+  jest.restoreAllMocks();
+});
+
+function watch(clients, options = {}) {
+  const createClient = jest.fn(() => clients.shift());
+  watcher = watchMailbox({
+    handlers,
+    settings: { ...MAIL_DEFAULTS, search: {} },
+    createClient,
+    minDelayMs: 1,
+    ...options,
+  });
+  return createClient;
+}
+
+// ── watchMailbox ─────────────────────────────────────────────────────────────
+
+describe("watchMailbox", () => {
+  test("ingests new menu emails for the week they cover, leaving older mail alone", async () => {
+    const mail = [{ uid: 3, ...BLAVATNIK_EMAIL }];
+    const client = fakeClient(mail);
+    const onMenu = jest.fn();
+    watch([client], { onMenu });
+    await flush();
+    expect(client.mailboxOpen).toHaveBeenCalledWith("INBOX");
+
+    mail.push({ uid: 4, subject: "Team social", date: BLAVATNIK_EMAIL.date }, { uid: 5, ...BLAVATNIK_EMAIL });
+    client.emit("exists", { path: "INBOX", count: 3, prevCount: 1 });
+    await waitFor(() => expect(onMenu).toHaveBeenCalled());
+
+    expect(handlers.blavatnik.ingestAttachments).toHaveBeenCalledTimes(1);
+    const [[attachments, options]] = handlers.blavatnik.ingestAttachments.mock.calls;
+    expect(attachments[0]).toMatchObject({ filename: "menu.png", contentType: "image/png" });
+    expect(options).toEqual({ monday: new Date(2026, 9, 19) });
+    expect(onMenu).toHaveBeenCalledWith({ handler: "blavatnik", monday: new Date(2026, 9, 19) });
+    expect(handlers.schwarzman.ingestAttachments).not.toHaveBeenCalled();
+
+    // The same message isn't ingested twice.
+    client.emit("exists", { path: "INBOX", count: 3, prevCount: 3 });
+    await flush();
+    expect(handlers.blavatnik.ingestAttachments).toHaveBeenCalledTimes(1);
+  });
+
+  test("searches with the configured criteria", async () => {
+    const client = fakeClient([]);
+    const search = { schwarzman: { subject: "Build Your Own", from: "catering@example.org" } };
+    watch([client], { settings: { ...MAIL_DEFAULTS, mailbox: "Menus", search } });
+    await flush();
+
+    client.emit("exists", {});
+    await flush();
+    expect(client.mailboxOpen).toHaveBeenCalledWith("Menus");
+    expect(client.search).toHaveBeenCalledWith({ subject: "Weekly Menu Update", uid: "1:*" }, { uid: true });
+    expect(client.search).toHaveBeenCalledWith(
+      { subject: "Build Your Own", from: "catering@example.org", uid: "1:*" },
+      { uid: true },
+    );
+  });
+
+  test("drops the usual subject search when the configured criteria don't give one", async () => {
+    const client = fakeClient([]);
+    const search = { blavatnik: { from: "catering@example.org" } };
+    watch([client], { settings: { ...MAIL_DEFAULTS, search } });
+    await flush();
+
+    client.emit("exists", {});
+    await flush();
+    expect(client.search).toHaveBeenCalledWith({ from: "catering@example.org", uid: "1:*" }, { uid: true });
+    expect(client.search).not.toHaveBeenCalledWith(
+      expect.objectContaining({ subject: "Weekly Menu Update" }),
+      expect.anything(),
+    );
+  });
+
+  test("doesn't announce a menu that wasn't saved", async () => {
+    handlers.schwarzman.ingestAttachments.mockResolvedValue(false);
+    const mail = [];
+    const client = fakeClient(mail);
+    const onMenu = jest.fn();
+    watch([client], { onMenu });
+    await flush();
+
+    mail.push({ uid: 1, ...SCHWARZMAN_EMAIL });
+    client.emit("exists", {});
+    await waitFor(() =>
+      expect(handlers.schwarzman.ingestAttachments).toHaveBeenCalledWith(expect.any(Array), {
+        monday: new Date(2026, 9, 12),
+      }),
+    );
+    await flush();
+    expect(onMenu).not.toHaveBeenCalled();
+  });
+
+  test("reconnects after the connection drops and catches up on missed mail", async () => {
+    const mail = [{ uid: 1, ...BLAVATNIK_EMAIL }];
+    const first = fakeClient(mail);
+    const second = fakeClient(mail);
+    const createClient = watch([first, second]);
+    await flush();
+
+    mail.push({ uid: 2, ...SCHWARZMAN_EMAIL });
+    first.emit("close");
+    await waitFor(() => expect(handlers.schwarzman.ingestAttachments).toHaveBeenCalledTimes(1));
+
+    expect(createClient).toHaveBeenCalledTimes(2);
+    expect(handlers.blavatnik.ingestAttachments).not.toHaveBeenCalled();
+  });
+
+  test("keeps retrying when the server can't be reached", async () => {
+    const mail = [];
+    const createClient = watch([
+      fakeClient(mail, { failConnect: true }),
+      fakeClient(mail, { failConnect: true }),
+      fakeClient(mail),
+    ]);
+    await waitFor(() =>
+      expect(console.log).toHaveBeenCalledWith("Mail watcher: watching INBOX on imap.gmail.com for menu emails."),
+    );
+    expect(createClient).toHaveBeenCalledTimes(3);
+  });
+
+  test("stops reconnecting once stopped", async () => {
+    const client = fakeClient([]);
+    const createClient = watch([client]);
+    await flush();
+
+    await watcher.stop();
+    await flush();
+    expect(client.logout).toHaveBeenCalled();
+    expect(createClient).toHaveBeenCalledTimes(1);
+  });
+});
+
+// ── formatMenuAnnouncement ───────────────────────────────────────────────────
+
+describe("formatMenuAnnouncement", () => {
+  const now = new Date(2026, 9, 16, 9, 0);
+
+  test("names this week or next week", () => {
+    expect(formatMenuAnnouncement("Blavatnik Café", new Date(2026, 9, 19), now)).toBe(
+      "📬 Next week's Blavatnik Café menu is in.",
+    );
+    expect(formatMenuAnnouncement("Schwarzman Centre", new Date(2026, 9, 12), now)).toBe(
+      "📬 This week's Schwarzman Centre menu is in. Send !menu to see today's.",
+    );
+  });
+
+  test("gives the date for other weeks", () => {
+    expect(formatMenuAnnouncement("Blavatnik Café", new Date(2026, 9, 26), now)).toBe(
+      "📬 The Blavatnik Café menu for the week of 26 Oct is in.",
+    );
+  });
+});
@@ -0,0 +1,76 @@
+jest.mock("axios");
+jest.mock("../blavatnik");
+jest.mock("../schwarzman");
+
+const { menuCommands, parseMenuArgs } = require("../menu-commands");
+const { checkForNewMenu } = require("../blavatnik");
+const { checkForNewSchwarzmanMenu } = require("../schwarzman");
+const { toISODate } = require("../dates");
+
+// Wednesday 21 October 2026
+const NOW = new Date(2026, 9, 21, 10, 30);
+
+// ── parseMenuArgs ────────────────────────────────────────────────────────────
+
+describe("parseMenuArgs", () => {
+  test("defaults to today and every café", () => {
+    const { date, sourceIds, unknown } = parseMenuArgs([], { now: NOW });
+    expect(date).toBe(NOW);
+    expect(sourceIds).toBeUndefined();
+    expect(unknown).toEqual([]);
+  });
+
+  test("accepts a day and a café in either order", () => {
+    for (const args of [["blavatnik", "thursday"], ["Thursday", "Blav"]]) {
+      const { date, sourceIds } = parseMenuArgs(args, { now: NOW });
+      expect(toISODate(date)).toBe("2026-10-22");
+      expect(sourceIds).toEqual(["blavatnik"]);
+    }
+  });
+
+  test("picks out a diet", () => {
+    const { diet, sourceIds, unknown } = parseMenuArgs(["vegan", "cohen"], { now: NOW });
+    expect(diet).toBe("vegan");
+    expect(sourceIds).toEqual(["cohen"]);
+    expect(unknown).toEqual([]);
+    expect(parseMenuArgs(["GF"], { allowDay: false, now: NOW }).diet).toBe("gf");
+  });
+
+  test("reports words that are neither", () => {
+    expect(parseMenuArgs(["pizza"], { now: NOW }).unknown).toEqual(["pizza"]);
+  });
+
+  test("treats days as unknown when they aren't allowed", () => {
+    expect(parseMenuArgs(["tomorrow"], { allowDay: false, now: NOW }).unknown).toEqual(["tomorrow"]);
+  });
+});
+
+// ── !refresh ─────────────────────────────────────────────────────────────────
+
+describe("refresh command", () => {
+  const run = (ctx, args = []) => menuCommands.find((c) => c.name === "refresh").run(ctx, args);
+
+  beforeEach(() => jest.clearAllMocks());
+
+  test("re-checks Gmail, reusing cached parses", async () => {
+    const reply = jest.fn();
+    await run({ reply, isAdmin: async () => false });
+    expect(checkForNewMenu).toHaveBeenCalledWith({ force: false });
+    expect(checkForNewSchwarzmanMenu).toHaveBeenCalledWith({ force: false });
+    expect(reply).toHaveBeenLastCalledWith("Done! Menus refreshed. Send !menu to see the latest.");
+  });
+
+  test("lets admins force a re-parse", async () => {
+    const reply = jest.fn();
+    await run({ reply, isAdmin: async () => true }, ["force"]);
+    expect(checkForNewMenu).toHaveBeenCalledWith({ force: true });
+    expect(checkForNewSchwarzmanMenu).toHaveBeenCalledWith({ force: true });
+  });
+
+  test("doesn't let others force one", async () => {
+    const reply = jest.fn();
+    await run({ reply, isAdmin: async () => false }, ["force"]);
+    expect(checkForNewMenu).not.toHaveBeenCalled();
+    expect(reply).toHaveBeenCalledWith(expect.stringMatching(/^Sorry, only admins/));
+  });
+});
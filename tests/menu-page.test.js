@@ -0,0 +1,76 @@
+const { renderMenuPage, selectDay } = require("../menu-page");
+const { toMenuItem } = require("../menu");
+
+const BLAVATNIK = { id: "blavatnik", name: "Blavatnik Café", hours: "12:00–13:30", price: "£5.50", numbered: true };
+
+function day(date, names = []) {
+  const items = names.map((name, position) => toMenuItem(name, { source: "blavatnik", date, position }));
+  return { date, sections: [{ source: BLAVATNIK, items, notes: [] }] };
+}
+
+const WEEK = {
+  weekCommencing: "2026-10-19",
+  days: [
+    day("2026-10-19", ["Grilled Chicken", "Tomato Soup (V)"]),
+    day("2026-10-20", ["Fish Pie"]),
+    day("2026-10-21", ["Katsu Curry"]),
+    day("2026-10-22"),
+    day("2026-10-23", ["Lasagne"]),
+  ],
+};
+
+// ── selectDay ────────────────────────────────────────────────────────────────
+
+describe("selectDay", () => {
+  test("keeps a day in the week or the whole week", () => {
+    expect(selectDay(WEEK, "2026-10-22", "2026-10-19")).toBe("2026-10-22");
+    expect(selectDay(WEEK, "week", "2026-10-19")).toBe("week");
+  });
+
+  test("falls back to today, or Monday at the weekend", () => {
+    expect(selectDay(WEEK, "2026-11-02", "2026-10-21")).toBe("2026-10-21");
+    expect(selectDay(WEEK, undefined, "2026-10-18")).toBe("2026-10-19");
+  });
+});
+
+// ── renderMenuPage ───────────────────────────────────────────────────────────
+
+describe("renderMenuPage", () => {
+  test("renders a full page showing only the selected day", () => {
+    const html = renderMenuPage(WEEK, { selected: "2026-10-19" });
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain("Week of 19 Oct 2026");
+    expect(html).toContain('<article class="day" id="day-2026-10-19">');
+    expect(html).toContain("<li>Tomato Soup <span class=\"tag\">V</span></li>");
+    expect(html).toContain("🕐 12:00–13:30 · 💷 £5.50");
+    expect(html).not.toContain("Fish Pie");
+  });
+
+  test("has a tab per weekday plus the whole week, marking the current one", () => {
+    const html = renderMenuPage(WEEK, { selected: "2026-10-21" });
+    const tabs = html.match(/<a href="[^"]*"[^>]*>[^<]*<\/a>/g);
+    expect(tabs).toEqual([
+      '<a href="?day=2026-10-19">Mon 19 Oct</a>',
+      '<a href="?day=2026-10-20">Tue 20 Oct</a>',
+      '<a href="?day=2026-10-21" aria-current="page">Wed 21 Oct</a>',
+      '<a href="?day=2026-10-22">Thu 22 Oct</a>',
+      '<a href="?day=2026-10-23">Fri 23 Oct</a>',
+      '<a href="?day=week">Whole week</a>',
+    ]);
+  });
+
+  test("keeps filters in the tab links", () => {
+    const html = renderMenuPage(WEEK, {
+      selected: "2026-10-19",
+      query: new URLSearchParams("sources=blavatnik&day=2026-10-19"),
+    });
+    expect(html).toContain('<a href="?sources=blavatnik&amp;day=2026-10-20">');
+  });
+
+  test("shows every day on the whole-week tab, with a print layout", () => {
+    const html = renderMenuPage(WEEK, { selected: "week" });
+    expect(html.match(/<article class="day"/g)).toHaveLength(5);
+    expect(html).toContain("No menu items found for Thursday 22 Oct");
+    expect(html).toContain("@media print");
+  });
+});
@@ -0,0 +1,40 @@
+const { toMenuItem, parseKcal } = require("../menu");
+
+// ── toMenuItem ───────────────────────────────────────────────────────────────
+
+describe("toMenuItem", () => {
+  test("splits calories out of the item name", () => {
+    const item = toMenuItem("Grilled Chicken — ~1,380kcal", {
+      source: "blavatnik",
+      date: "2026-10-19",
+      position: 0,
+    });
+    expect(item).toEqual({
+      source: "blavatnik",
+      date: "2026-10-19",
+      category: null,
+      name: "Grilled Chicken",
+      tags: [],
+      kcal: 1380,
+      position: 0,
+    });
+  });
+
+  test("leaves kcal null when the text has none", () => {
+    expect(toMenuItem("Salad Bar", { position: 2 }).kcal).toBeNull();
+  });
+
+  test("moves dietary markers into tags, merged with the given ones", () => {
+    const item = toMenuItem("Lentil Dal (GF) — 540kcal", { position: 1, tags: ["VG"] });
+    expect(item).toMatchObject({ name: "Lentil Dal", tags: ["VG", "GF"], kcal: 540 });
+  });
+});
+
+// ── parseKcal ────────────────────────────────────────────────────────────────
+
+describe("parseKcal", () => {
+  test("reads bracketed and dashed calorie counts", () => {
+    expect(parseKcal("Soup (120 kcal)")).toBe(120);
+    expect(parseKcal("Stew - 300kcal")).toBe(300);
+  });
+});
@@ -0,0 +1,127 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  pollOptions,
+  createPoll,
+  savePoll,
+  recordVote,
+  closePoll,
+  formatTally,
+  loadPolls,
+} = require("../polls");
+
+const GROUP = "120363000000000000@g.us";
+const ALICE = "447700900001@s.whatsapp.net";
+const BOB = "447700900002@s.whatsapp.net";
+
+// Wednesday 21 October 2026
+const NOW = new Date(2026, 9, 21, 11, 5);
+
+// Votes arrive as the raw SHA-256 digests of the chosen options.
+function vote(...options) {
+  return options.map((option) => crypto.createHash("sha256").update(option).digest());
+}
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "polls-"));
+  file = path.join(dir, "polls.json");
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// ── pollOptions ──────────────────────────────────────────────────────────────
+
+describe("pollOptions", () => {
+  const section = (name, items) => ({ source: { name }, items, notes: [] });
+
+  test("lists cafés with menus today, then a catch-all", () => {
+    const dayMenu = {
+      date: "2026-10-21",
+      sections: [section("Blavatnik Café", [{}]), section("Schwarzman Centre", []), section("Dakota Café", [{}])],
+    };
+    expect(pollOptions(dayMenu)).toEqual(["Blavatnik Café", "Dakota Café", "Somewhere else"]);
+  });
+
+  test("returns nothing when no café has a menu", () => {
+    expect(pollOptions({ date: "2026-10-21", sections: [section("Blavatnik Café", [])] })).toEqual([]);
+  });
+});
+
+// ── createPoll ───────────────────────────────────────────────────────────────
+
+describe("createPoll", () => {
+  test("builds a single-choice poll and a record sharing its secret", () => {
+    const { message, record } = createPoll({ name: "Lunch Crew" }, ["Blavatnik Café", "Somewhere else"], {
+      now: NOW,
+    });
+    expect(message.poll).toMatchObject({
+      name: "Where are we eating?",
+      values: ["Blavatnik Café", "Somewhere else"],
+      selectableCount: 1,
+    });
+    expect(record).toMatchObject({ group: "Lunch Crew", date: "2026-10-21", votes: {}, closed: false });
+    expect(Buffer.from(record.secret, "base64")).toEqual(message.poll.messageSecret);
+  });
+});
+
+// ── votes and tally ──────────────────────────────────────────────────────────
+
+describe("recordVote / closePoll", () => {
+  const options = () => ({ now: NOW, filePath: file });
+
+  beforeEach(() => {
+    const { record } = createPoll({ name: "Lunch Crew" }, ["Blavatnik Café", "Dakota Café", "Somewhere else"], {
+      now: NOW,
+    });
+    savePoll("POLL1", GROUP, record, options());
+  });
+
+  test("keeps each voter's latest choice and drops withdrawn votes", () => {
+    expect(recordVote("POLL1", ALICE, vote("Blavatnik Café"), options())).toBe(true);
+    recordVote("POLL1", BOB, vote("Dakota Café"), options());
+    recordVote("POLL1", ALICE, vote("Dakota Café"), options());
+    recordVote("POLL1", BOB, [], options());
+    expect(loadPolls(file).POLL1.votes).toEqual({ [ALICE]: ["Dakota Café"] });
+  });
+
+  test("ignores votes on unknown or closed polls", () => {
+    expect(recordVote("OTHER", ALICE, vote("Dakota Café"), options())).toBe(false);
+    expect(closePoll("Lunch Crew", options())).toMatchObject({ chatJid: GROUP, closed: true });
+    expect(recordVote("POLL1", ALICE, vote("Dakota Café"), options())).toBe(false);
+    expect(closePoll("Lunch Crew", options())).toBeNull();
+  });
+
+  test("forgets polls from previous days", () => {
+    const thursday = new Date(2026, 9, 22, 11, 0);
+    const { record } = createPoll({ name: "Lunch Crew" }, ["A", "B"], { now: thursday });
+    savePoll("POLL2", GROUP, record, { now: thursday, filePath: file });
+    expect(Object.keys(loadPolls(file))).toEqual(["POLL2"]);
+  });
+});
+
+describe("formatTally", () => {
+  const poll = (votes) => ({ options: ["Blavatnik Café", "Dakota Café", "Somewhere else"], votes });
+
+  test("ranks the options and names a clear winner", () => {
+    const text = formatTally(poll({ a: ["Dakota Café"], b: ["Dakota Café"], c: ["Blavatnik Café"] }));
+    expect(text).toBe(
+      "*Where are we eating?* — 3 votes\nDakota Café: 2\nBlavatnik Café: 1\n\nSee you at Dakota Café! 🍽️",
+    );
+  });
+
+  test("doesn't pick a winner on a tie or for the catch-all", () => {
+    expect(formatTally(poll({ a: ["Dakota Café"], b: ["Blavatnik Café"] }))).not.toContain("See you");
+    expect(formatTally(poll({ a: ["Somewhere else"] }))).not.toContain("See you");
+  });
+
+  test("says so when nobody voted", () => {
+    expect(formatTally(poll({}))).toBe("*Where are we eating?*\nNo votes today.");
+  });
+});
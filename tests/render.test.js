@@ -0,0 +1,119 @@
+const { renderMenu, renderWeek } = require("../render");
+const { toISODate } = require("../dates");
+
+function item(name, extra = {}) {
+  return { source: "x", date: "2026-10-19", category: null, name, tags: [], kcal: null, position: 0, ...extra };
+}
+
+const DAY_MENU = {
+  date: "2026-10-19",
+  sections: [
+    {
+      source: { id: "blavatnik", name: "Blavatnik Café", hours: "12:00–13:30", price: "£5.50", numbered: true },
+      notes: ["Menu not yet updated this week"],
+      items: [
+        item("Grilled Chicken", { position: 0 }),
+        item("Tomato Soup", { position: 1, tags: ["V"] }),
+      ],
+    },
+    {
+      source: { id: "schwarzman", name: "Schwarzman Centre", description: "1 Base + 1 Protein + 2 Sides" },
+      notes: [],
+      items: [
+        item("Coconut Jasmin Rice", { category: "Base" }),
+        item("Tempeh <Korma>", { category: "Protein" }),
+      ],
+    },
+    { source: { id: "cohen", name: "Dakota Café (Cohen Quad)" }, notes: [], items: [] },
+  ],
+};
+
+// ── renderMenu ───────────────────────────────────────────────────────────────
+
+describe("renderMenu", () => {
+  test("renders WhatsApp text with bold headings, numbered and bulleted lists", () => {
+    const msg = renderMenu(DAY_MENU, "whatsapp");
+    expect(msg).toContain("🍽 *Lunch Menu*\n📅 Monday, 19 Oct 2026");
+    expect(msg).toContain(
+      "*--- Blavatnik Café ---*\n🕐 12:00–13:30 · 💷 £5.50\n_Menu not yet updated this week_\n1. Grilled Chicken\n2. Tomato Soup (V)",
+    );
+    expect(msg).toContain("*1 Base + 1 Protein + 2 Sides*\n\n*Base*\n• Coconut Jasmin Rice\n\n*Protein*");
+  });
+
+  test("skips sources with no items", () => {
+    expect(renderMenu(DAY_MENU, "whatsapp")).not.toContain("Dakota");
+  });
+
+  test("warns about a source that couldn't be fetched instead of leaving it out", () => {
+    const cohen = { source: { id: "cohen", name: "Dakota Café (Cohen Quad)" }, notes: [], items: [], unavailable: true };
+    const dayMenu = { ...DAY_MENU, sections: [...DAY_MENU.sections.slice(0, 2), cohen] };
+    expect(renderMenu(dayMenu, "whatsapp")).toMatch(/• Tempeh <Korma>\n\n⚠️ Dakota Café \(Cohen Quad\) menu unavailable right now\n$/);
+    expect(renderMenu(dayMenu, "html")).toContain('<p class="unavailable">⚠️ Dakota Café (Cohen Quad) menu unavailable right now</p>');
+
+    const msg = renderMenu({ date: "2026-10-19", sections: [cohen] });
+    expect(msg).toContain("⚠️ Dakota Café (Cohen Quad) menu unavailable right now");
+    expect(msg).not.toContain("No menu items found");
+  });
+
+  test("says so when no source has items", () => {
+    const msg = renderMenu({ date: "2026-10-19", sections: [] });
+    expect(msg).toContain("No menu items found for Monday 19 Oct.");
+    const today = renderMenu({ date: toISODate(new Date()), sections: [] });
+    expect(today).toContain("No menu items found for today.");
+  });
+
+  test("renders plain text without WhatsApp markup", () => {
+    const msg = renderMenu(DAY_MENU, "text");
+    expect(msg).toContain("BLAVATNIK CAFÉ\n12:00–13:30 · £5.50");
+    expect(msg).toContain("Base:\n- Coconut Jasmin Rice");
+    expect(msg).not.toMatch(/[*_]/);
+  });
+
+  test("renders Markdown headings", () => {
+    const msg = renderMenu(DAY_MENU, "markdown");
+    expect(msg).toContain("## Schwarzman Centre");
+    expect(msg).toContain("### Base\n- Coconut Jasmin Rice");
+  });
+
+  test("renders escaped HTML with ordered lists for numbered sources", () => {
+    const html = renderMenu(DAY_MENU, "html");
+    expect(html).toContain("<ol>\n<li>Grilled Chicken</li>");
+    expect(html).toContain('<li>Tomato Soup <span class="tag">V</span></li>');
+    expect(html).toContain("Tempeh &lt;Korma&gt;");
+  });
+
+  test("renders JSON that round-trips the structure", () => {
+    expect(JSON.parse(renderMenu(DAY_MENU, "json"))).toEqual(DAY_MENU);
+  });
+
+  test("throws on an unknown format", () => {
+    expect(() => renderMenu(DAY_MENU, "fax")).toThrow('Unknown menu format "fax"');
+  });
+});
+
+// ── renderWeek ───────────────────────────────────────────────────────────────
+
+describe("renderWeek", () => {
+  const WEEK = {
+    weekCommencing: "2026-10-19",
+    days: [DAY_MENU, { date: "2026-10-20", sections: [] }],
+  };
+
+  test("renders a WhatsApp message with a heading per day", () => {
+    const msg = renderWeek(WEEK, "whatsapp");
+    expect(msg).toContain("🍽 *Lunch Menu — week of 19 Oct*");
+    expect(msg).toContain("📅 *Monday 19 Oct*\n\n*--- Blavatnik Café ---*");
+    expect(msg).toContain("📅 *Tuesday 20 Oct*\n\nNo menu items found for Tuesday 20 Oct.");
+  });
+
+  test("nests sources under day headings in Markdown", () => {
+    const msg = renderWeek(WEEK, "markdown");
+    expect(msg).toContain("## Monday 19 Oct\n\n### Blavatnik Café");
+  });
+
+  test("renders one HTML article per day", () => {
+    const html = renderWeek(WEEK, "html");
+    expect(html.match(/<article class="day"/g)).toHaveLength(2);
+    expect(html).toContain('id="day-2026-10-20"');
+  });
+});
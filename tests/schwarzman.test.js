@@ -6,8 +6,8 @@ jest.mock("imapflow");
 jest.mock("mailparser");
 jest.mock("@anthropic-ai/sdk");
 
-const { getWeekMonday } = require("../blavatnik");
 const { fetchSchwarzman } = require("../schwarzman");
+const { getWeekMonday, toISODate, dateOfWeekday, addDays } = require("../dates");
 
 const MENU_PATH = path.join(__dirname, "../data/schwarzman-menu.json");
 
@@ -51,75 +51,90 @@ describe("fetchSchwarzman", () => {
 
   afterEach(() => jest.restoreAllMocks());
 
-  test("returns formatted menu with Build Your Own header from fresh cache", async () => {
+  test("returns items tagged with their Build Your Own category", async () => {
     existsSpy.mockReturnValue(true);
     readSpy.mockReturnValue(freshCache());
 
-    const items = await fetchSchwarzman("Monday");
-    expect(items[0]).toBe("*1 Base + 1 Protein + 2 Sides*");
+    const { items } = await fetchSchwarzman(dateOfWeekday("Monday"));
+    expect(items[0]).toMatchObject({
+      source: "schwarzman",
+      category: "Base",
+      name: "Bulgur w/ Roasted Mediterranean Veg",
+      position: 0,
+    });
+    expect(new Set(items.map((i) => i.category))).toEqual(new Set(["Base", "Sides", "Protein"]));
   });
 
-  test("includes bold category headers for main categories", async () => {
+  test("omits toppings and sauces & pickles sections", async () => {
     existsSpy.mockReturnValue(true);
     readSpy.mockReturnValue(freshCache());
 
-    const items = await fetchSchwarzman("Monday");
-    expect(items).toContain("*Base*");
-    expect(items).toContain("*Sides*");
-    expect(items).toContain("*Protein*");
+    const { items } = await fetchSchwarzman(dateOfWeekday("Monday"));
+    const names = items.map((i) => i.name);
+    expect(items.map((i) => i.category)).not.toContain("Toppings");
+    expect(items.map((i) => i.category)).not.toContain("Sauces & Pickles");
+    expect(names).not.toContain("Crispy Onions");
+    expect(names).not.toContain("Mango Chutney");
   });
 
-  test("omits toppings and sauces & pickles sections", async () => {
+  test("keeps every base and side item in order", async () => {
     existsSpy.mockReturnValue(true);
     readSpy.mockReturnValue(freshCache());
 
-    const items = await fetchSchwarzman("Monday");
-    const joined = items.join("\n");
-    expect(joined).not.toContain("Toppings");
-    expect(joined).not.toContain("Sauces & Pickles");
-    expect(joined).not.toContain("Crispy Onions");
-    expect(joined).not.toContain("Mango Chutney");
+    const { items } = await fetchSchwarzman(dateOfWeekday("Monday"));
+    expect(items.filter((i) => i.category === "Base").map((i) => i.name)).toEqual(SAMPLE_MENU.Base);
+    expect(items.filter((i) => i.category === "Sides").map((i) => i.name)).toEqual(SAMPLE_MENU.Sides);
   });
 
-  test("shows base and sides items as bullet lists", async () => {
+  test("returns the same dishes regardless of which weekday is passed", async () => {
     existsSpy.mockReturnValue(true);
     readSpy.mockReturnValue(freshCache());
 
-    const items = await fetchSchwarzman("Monday");
-    expect(items).toContain("• Bulgur w/ Roasted Mediterranean Veg");
-    expect(items).toContain("• Coconut Jasmin Rice");
-    expect(items).toContain("• Polenta chips w/ Parmesan");
+    const monday = await fetchSchwarzman(dateOfWeekday("Monday"));
+    const friday = await fetchSchwarzman(dateOfWeekday("Friday"));
+    expect(monday.items.map((i) => i.name)).toEqual(friday.items.map((i) => i.name));
+    expect(friday.items[0].date).toBe(toISODate(dateOfWeekday("Friday")));
   });
 
-  test("returns same menu regardless of which weekday is passed", async () => {
+  test("returns nothing for a week other than the cached or current one", async () => {
     existsSpy.mockReturnValue(true);
     readSpy.mockReturnValue(freshCache());
 
-    const monday = await fetchSchwarzman("Monday");
-    const friday = await fetchSchwarzman("Friday");
-    expect(monday).toEqual(friday);
+    const { items } = await fetchSchwarzman(addDays(getWeekMonday(), 7));
+    expect(items).toEqual([]);
+  });
+
+  test("notes that the menu is out of date when only last week's is cached", async () => {
+    existsSpy.mockReturnValue(true);
+    readSpy.mockReturnValue(
+      JSON.stringify({ ...JSON.parse(staleCache()), lastChecked: new Date().toDateString() }),
+    );
+
+    const { notes } = await fetchSchwarzman(dateOfWeekday("Monday"));
+    expect(notes).toEqual(["Menu not yet updated this week"]);
   });
 
-  test("returns empty array when no cache file exists and check finds nothing", async () => {
+  test("throws when no cache file exists and the mailbox can't be checked", async () => {
     existsSpy.mockReturnValue(false);
+    jest.spyOn(console, "warn").mockImplementation(() => {});
 
-    const items = await fetchSchwarzman("Monday");
-    expect(items).toEqual([]);
+    await expect(fetchSchwarzman(dateOfWeekday("Monday"))).rejects.toThrow("couldn't check the mailbox");
   });
 
   test("attempts refresh when cache is from a previous week", async () => {
     existsSpy.mockReturnValueOnce(true).mockReturnValue(false);
     readSpy.mockReturnValue(staleCache());
+    jest.spyOn(console, "warn").mockImplementation(() => {});
 
-    const items = await fetchSchwarzman("Monday");
-    expect(items).toEqual([]);
+    await expect(fetchSchwarzman(dateOfWeekday("Monday"))).rejects.toThrow("couldn't check the mailbox");
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("Schwarzman: missing GMAIL_USER"));
   });
 
-  test("returns empty array on corrupted cache", async () => {
+  test("throws on corrupted cache", async () => {
     existsSpy.mockReturnValue(true);
     readSpy.mockReturnValue("not valid json {{");
+    jest.spyOn(console, "warn").mockImplementation(() => {});
 
-    const items = await fetchSchwarzman("Monday");
-    expect(items).toEqual([]);
+    await expect(fetchSchwarzman(dateOfWeekday("Monday"))).rejects.toThrow("saved menu is unreadable");
   });
 });
@@ -5,9 +5,24 @@ jest.mock("axios");
 jest.mock("../blavatnik");
 jest.mock("../schwarzman");
 
-const { parseExeterSection, fetchCohenQuad, getTodaysMenu } = require("../scraper");
-const { fetchBlavatnik } = require("../blavatnik");
-const { fetchSchwarzman } = require("../schwarzman");
+const {
+  parseExeterSection,
+  fetchExeterSection,
+  fetchExeterWeek,
+  getTodaysMenu,
+  getDayMenu,
+  getWeekMenu,
+  getMenuMessage,
+  buildMenuSources,
+  findSource,
+} = require("../scraper");
+const { loadConfig } = require("../config");
+const { WEEKDAYS, dateOfWeekday, addDays, getWeekMonday, toISODate } = require("../dates");
+const blavatnik = require("../blavatnik");
+const schwarzman = require("../schwarzman");
+const { fetchBlavatnik } = blavatnik;
+const { fetchSchwarzman } = schwarzman;
+const { menuEvents } = require("../menu-events");
 
 // Realistic mock of the Exeter menu page structure
 const MOCK_EXETER_HTML = `
@@ -43,41 +58,63 @@ const MOCK_EXETER_HTML = `
 </body></html>
 `;
 
+const COHEN = loadConfig().sources.find((s) => s.id === "cohen");
+const COHEN_OPTIONS = {
+  skipSections: COHEN.skipSections.map((p) => new RegExp(p, "i")),
+  skipLines: COHEN.skipLines.map((p) => new RegExp(p, "i")),
+};
+
 // ── parseExeterSection ────────────────────────────────────────────────────────
 
 describe("parseExeterSection", () => {
   test("returns items only for the requested day", () => {
     const $ = cheerio.load(MOCK_EXETER_HTML);
-    const lines = parseExeterSection($, "Dakota Café (Cohen Quad)", "Monday");
-    expect(lines).toContain("• Pasta Bolognese • Roasted Tomato Sauce • Parmesan");
-    expect(lines.join("\n")).not.toMatch(/Fish|Roast Chicken|Beef Stir Fry|Veggie Burger/);
+    const { items } = parseExeterSection($, "Dakota Café (Cohen Quad)", "Monday", COHEN_OPTIONS);
+    const names = items.map((i) => i.name);
+    expect(names).toContain("Pasta Bolognese • Roasted Tomato Sauce • Parmesan");
+    expect(names.join("\n")).not.toMatch(/Fish|Roast Chicken|Beef Stir Fry|Veggie Burger/);
   });
 
   test("includes items without a day prefix on all days", () => {
     const $ = cheerio.load(MOCK_EXETER_HTML);
-    const lines = parseExeterSection($, "Dakota Café (Cohen Quad)", "Friday");
-    expect(lines).toContain("• Salad Bar");
-    expect(lines).toContain("• Soup of the Day");
-    expect(lines).toContain("• Fresh Bread Rolls");
+    const { items } = parseExeterSection($, "Dakota Café (Cohen Quad)", "Friday", COHEN_OPTIONS);
+    const names = items.map((i) => i.name);
+    expect(names).toContain("Salad Bar");
+    expect(names).toContain("Soup of the Day");
+    expect(names).toContain("Fresh Bread Rolls");
+  });
+
+  test("uses h3 headings as item categories", () => {
+    const $ = cheerio.load(MOCK_EXETER_HTML);
+    const { items } = parseExeterSection($, "Dakota Café (Cohen Quad)", "Monday", COHEN_OPTIONS);
+    expect(items.map((i) => [i.category, i.name])).toEqual([
+      ["Main Course", "Pasta Bolognese • Roasted Tomato Sauce • Parmesan"],
+      ["Daily Options", "Salad Bar"],
+      ["Daily Options", "Soup of the Day"],
+      ["Daily Options", "Fresh Bread Rolls"],
+    ]);
   });
 
-  test("includes h3 headings formatted as bold", () => {
+  test("stamps items with the source, date and position from options", () => {
     const $ = cheerio.load(MOCK_EXETER_HTML);
-    const lines = parseExeterSection($, "Dakota Café (Cohen Quad)", "Monday");
-    expect(lines).toContain("\n*Main Course*");
-    expect(lines).toContain("\n*Daily Options*");
+    const { items } = parseExeterSection($, "Dakota Café (Cohen Quad)", "Monday", {
+      ...COHEN_OPTIONS,
+      source: "cohen",
+      date: "2026-10-19",
+    });
+    expect(items[1]).toMatchObject({ source: "cohen", date: "2026-10-19", position: 1 });
   });
 
   test("returns empty array when section is not found", () => {
     const $ = cheerio.load(MOCK_EXETER_HTML);
-    const lines = parseExeterSection($, "Nonexistent Café", "Monday");
-    expect(lines).toHaveLength(0);
+    const { items } = parseExeterSection($, "Nonexistent Café", "Monday", COHEN_OPTIONS);
+    expect(items).toHaveLength(0);
   });
 
   test("excludes the Panini section entirely", () => {
     const $ = cheerio.load(MOCK_EXETER_HTML);
-    const lines = parseExeterSection($, "Dakota Café (Cohen Quad)", "Monday");
-    const joined = lines.join("\n");
+    const { items, notes } = parseExeterSection($, "Dakota Café (Cohen Quad)", "Monday", COHEN_OPTIONS);
+    const joined = [...items.map((i) => i.category), ...items.map((i) => i.name), ...notes].join("\n");
     expect(joined).not.toContain("Panini");
     expect(joined).not.toContain("Halloumi");
     expect(joined).not.toContain("Tuna Melt");
@@ -85,52 +122,132 @@ describe("parseExeterSection", () => {
 
   test("excludes the disclaimer and sides/salads filler lines", () => {
     const $ = cheerio.load(MOCK_EXETER_HTML);
-    const lines = parseExeterSection($, "Dakota Café (Cohen Quad)", "Monday");
-    const joined = lines.join("\n");
+    const { items, notes } = parseExeterSection($, "Dakota Café (Cohen Quad)", "Monday", COHEN_OPTIONS);
+    const joined = [...items.map((i) => i.name), ...notes].join("\n");
     expect(joined).not.toContain("subject to change");
     expect(joined).not.toContain("Selection of Sides and Salads");
   });
 
+  test("keeps skipped sections when no skip patterns are given", () => {
+    const $ = cheerio.load(MOCK_EXETER_HTML);
+    const { items } = parseExeterSection($, "Dakota Café (Cohen Quad)", "Monday");
+    expect(items).toContainEqual(
+      expect.objectContaining({ name: "Halloumi, Pickled Walnut and Pesto", tags: ["V"] }),
+    );
+  });
+
   test("stops collecting at the next h2", () => {
     const $ = cheerio.load(MOCK_EXETER_HTML);
-    const lines = parseExeterSection($, "Dakota Café (Cohen Quad)", "Monday");
-    expect(lines.join("\n")).not.toContain("Hall content here");
+    const { items, notes } = parseExeterSection($, "Dakota Café (Cohen Quad)", "Monday", COHEN_OPTIONS);
+    expect([...items.map((i) => i.name), ...notes].join("\n")).not.toContain("Hall content here");
   });
 });
 
-// ── fetchCohenQuad ────────────────────────────────────────────────────────────
+// ── fetchExeterSection ────────────────────────────────────────────────────────
 
-describe("fetchCohenQuad", () => {
+describe("fetchExeterSection", () => {
   beforeEach(() => jest.clearAllMocks());
 
   test("returns menu items for the given day", async () => {
     axios.get.mockResolvedValue({ data: MOCK_EXETER_HTML });
-    const items = await fetchCohenQuad("Wednesday");
-    expect(items).toContain("• Roast Chicken • Roast Potatoes • Gravy");
-    expect(items.join("\n")).not.toMatch(/Monday|Tuesday|Thursday|Friday/);
+    const { items } = await fetchExeterSection(COHEN, dateOfWeekday("Wednesday"));
+    const names = items.map((i) => i.name);
+    expect(names).toContain("Roast Chicken • Roast Potatoes • Gravy");
+    expect(names.join("\n")).not.toMatch(/Monday|Tuesday|Thursday|Friday/);
+    expect(items[0].source).toBe("cohen");
+  });
+
+  test("gives up on the page request after the timeout", async () => {
+    axios.get.mockResolvedValue({ data: MOCK_EXETER_HTML });
+    await fetchExeterSection(COHEN, dateOfWeekday("Wednesday"), { timeoutMs: 5000 });
+    expect(axios.get).toHaveBeenCalledWith(COHEN.url, { timeout: 5000 });
+  });
+
+  test("announces every weekday's items from the scrape", async () => {
+    axios.get.mockResolvedValue({ data: MOCK_EXETER_HTML });
+    const listener = jest.fn();
+    menuEvents.on("items", listener);
+    await fetchExeterSection(COHEN, dateOfWeekday("Wednesday"));
+    menuEvents.off("items", listener);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    const { source, items } = listener.mock.calls[0][0];
+    expect(source).toBe("cohen");
+    expect(items.map((i) => i.name)).toEqual(
+      expect.arrayContaining(["Pasta Bolognese • Roasted Tomato Sauce • Parmesan", "Veggie Burger • Sweet Potato Fries"]),
+    );
+    expect(new Set(items.map((i) => i.date)).size).toBe(5);
   });
 
   test("returns empty array when site has no matching section", async () => {
     axios.get.mockResolvedValue({ data: "<html><body><h2>Other</h2></body></html>" });
-    const items = await fetchCohenQuad("Monday");
+    const { items } = await fetchExeterSection(COHEN, dateOfWeekday("Monday"));
     expect(items).toHaveLength(0);
   });
 
+  test("skips the request for days outside the current week", async () => {
+    const { items } = await fetchExeterSection(COHEN, addDays(getWeekMonday(), 7));
+    expect(items).toEqual([]);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
   test("throws when axios fails", async () => {
     axios.get.mockRejectedValue(new Error("Network error"));
-    await expect(fetchCohenQuad("Monday")).rejects.toThrow("Network error");
+    await expect(fetchExeterSection(COHEN, dateOfWeekday("Monday"))).rejects.toThrow("Network error");
   });
 });
 
+// ── fetchExeterWeek ───────────────────────────────────────────────────────────
+
+describe("fetchExeterWeek", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test("scrapes the page once and splits it into weekdays", async () => {
+    axios.get.mockResolvedValue({ data: MOCK_EXETER_HTML });
+    const week = await fetchExeterWeek(COHEN, dateOfWeekday("Wednesday"));
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(week).toHaveLength(5);
+    expect(week[0].items[0]).toMatchObject({
+      name: "Pasta Bolognese • Roasted Tomato Sauce • Parmesan",
+      date: toISODate(dateOfWeekday("Monday")),
+    });
+    expect(week[4].items[0].name).toBe("Veggie Burger • Sweet Potato Fries");
+  });
+
+  test("returns empty days without a request outside the current week", async () => {
+    const week = await fetchExeterWeek(COHEN, addDays(getWeekMonday(), 7));
+    expect(week).toEqual(WEEKDAYS.map(() => ({ items: [], notes: [] })));
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+});
+
+const EMPTY = { items: [], notes: [] };
+
+function sourceMenu(source, names, category = null) {
+  return {
+    items: names.map((name, position) => ({
+      source, date: "2026-10-19", category, name, tags: [], kcal: null, position,
+    })),
+    notes: [],
+  };
+}
+
 // ── getTodaysMenu ─────────────────────────────────────────────────────────────
 
 describe("getTodaysMenu", () => {
-  beforeEach(() => jest.clearAllMocks());
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
 
   test("includes Cohen Quad section when items are returned", async () => {
     axios.get.mockResolvedValue({ data: MOCK_EXETER_HTML });
-    fetchBlavatnik.mockResolvedValue([]);
-    fetchSchwarzman.mockResolvedValue([]);
+    fetchBlavatnik.mockResolvedValue(EMPTY);
+    fetchSchwarzman.mockResolvedValue(EMPTY);
 
     // Force a day that has items in the mock HTML
     jest.spyOn(Date.prototype, "getDay").mockReturnValue(1); // Monday
@@ -145,36 +262,32 @@ describe("getTodaysMenu", () => {
 
   test("includes Blavatnik section when items are returned", async () => {
     axios.get.mockResolvedValue({ data: "<html><body></body></html>" });
-    fetchBlavatnik.mockResolvedValue(["• Tomato Soup — ~120kcal", "• Grilled Salmon — ~380kcal"]);
-    fetchSchwarzman.mockResolvedValue([]);
+    fetchBlavatnik.mockResolvedValue(sourceMenu("blavatnik", ["Tomato Soup", "Grilled Salmon"]));
+    fetchSchwarzman.mockResolvedValue(EMPTY);
 
     const msg = await getTodaysMenu();
     expect(msg).toContain("Blavatnik Café");
-    expect(msg).toContain("Tomato Soup");
-    expect(msg).toContain("Grilled Salmon");
+    expect(msg).toContain("1. Tomato Soup");
+    expect(msg).toContain("2. Grilled Salmon");
   });
 
   test("includes Schwarzman section when items are returned", async () => {
     axios.get.mockResolvedValue({ data: "<html><body></body></html>" });
-    fetchBlavatnik.mockResolvedValue([]);
-    fetchSchwarzman.mockResolvedValue([
-      "*1 Base + 1 Protein + 2 Sides*",
-      "",
-      "*Base*",
-      "• Bulgur w/ Roasted Mediterranean Veg",
-      "• Coconut Jasmin Rice",
-    ]);
+    fetchBlavatnik.mockResolvedValue(EMPTY);
+    fetchSchwarzman.mockResolvedValue(
+      sourceMenu("schwarzman", ["Bulgur w/ Roasted Mediterranean Veg", "Coconut Jasmin Rice"], "Base"),
+    );
 
     const msg = await getTodaysMenu();
     expect(msg).toContain("Schwarzman Centre");
-    expect(msg).toContain("1 Base + 1 Protein + 2 Sides");
-    expect(msg).toContain("Bulgur");
+    expect(msg).toContain("*1 Base + 1 Protein + 2 Sides*");
+    expect(msg).toContain("*Base*\n• Bulgur w/ Roasted Mediterranean Veg");
   });
 
   test("includes all sections when all return items", async () => {
     axios.get.mockResolvedValue({ data: MOCK_EXETER_HTML });
-    fetchBlavatnik.mockResolvedValue(["• Tomato Soup — ~120kcal"]);
-    fetchSchwarzman.mockResolvedValue(["*1 Base + 1 Protein + 2 Sides*"]);
+    fetchBlavatnik.mockResolvedValue(sourceMenu("blavatnik", ["Tomato Soup"]));
+    fetchSchwarzman.mockResolvedValue(sourceMenu("schwarzman", ["Coconut Jasmin Rice"], "Base"));
 
     jest.spyOn(Date.prototype, "getDay").mockReturnValue(2); // Tuesday
 
@@ -188,20 +301,205 @@ describe("getTodaysMenu", () => {
 
   test("shows fallback message when all sources return nothing", async () => {
     axios.get.mockResolvedValue({ data: "<html><body></body></html>" });
-    fetchBlavatnik.mockResolvedValue([]);
-    fetchSchwarzman.mockResolvedValue([]);
+    fetchBlavatnik.mockResolvedValue(EMPTY);
+    fetchSchwarzman.mockResolvedValue(EMPTY);
 
     const msg = await getTodaysMenu();
     expect(msg).toContain("No menu items found for today");
   });
 
-  test("continues if one source throws", async () => {
+  test("includes hours and price from the config", async () => {
+    axios.get.mockResolvedValue({ data: "<html><body></body></html>" });
+    fetchBlavatnik.mockResolvedValue(sourceMenu("blavatnik", ["Tomato Soup"]));
+    fetchSchwarzman.mockResolvedValue(EMPTY);
+
+    const msg = await getTodaysMenu();
+    expect(msg).toContain("🕐 12:00–13:30 · 💷 £5.50");
+  });
+
+  test("says a café is unavailable if its source throws, and shows the rest", async () => {
     axios.get.mockRejectedValue(new Error("Network error"));
-    fetchSchwarzman.mockResolvedValue([]);
-    fetchBlavatnik.mockResolvedValue(["• Tomato Soup — ~120kcal"]);
+    fetchSchwarzman.mockResolvedValue(EMPTY);
+    fetchBlavatnik.mockResolvedValue(sourceMenu("blavatnik", ["Tomato Soup"]));
 
     const msg = await getTodaysMenu();
     expect(msg).toContain("Blavatnik Café");
-    expect(msg).not.toContain("Dakota Café (Cohen Quad)");
+    expect(msg).toContain("⚠️ Dakota Café (Cohen Quad) menu unavailable right now");
+    expect(msg).not.toContain("--- Dakota Café (Cohen Quad) ---");
+  });
+
+  test("fetches the cafés at the same time", async () => {
+    let finish;
+    axios.get.mockResolvedValue({ data: "<html><body></body></html>" });
+    fetchBlavatnik.mockReturnValue(new Promise((resolve) => (finish = resolve)));
+    fetchSchwarzman.mockResolvedValue(EMPTY);
+
+    const pending = getTodaysMenu();
+    await Promise.resolve();
+    expect(fetchBlavatnik).toHaveBeenCalled();
+    expect(fetchSchwarzman).toHaveBeenCalled();
+    finish(sourceMenu("blavatnik", ["Tomato Soup"]));
+    expect(await pending).toContain("1. Tomato Soup");
+  });
+
+  test("gives up on a café that doesn't answer within its timeout", async () => {
+    jest.useFakeTimers();
+    axios.get.mockResolvedValue({ data: "<html><body></body></html>" });
+    fetchBlavatnik.mockReturnValue(new Promise(() => {}));
+    fetchSchwarzman.mockResolvedValue(sourceMenu("schwarzman", ["Coconut Jasmin Rice"], "Base"));
+
+    const pending = getTodaysMenu();
+    await jest.advanceTimersByTimeAsync(90 * 1000);
+    const msg = await pending;
+    jest.useRealTimers();
+
+    expect(msg).toContain("⚠️ Blavatnik Café menu unavailable right now");
+    expect(msg).toContain("Coconut Jasmin Rice");
+    expect(console.error).toHaveBeenCalledWith(
+      "Blavatnik Café: menu unavailable after 90000ms:",
+      "timed out after 90s",
+    );
+  });
+});
+
+// ── getDayMenu ────────────────────────────────────────────────────────────────
+
+describe("getDayMenu", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("marks a section showing last week's menu as stale", async () => {
+    fetchBlavatnik.mockResolvedValue({ ...sourceMenu("blavatnik", ["Tomato Soup"]), stale: true });
+    fetchSchwarzman.mockResolvedValue(sourceMenu("schwarzman", ["Coconut Jasmin Rice"]));
+
+    const { sections } = await getDayMenu(dateOfWeekday("Monday"), { sources: ["blavatnik", "schwarzman"] });
+    expect(sections.map((section) => [section.source.id, section.stale])).toEqual([
+      ["blavatnik", true],
+      ["schwarzman", undefined],
+    ]);
+  });
+});
+
+// ── getMenuMessage ────────────────────────────────────────────────────────────
+
+describe("getMenuMessage", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test("asks each source for the requested day", async () => {
+    axios.get.mockResolvedValue({ data: MOCK_EXETER_HTML });
+    fetchBlavatnik.mockResolvedValue(EMPTY);
+    fetchSchwarzman.mockResolvedValue(EMPTY);
+
+    const thursday = dateOfWeekday("Thursday");
+    const msg = await getMenuMessage(thursday);
+    expect(msg).toContain("Beef Stir Fry");
+    expect(msg).not.toContain("Pasta Bolognese");
+    expect(fetchBlavatnik).toHaveBeenCalledWith(thursday, { source: "blavatnik" });
+  });
+
+  test("only fetches the requested sources", async () => {
+    fetchBlavatnik.mockResolvedValue(sourceMenu("blavatnik", ["Tomato Soup"]));
+
+    const msg = await getMenuMessage(dateOfWeekday("Monday"), "whatsapp", {
+      sources: ["blavatnik"],
+    });
+    expect(msg).toContain("*--- Blavatnik Café ---*\n🕐 12:00–13:30 · 💷 £5.50");
+    expect(axios.get).not.toHaveBeenCalled();
+    expect(fetchSchwarzman).not.toHaveBeenCalled();
+  });
+
+  test("keeps only the items that suit the diet", async () => {
+    const menu = sourceMenu("blavatnik", ["Grilled Chicken", "Tomato Soup"]);
+    menu.items[1].tags = ["VG"];
+    fetchBlavatnik.mockResolvedValue(menu);
+
+    const msg = await getMenuMessage(dateOfWeekday("Monday"), "whatsapp", {
+      sources: ["blavatnik"],
+      diet: "veg",
+    });
+    expect(msg).toContain("2. Tomato Soup (VG)");
+    expect(msg).not.toContain("Grilled Chicken");
+    expect(fetchBlavatnik).toHaveBeenCalledWith(expect.any(Date), { source: "blavatnik" });
+  });
+});
+
+// ── findSource ───────────────────────────────────────────────────────────────
+
+describe("findSource", () => {
+  test("matches ids, aliases, name words and misspellings", () => {
+    expect(findSource("blavatnik").id).toBe("blavatnik");
+    expect(findSource("Blav").id).toBe("blavatnik");
+    expect(findSource("dakota").id).toBe("cohen");
+    expect(findSource("exeter").id).toBe("cohen");
+    expect(findSource("schwartzman").id).toBe("schwarzman");
+  });
+
+  test("ignores generic words and unknown names", () => {
+    expect(findSource("café")).toBeNull();
+    expect(findSource("pizza")).toBeNull();
+  });
+});
+
+// ── getWeekMenu ──────────────────────────────────────────────────────────────
+
+describe("getWeekMenu", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const emptyWeek = () => WEEKDAYS.map(() => EMPTY);
+
+  test("fetches each source once and splits its items into Monday to Friday", async () => {
+    axios.get.mockResolvedValue({ data: MOCK_EXETER_HTML });
+    blavatnik.fetchWeek.mockResolvedValue(emptyWeek());
+    schwarzman.fetchWeek.mockResolvedValue(emptyWeek());
+
+    const week = await getWeekMenu(dateOfWeekday("Wednesday"));
+    expect(week.days.map((d) => d.date)).toHaveLength(5);
+    expect(week.days[0].date).toBe(week.weekCommencing);
+    const cohen = week.days[1].sections.find((s) => s.source.id === "cohen");
+    expect(cohen.items[0].name).toBe("Fish & Chips • Mushy Peas • Tartare Sauce");
+    expect(cohen.items[0].date).toBe(week.days[1].date);
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(blavatnik.fetchWeek).toHaveBeenCalledTimes(1);
+    expect(blavatnik.fetchWeek).toHaveBeenCalledWith(expect.any(Date), { source: "blavatnik" });
+    expect(fetchBlavatnik).not.toHaveBeenCalled();
+  });
+
+  test("marks every day of a source unavailable when its week can't be fetched", async () => {
+    axios.get.mockRejectedValue(new Error("Network error"));
+    blavatnik.fetchWeek.mockResolvedValue(emptyWeek());
+    schwarzman.fetchWeek.mockResolvedValue(emptyWeek());
+
+    const week = await getWeekMenu(dateOfWeekday("Wednesday"));
+    for (const day of week.days) {
+      expect(day.sections.find((s) => s.source.id === "cohen").unavailable).toBe(true);
+    }
+  });
+});
+
+// ── buildMenuSources ──────────────────────────────────────────────────────────
+
+describe("buildMenuSources", () => {
+  test("returns static items for every day or for the matching weekday", async () => {
+    const [everyDay, byDay] = buildMenuSources({
+      sources: [
+        { id: "soup", name: "Soup Stand", type: "static", items: ["Soup of the Day"] },
+        { id: "pizza", name: "Pizza Van", type: "static", items: { Friday: ["Margherita"] } },
+      ],
+    });
+
+    const names = async (source, day) => (await source.fetch(day)).items.map((i) => i.name);
+    expect(await names(everyDay, dateOfWeekday("Tuesday"))).toEqual(["Soup of the Day"]);
+    expect(await names(byDay, dateOfWeekday("Tuesday"))).toEqual([]);
+    expect(await names(byDay, dateOfWeekday("Friday"))).toEqual(["Margherita"]);
   });
 });
@@ -0,0 +1,153 @@
+const { createServer, parseDateParam } = require("../server");
+
+// Wednesday 21 October 2026
+const NOW = new Date(2026, 9, 21, 10, 30);
+
+const SOURCES = [
+  { id: "blavatnik", name: "Blavatnik Café", hours: "12:00–13:30", price: "£5.50", numbered: true, type: "email-vision" },
+  { id: "cohen", name: "Dakota Café", type: "exeter-html" },
+];
+
+let server;
+let baseUrl;
+let deps;
+
+beforeEach(async () => {
+  deps = {
+    getDayMenu: jest.fn(async (date) => ({ date: date.toISOString().slice(0, 10), sections: [] })),
+    getWeekMenu: jest.fn(async () => ({
+      weekCommencing: "2026-10-19",
+      days: ["2026-10-19", "2026-10-20", "2026-10-21", "2026-10-22", "2026-10-23"].map((date) => ({
+        date,
+        sections: [],
+      })),
+    })),
+    getSources: () => SOURCES,
+    getStatus: () => ({ whatsapp: "open" }),
+    getHistory: jest.fn(() => [
+      { date: "2026-10-19", source: "blavatnik", items: [{ name: "Dal", tags: ["VG"] }] },
+      { date: "2026-10-20", source: "blavatnik", items: [{ name: "Dal", tags: ["VG"] }] },
+    ]),
+    now: () => NOW,
+  };
+  server = createServer(deps);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+async function get(path, options) {
+  const res = await fetch(baseUrl + path, options);
+  return { status: res.status, type: res.headers.get("content-type"), body: await res.json() };
+}
+
+// ── parseDateParam ───────────────────────────────────────────────────────────
+
+describe("parseDateParam", () => {
+  test("accepts ISO dates and day words", () => {
+    expect(parseDateParam("2026-10-23", NOW)).toEqual(new Date(2026, 9, 23));
+    expect(parseDateParam("tomorrow", NOW).getDate()).toBe(22);
+    expect(parseDateParam("friday", NOW).getDate()).toBe(23);
+  });
+
+  test("rejects impossible dates and other words", () => {
+    expect(parseDateParam("2026-02-30", NOW)).toBeNull();
+    expect(parseDateParam("soon", NOW)).toBeNull();
+  });
+});
+
+// ── endpoints ────────────────────────────────────────────────────────────────
+
+describe("menu API", () => {
+  test("GET /menu/today returns today's menu as JSON", async () => {
+    const { status, type, body } = await get("/menu/today");
+    expect(status).toBe(200);
+    expect(type).toMatch(/^application\/json/);
+    expect(body).toEqual({ date: expect.any(String), sections: [] });
+    expect(deps.getDayMenu).toHaveBeenCalledWith(new Date(2026, 9, 21), {});
+  });
+
+  test("GET /menu/:date passes the date and filters through", async () => {
+    await get("/menu/2026-10-22?sources=blavatnik&diet=vegetarian");
+    expect(deps.getDayMenu).toHaveBeenCalledWith(new Date(2026, 9, 22), { sources: ["blavatnik"], diet: "veg" });
+  });
+
+  test("GET /menu/week returns the lunch week", async () => {
+    const { body } = await get("/menu/week");
+    expect(body.weekCommencing).toBe("2026-10-19");
+    expect(body.days).toHaveLength(5);
+    expect(deps.getWeekMenu).toHaveBeenCalledWith(NOW, {});
+  });
+
+  test("GET /sources lists display fields only", async () => {
+    const { body } = await get("/sources");
+    expect(body).toEqual([
+      { id: "blavatnik", name: "Blavatnik Café", hours: "12:00–13:30", price: "£5.50", numbered: true },
+      { id: "cohen", name: "Dakota Café", numbered: false },
+    ]);
+  });
+
+  test("GET /status reports the bot's status", async () => {
+    expect((await get("/status")).body).toEqual({ whatsapp: "open" });
+  });
+
+  test("rejects bad dates, sources and diets with 400", async () => {
+    for (const path of ["/menu/someday", "/menu/today?sources=nandos", "/menu/week?diet=keto"]) {
+      const { status, body } = await get(path);
+      expect(status).toBe(400);
+      expect(body.error).toBeDefined();
+    }
+  });
+
+  test("returns 404 for unknown paths and 405 for other methods", async () => {
+    expect((await get("/nope")).status).toBe(404);
+    expect((await get("/menu/today", { method: "POST" })).status).toBe(405);
+  });
+
+  test("GET / serves the menu page for today, or the requested tab", async () => {
+    let res = await fetch(`${baseUrl}/?diet=vegan`);
+    expect(res.headers.get("content-type")).toBe("text/html; charset=utf-8");
+    let html = await res.text();
+    expect(html).toContain('<a href="?diet=vegan&amp;day=2026-10-21" aria-current="page">');
+    expect(deps.getWeekMenu).toHaveBeenCalledWith(NOW, { diet: "vegan" });
+
+    html = await (await fetch(`${baseUrl}/?day=friday`)).text();
+    expect(html).toContain('<a href="?day=2026-10-23" aria-current="page">');
+  });
+
+  test("GET /menu.ics and /menu.atom serve this week's feeds", async () => {
+    let res = await fetch(`${baseUrl}/menu.ics?sources=cohen`);
+    expect(res.headers.get("content-type")).toBe("text/calendar; charset=utf-8");
+    expect(await res.text()).toMatch(/^BEGIN:VCALENDAR/);
+    expect(deps.getWeekMenu).toHaveBeenCalledWith(NOW, { sources: ["cohen"] });
+
+    res = await fetch(`${baseUrl}/menu.atom`);
+    expect(res.headers.get("content-type")).toBe("application/atom+xml; charset=utf-8");
+    expect(await res.text()).toContain("<feed");
+  });
+
+  test("GET /stats and /stats.md serve statistics from the history", async () => {
+    const { body } = await get("/stats?weeks=2");
+    expect(body).toMatchObject({ from: "2026-10-19", to: "2026-10-20", days: 2, weeks: 2 });
+    expect(body.sources[0].repeats).toEqual({ count: 1, share: 50 });
+    expect(deps.getHistory).toHaveBeenCalledWith(NOW);
+
+    const res = await fetch(`${baseUrl}/stats.md`);
+    expect(res.headers.get("content-type")).toBe("text/markdown; charset=utf-8");
+    expect(await res.text()).toContain("## Most frequent at Blavatnik Café");
+
+    expect((await get("/stats?weeks=0")).status).toBe(400);
+  });
+
+  test("hides internal errors behind a 500", async () => {
+    deps.getDayMenu.mockRejectedValue(new Error("IMAP exploded"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const { status, body } = await get("/menu/today");
+    expect(status).toBe(500);
+    expect(body).toEqual({ error: "Internal server error" });
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,158 @@
+const {
+  statsCommands,
+  computeStats,
+  dishStats,
+  renderStats,
+  renderDishStats,
+  renderReport,
+} = require("../stats");
+const { toMenuItem } = require("../menu");
+
+const SOURCE_NAMES = { blavatnik: "Blavatnik Café", exeter: "Exeter College" };
+
+function day(date, source, names) {
+  return {
+    date,
+    source,
+    items: names.map((name, position) => toMenuItem(name, { source, date, position })),
+  };
+}
+
+// Three weeks of Blavatnik (Mon 5 Oct – Fri 23 Oct 2026) and two days of Exeter.
+const DAYS = [
+  day("2026-10-05", "blavatnik", ["Katsu Curry", "Bean Chilli (VG)"]),
+  day("2026-10-07", "blavatnik", ["Fish Pie", "Mushroom Risotto (V)"]),
+  day("2026-10-12", "blavatnik", ["Katsu Curry", "Lentil Dal (VG)"]),
+  day("2026-10-14", "exeter", ["Roast Chicken", "Katsu Curry"]),
+  day("2026-10-15", "exeter", ["Roast Chicken", "Cauliflower Cheese (V)"]),
+  day("2026-10-19", "blavatnik", ["katsu curry", "Fish Pie"]),
+  day("2026-10-23", "blavatnik", ["Fish Pie", "Pasta Bake"]),
+];
+
+// ── computeStats ─────────────────────────────────────────────────────────────
+
+describe("computeStats", () => {
+  test("covers the archive's date range", () => {
+    const stats = computeStats(DAYS);
+    expect(stats).toMatchObject({ from: "2026-10-05", to: "2026-10-23", days: 7, weeks: 4 });
+  });
+
+  test("ranks each café's most frequent dishes, with their usual weekday", () => {
+    const blavatnik = computeStats(DAYS).sources.find((s) => s.source === "blavatnik");
+    expect(blavatnik).toMatchObject({ servings: 10, dishes: 6 });
+    expect(blavatnik.topDishes.slice(0, 2)).toEqual([
+      { name: "Katsu Curry", count: 3, usualWeekday: "Monday" },
+      { name: "Fish Pie", count: 3, usualWeekday: "Wednesday" },
+    ]);
+  });
+
+  test("counts repeats within the window, per café", () => {
+    const stats = computeStats(DAYS, { weeks: 1 });
+    const blavatnik = stats.sources.find((s) => s.source === "blavatnik");
+    // Katsu on 12 and 19 Oct (7 days apart); Fish Pie on 19 Oct is 12 days after 7 Oct.
+    expect(blavatnik.repeats).toEqual({ count: 3, share: 30 });
+    expect(computeStats(DAYS, { weeks: 4 }).sources[0].repeats.count).toBe(4);
+
+    const exeter = stats.sources.find((s) => s.source === "exeter");
+    expect(exeter.repeats).toEqual({ count: 1, share: 25 });
+  });
+
+  test("works out the vegetarian share for each week", () => {
+    expect(computeStats(DAYS).vegetarian).toEqual([
+      { weekCommencing: "2026-10-05", dishes: 4, vegetarian: 2, share: 50 },
+      { weekCommencing: "2026-10-12", dishes: 6, vegetarian: 2, share: 33 },
+      { weekCommencing: "2026-10-19", dishes: 4, vegetarian: 0, share: 0 },
+    ]);
+  });
+
+  test("handles an empty archive", () => {
+    expect(computeStats([])).toMatchObject({ from: null, to: null, days: 0, sources: [], vegetarian: [] });
+  });
+});
+
+// ── dishStats ────────────────────────────────────────────────────────────────
+
+describe("dishStats", () => {
+  test("breaks a dish down by weekday and café", () => {
+    expect(dishStats(DAYS, "katsu")).toEqual({
+      servings: 4,
+      usualWeekday: "Monday",
+      weekdays: { Monday: 3, Wednesday: 1 },
+      sources: { blavatnik: 3, exeter: 1 },
+    });
+  });
+
+  test("returns null for a dish that was never served", () => {
+    expect(dishStats(DAYS, "haggis")).toBeNull();
+  });
+});
+
+// ── rendering ────────────────────────────────────────────────────────────────
+
+describe("renderStats", () => {
+  test("summarises each café and recent weeks", () => {
+    const text = renderStats(computeStats(DAYS), { sourceNames: SOURCE_NAMES });
+    expect(text).toMatch(/^📊 \*Menu statistics\*\n_7 days, Monday, 5 Oct 2026 to Friday, 23 Oct 2026_/);
+    expect(text).toContain("*Blavatnik Café* — 10 dishes, 6 different");
+    expect(text).toContain("1. Katsu Curry ×3 (usually Monday)");
+    expect(text).toContain("Repeats within 4 weeks: 40% of dishes");
+    expect(text).toContain("• w/c 12 Oct: 33% (2/6)");
+  });
+
+  test("explains when there's no history", () => {
+    expect(renderStats(computeStats([]))).toMatch(/^There's no menu history yet/);
+  });
+});
+
+describe("renderDishStats", () => {
+  test("lists weekdays and cafés", () => {
+    const text = renderDishStats("katsu", dishStats(DAYS, "katsu"), { sourceNames: SOURCE_NAMES });
+    expect(text).toBe(
+      [
+        "📊 *katsu* — served 4 times, usually on a Monday",
+        "",
+        "• Monday: 3",
+        "• Wednesday: 1",
+        "",
+        "• Blavatnik Café: 3 times",
+        "• Exeter College: 1 time",
+      ].join("\n"),
+    );
+  });
+
+  test("says when a dish isn't in the history", () => {
+    expect(renderDishStats("haggis", null)).toBe('"haggis" isn\'t in the menu history.');
+  });
+});
+
+describe("renderReport", () => {
+  test("renders Markdown tables", () => {
+    const report = renderReport(computeStats(DAYS), {
+      sourceNames: SOURCE_NAMES,
+      generatedAt: new Date("2026-10-23T12:00:00Z"),
+    });
+    expect(report).toMatch(/^# Lunch menu statistics\n/);
+    expect(report).toContain("| Blavatnik Café | 10 | 6 | 4 (40%) |");
+    expect(report).toContain("## Most frequent at Exeter College");
+    expect(report).toContain("| Roast Chicken | 2 | Wednesday |");
+    expect(report).toContain("| 2026-10-05 | 2 | 4 | 50% |");
+  });
+});
+
+// ── command ──────────────────────────────────────────────────────────────────
+
+describe("stats command", () => {
+  const run = (ctx, args = []) => statsCommands.find((c) => c.name === "stats").run(ctx, args);
+
+  test("rejects a repeat window out of range", async () => {
+    const reply = jest.fn();
+    await run({ reply }, ["0"]);
+    expect(reply).toHaveBeenCalledWith("Pick a repeat window between 1 and 52 weeks.");
+  });
+
+  test("rejects an invalid regex", async () => {
+    const reply = jest.fn();
+    await run({ reply }, ["/(katsu/"]);
+    expect(reply).toHaveBeenCalledWith(expect.stringMatching(/^That isn't a valid pattern/));
+  });
+});
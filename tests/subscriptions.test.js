@@ -0,0 +1,167 @@
+jest.mock("axios");
+jest.mock("../blavatnik");
+jest.mock("../schwarzman");
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  subscriptionCommands,
+  loadSubscriptions,
+  saveSubscriptions,
+  updateSubscription,
+  subscribersDueAt,
+  personaliseMenu,
+  parsePreference,
+  directMessageJid,
+} = require("../subscriptions");
+const { toMenuItem } = require("../menu");
+
+const ALICE = "447700900001@s.whatsapp.net";
+const BOB = "447700900002@s.whatsapp.net";
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "subscriptions-"));
+  file = path.join(dir, "data", "subscriptions.json");
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// ── storage ──────────────────────────────────────────────────────────────────
+
+describe("loadSubscriptions / saveSubscriptions", () => {
+  test("starts empty when there is no file", () => {
+    expect(loadSubscriptions(file)).toEqual({});
+  });
+
+  test("round-trips through disk, creating the directory", () => {
+    const subscriptions = { [ALICE]: { sources: null, diet: "veg", sendAt: "11:00" } };
+    saveSubscriptions(subscriptions, file);
+    expect(loadSubscriptions(file)).toEqual(subscriptions);
+  });
+
+  test("treats a corrupt file as empty", () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, "{not json");
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    expect(loadSubscriptions(file)).toEqual({});
+    console.error.mockRestore();
+  });
+});
+
+describe("updateSubscription", () => {
+  test("merges changes into an existing subscription", () => {
+    saveSubscriptions({ [ALICE]: { sources: null, diet: null, sendAt: "11:00" } }, file);
+    expect(updateSubscription(ALICE, { sendAt: "12:15" }, file)).toEqual({
+      sources: null,
+      diet: null,
+      sendAt: "12:15",
+    });
+    expect(loadSubscriptions(file)[ALICE].sendAt).toBe("12:15");
+  });
+
+  test("returns null for someone who isn't subscribed", () => {
+    expect(updateSubscription(BOB, { diet: "gf" }, file)).toBeNull();
+  });
+});
+
+describe("subscribersDueAt", () => {
+  test("returns only subscribers with that time", () => {
+    saveSubscriptions(
+      {
+        [ALICE]: { sources: null, diet: null, sendAt: "11:00" },
+        [BOB]: { sources: null, diet: null, sendAt: "11:30" },
+      },
+      file,
+    );
+    expect(subscribersDueAt("11:30", file).map(([jid]) => jid)).toEqual([BOB]);
+  });
+});
+
+// ── personaliseMenu ──────────────────────────────────────────────────────────
+
+describe("personaliseMenu", () => {
+  const section = (id, items) => ({
+    source: { id },
+    items: items.map(([name, tags], position) =>
+      toMenuItem(name, { source: id, date: "2026-10-19", position, tags }),
+    ),
+    notes: [],
+  });
+  const dayMenu = {
+    date: "2026-10-19",
+    sections: [
+      section("cohen", [["Dal", ["VG"]], ["Roast Chicken", []]]),
+      section("blavatnik", [["Tomato Soup", ["V"]]]),
+    ],
+  };
+
+  test("keeps every café and item with no preferences", () => {
+    expect(personaliseMenu(dayMenu, { sources: null, diet: null })).toEqual(dayMenu);
+  });
+
+  test("filters by café and diet", () => {
+    const menu = personaliseMenu(dayMenu, { sources: ["cohen"], diet: "veg" });
+    expect(menu.sections.map((s) => s.source.id)).toEqual(["cohen"]);
+    expect(menu.sections[0].items.map((i) => i.name)).toEqual(["Dal"]);
+  });
+});
+
+// ── parsePreference ──────────────────────────────────────────────────────────
+
+describe("parsePreference", () => {
+  test("resolves café names", () => {
+    expect(parsePreference("cafes", ["blav", "Cohen", "blavatnik"])).toEqual({
+      sources: ["blavatnik", "cohen"],
+    });
+    expect(parsePreference("cafes", ["all"])).toEqual({ sources: null });
+    expect(parsePreference("cafes", ["pizzeria"]).error).toMatch(/pizzeria/);
+  });
+
+  test("resolves diets, with none to clear", () => {
+    expect(parsePreference("diet", ["vegetarian"])).toEqual({ diet: "veg" });
+    expect(parsePreference("diet", ["none"])).toEqual({ diet: null });
+    expect(parsePreference("diet", ["keto"]).error).toMatch(/keto/);
+  });
+
+  test("normalises times", () => {
+    expect(parsePreference("time", ["9:45"])).toEqual({ sendAt: "09:45" });
+    expect(parsePreference("time", ["12.30"])).toEqual({ sendAt: "12:30" });
+    expect(parsePreference("time", ["25:00"]).error).toBeDefined();
+  });
+
+  test("rejects unknown settings", () => {
+    expect(parsePreference("colour", ["blue"]).error).toBeDefined();
+  });
+});
+
+// ── directMessageJid ─────────────────────────────────────────────────────────
+
+describe("directMessageJid", () => {
+  test("keys a DM by the sender's phone-number JID, even when the chat is addressed by LID", () => {
+    expect(directMessageJid({ remoteJid: ALICE })).toBe(ALICE);
+    expect(directMessageJid({ remoteJid: "123456789012345@lid", remoteJidAlt: ALICE })).toBe(ALICE);
+  });
+
+  test("falls back to the LID, and ignores chats that aren't DMs", () => {
+    expect(directMessageJid({ remoteJid: "123456789012345@lid" })).toBe("123456789012345@lid");
+    expect(directMessageJid({ remoteJid: "status@broadcast" })).toBeNull();
+    expect(directMessageJid({ remoteJid: "120363000000000000@newsletter" })).toBeNull();
+  });
+});
+
+// ── commands ─────────────────────────────────────────────────────────────────
+
+describe("subscription commands", () => {
+  test("point group members to a direct message", async () => {
+    const reply = jest.fn();
+    const subscribe = subscriptionCommands.find((c) => c.name === "subscribe");
+    await subscribe.run({ isGroup: true, chatJid: "123@g.us", reply }, []);
+    expect(reply).toHaveBeenCalledWith(expect.stringMatching(/direct message/));
+  });
+});
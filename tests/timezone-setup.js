@@ -0,0 +1,5 @@
+// Jest gives each test file its own copy of process.env, so clock.js can't
+// pin the timezone from inside a test. Pin it for the whole run instead.
+module.exports = () => {
+  require("../clock");
+};
@@ -0,0 +1,135 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  cachedParse,
+  cacheKey,
+  evictEntries,
+  loadVisionCache,
+  saveVisionCache,
+  MAX_ENTRIES,
+} = require("../vision-cache");
+
+const NOW = new Date("2026-10-21T10:30:00Z");
+const IMAGE = Buffer.from("not really a png");
+const MENU = { Monday: ["Katsu Curry", "Bean Chilli"] };
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "vision-cache-"));
+  filePath = path.join(dir, "vision-cache.json");
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function options(overrides = {}) {
+  return {
+    source: "blavatnik",
+    promptVersion: "blavatnik-1",
+    parse: jest.fn(async () => MENU),
+    now: NOW,
+    filePath,
+    ...overrides,
+  };
+}
+
+// ── cacheKey ─────────────────────────────────────────────────────────────────
+
+describe("cacheKey", () => {
+  test("combines the prompt version with the SHA-256 of the bytes", () => {
+    expect(cacheKey(Buffer.from("abc"), "v1")).toBe(
+      "v1:ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad",
+    );
+  });
+});
+
+// ── cachedParse ──────────────────────────────────────────────────────────────
+
+describe("cachedParse", () => {
+  test("parses an image once and reuses the result", async () => {
+    const first = options();
+    expect(await cachedParse(IMAGE, first)).toEqual(MENU);
+    expect(first.parse).toHaveBeenCalledTimes(1);
+
+    const later = new Date("2026-10-22T09:00:00Z");
+    const second = options({ now: later });
+    expect(await cachedParse(Buffer.from(IMAGE), second)).toEqual(MENU);
+    expect(second.parse).not.toHaveBeenCalled();
+
+    const [entry] = Object.values(loadVisionCache(filePath).entries);
+    expect(entry).toMatchObject({ source: "blavatnik", parsedAt: NOW.toISOString(), usedAt: later.toISOString() });
+  });
+
+  test("parses again for a different image or prompt version", async () => {
+    await cachedParse(IMAGE, options());
+    const otherImage = options();
+    await cachedParse(Buffer.from("another image"), otherImage);
+    expect(otherImage.parse).toHaveBeenCalledTimes(1);
+
+    const newPrompt = options({ promptVersion: "blavatnik-2" });
+    await cachedParse(IMAGE, newPrompt);
+    expect(newPrompt.parse).toHaveBeenCalledTimes(1);
+  });
+
+  test("parses again when forced, replacing the cached result", async () => {
+    await cachedParse(IMAGE, options());
+    const corrected = { Monday: ["Chicken Katsu Curry"] };
+    const forced = options({ force: true, parse: jest.fn(async () => corrected) });
+    expect(await cachedParse(IMAGE, forced)).toEqual(corrected);
+    expect(forced.parse).toHaveBeenCalledTimes(1);
+    expect(await cachedParse(IMAGE, options())).toEqual(corrected);
+  });
+
+  test("doesn't cache failed parses", async () => {
+    await cachedParse(IMAGE, options({ parse: async () => null }));
+    const retry = options();
+    await cachedParse(IMAGE, retry);
+    expect(retry.parse).toHaveBeenCalledTimes(1);
+  });
+
+  test("starts afresh from an unreadable cache file", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    fs.writeFileSync(filePath, "{not json");
+    expect(await cachedParse(IMAGE, options())).toEqual(MENU);
+    expect(Object.keys(loadVisionCache(filePath).entries)).toHaveLength(1);
+  });
+});
+
+// ── evictEntries ─────────────────────────────────────────────────────────────
+
+describe("evictEntries", () => {
+  const entry = (usedAt) => ({ source: "blavatnik", parsedAt: usedAt, usedAt, result: MENU });
+
+  test("drops entries that haven't been used for two months", () => {
+    const cache = {
+      entries: {
+        recent: entry("2026-10-01T10:00:00.000Z"),
+        old: entry("2026-08-01T10:00:00.000Z"),
+      },
+    };
+    expect(evictEntries(cache, NOW)).toBe(1);
+    expect(Object.keys(cache.entries)).toEqual(["recent"]);
+  });
+
+  test("keeps only the most recently used entries", () => {
+    const cache = { entries: {} };
+    for (let i = 0; i < MAX_ENTRIES + 3; i++) {
+      cache.entries[`key${i}`] = entry(new Date(NOW.getTime() - i * 60000).toISOString());
+    }
+    expect(evictEntries(cache, NOW)).toBe(3);
+    expect(Object.keys(cache.entries)).toHaveLength(MAX_ENTRIES);
+    expect(cache.entries[`key${MAX_ENTRIES}`]).toBeUndefined();
+  });
+
+  test("runs whenever a new parse is saved", async () => {
+    saveVisionCache({ entries: { old: entry("2026-07-01T10:00:00.000Z") } }, filePath);
+    await cachedParse(IMAGE, options());
+    expect(Object.keys(loadVisionCache(filePath).entries)).toEqual([cacheKey(IMAGE, "blavatnik-1")]);
+  });
+});
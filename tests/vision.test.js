@@ -0,0 +1,200 @@
+jest.mock("@anthropic-ai/sdk");
+jest.mock("imapflow");
+jest.mock("mailparser");
+
+const { parseMenuWithVision, validateMenu, extractJson } = require("../vision");
+const blavatnik = require("../blavatnik");
+const schwarzman = require("../schwarzman");
+
+const WEEK = {
+  Monday: ["Chicken Katsu Curry", "Bean Chilli", "Side Salad"],
+  Tuesday: ["Lentil Dhal", "Caesar Salad", "Garlic Bread"],
+  Wednesday: ["Pasta Arrabiata", "Veggie Stew", "Bread Roll"],
+  Thursday: ["Fish Pie", "Mushroom Risotto", "Coleslaw"],
+  Friday: ["Veggie Burrito", "Falafel Wrap", "Corn Chips"],
+};
+
+const BUILD_YOUR_OWN = {
+  Base: ["Coconut Jasmin Rice", "Bulgur w/ Roasted Veg"],
+  Sides: ["Polenta chips w/ Parmesan"],
+  Protein: ["Chicken Katsu", "Tempeh Korma curry"],
+  Toppings: [],
+};
+
+/** A stand-in Anthropic client that replies with each text in turn. */
+function stubClient(...replies) {
+  const create = jest.fn();
+  for (const reply of replies) {
+    const text = typeof reply === "string" ? reply : JSON.stringify(reply);
+    create.mockResolvedValueOnce({ content: [{ type: "text", text }] });
+  }
+  return { messages: { create } };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// ── validateMenu ─────────────────────────────────────────────────────────────
+
+describe("validateMenu", () => {
+  test("accepts well-formed menus", () => {
+    expect(validateMenu(WEEK, blavatnik.MENU_SCHEMA)).toEqual([]);
+    expect(validateMenu(BUILD_YOUR_OWN, schwarzman.MENU_SCHEMA)).toEqual([]);
+  });
+
+  test("rejects anything but an object", () => {
+    for (const data of [null, [], "menu", 3]) {
+      expect(validateMenu(data, blavatnik.MENU_SCHEMA)).toEqual(["The response must be a JSON object."]);
+    }
+  });
+
+  test("rejects unknown keys, missing days and values that aren't string arrays", () => {
+    const data = { ...WEEK, Monday: "Katsu", Saturday: ["Brunch"] };
+    delete data.Friday;
+    const errors = validateMenu(data, blavatnik.MENU_SCHEMA);
+    expect(errors).toEqual([
+      'Unexpected key "Saturday". Use only: Monday, Tuesday, Wednesday, Thursday, Friday.',
+      '"Monday" must be an array of strings.',
+      '"Friday" is missing.',
+    ]);
+  });
+
+  test("rejects an empty day and too few or too many dishes", () => {
+    const errors = validateMenu(
+      { ...WEEK, Monday: [], Tuesday: ["Lentil Dhal"], Friday: "ABCDEFG".split("").map((l) => `Dish ${l}`) },
+      blavatnik.MENU_SCHEMA,
+    );
+    expect(errors).toEqual([
+      '"Monday" is empty.',
+      '"Tuesday" has 1 item(s); expected at least 2.',
+      '"Friday" has 7 items; expected at most 6.',
+    ]);
+  });
+
+  test("allows an empty optional category", () => {
+    expect(validateMenu({ ...BUILD_YOUR_OWN, Sides: [] }, schwarzman.MENU_SCHEMA)).toEqual([]);
+  });
+
+  test("rejects duplicate dishes", () => {
+    const errors = validateMenu({ ...WEEK, Monday: ["Fish Pie", "Bean Chilli", "fish pie"] }, blavatnik.MENU_SCHEMA);
+    expect(errors).toEqual(['"Monday" lists "fish pie" more than once.']);
+  });
+
+  test("rejects headings, prices and instructions", () => {
+    const errors = validateMenu(
+      { ...BUILD_YOUR_OWN, Sides: ["WEEKLY MENU", "BUNDLE PRICE £6.50", "Select any two", "PLUS", "Chips"] },
+      schwarzman.MENU_SCHEMA,
+    );
+    expect(errors).toEqual([
+      '"Sides" contains "WEEKLY MENU", which isn\'t a dish.',
+      '"Sides" contains "BUNDLE PRICE £6.50", which isn\'t a dish.',
+      '"Sides" contains "Select any two", which isn\'t a dish.',
+      '"Sides" contains "PLUS", which isn\'t a dish.',
+    ]);
+  });
+
+  test("rejects blank and overlong strings", () => {
+    const errors = validateMenu({ ...BUILD_YOUR_OWN, Sides: ["  ", "Chips ".repeat(20)] }, schwarzman.MENU_SCHEMA);
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toBe('"Sides" contains an empty string.');
+    expect(errors[1]).toMatch(/too long for a dish name/);
+  });
+});
+
+// ── extractJson ──────────────────────────────────────────────────────────────
+
+describe("extractJson", () => {
+  test("reads plain JSON, or JSON wrapped in a code fence", () => {
+    expect(extractJson('{"a":1}')).toEqual({ a: 1 });
+    expect(extractJson('```json\n{"a":1}\n```')).toEqual({ a: 1 });
+  });
+
+  test("returns undefined when there's no JSON object", () => {
+    expect(extractJson("Sorry, I can't read that image.")).toBeUndefined();
+    expect(extractJson("{ not: json }")).toBeUndefined();
+  });
+});
+
+// ── parseMenuWithVision ──────────────────────────────────────────────────────
+
+describe("parseMenuWithVision", () => {
+  const IMAGE = Buffer.from("png bytes");
+  const options = (client, overrides = {}) => ({
+    label: "Blavatnik",
+    prompt: "Read the menu.",
+    schema: blavatnik.MENU_SCHEMA,
+    client,
+    ...overrides,
+  });
+
+  test("sends the image and prompt, and returns a valid menu", async () => {
+    const client = stubClient(WEEK);
+    expect(await parseMenuWithVision(IMAGE, options(client))).toEqual(WEEK);
+
+    const [request] = client.messages.create.mock.calls[0];
+    expect(request.messages).toHaveLength(1);
+    expect(request.messages[0].content).toEqual([
+      { type: "image", source: { type: "base64", media_type: "image/png", data: IMAGE.toString("base64") } },
+      { type: "text", text: "Read the menu." },
+    ]);
+  });
+
+  test("sends a PDF as a document", async () => {
+    const client = stubClient(WEEK);
+    const pdf = Buffer.from("%PDF-1.7 page");
+    await parseMenuWithVision(pdf, options(client, { mediaType: "application/pdf" }));
+    expect(client.messages.create.mock.calls[0][0].messages[0].content[0]).toEqual({
+      type: "document",
+      source: { type: "base64", media_type: "application/pdf", data: pdf.toString("base64") },
+    });
+  });
+
+  test("feeds validation errors back and retries", async () => {
+    const client = stubClient({ ...WEEK, Monday: [] }, WEEK);
+    expect(await parseMenuWithVision(IMAGE, options(client))).toEqual(WEEK);
+    expect(client.messages.create).toHaveBeenCalledTimes(2);
+
+    const { messages } = client.messages.create.mock.calls[1][0];
+    expect(messages).toHaveLength(3);
+    expect(messages[1]).toEqual({ role: "assistant", content: JSON.stringify({ ...WEEK, Monday: [] }) });
+    expect(messages[2].role).toBe("user");
+    expect(messages[2].content).toContain('- "Monday" is empty.');
+  });
+
+  test("retries a reply that isn't JSON", async () => {
+    const client = stubClient("I can't see a menu.", WEEK);
+    expect(await parseMenuWithVision(IMAGE, options(client))).toEqual(WEEK);
+    expect(client.messages.create.mock.calls[1][0].messages[2].content).toContain("The response wasn't valid JSON.");
+  });
+
+  test("gives up with null after the last attempt", async () => {
+    const bad = { ...WEEK, Saturday: ["Brunch"] };
+    const client = stubClient(bad, bad);
+    expect(await parseMenuWithVision(IMAGE, options(client, { maxAttempts: 2 }))).toBeNull();
+    expect(client.messages.create).toHaveBeenCalledTimes(2);
+    expect(console.error).toHaveBeenCalledWith("Blavatnik: no valid menu after 2 attempts, not saving it.");
+  });
+});
+
+// ── source parsers ───────────────────────────────────────────────────────────
+
+describe("source parsers", () => {
+  test("Blavatnik parses against its weekday schema", async () => {
+    const client = stubClient({ ...WEEK, Monday: ["Katsu"] }, WEEK);
+    expect(await blavatnik.parseMenuImage(Buffer.from("png"), { client })).toEqual(WEEK);
+    expect(client.messages.create.mock.calls[1][0].messages[2].content).toContain("expected at least 2");
+  });
+
+  test("Schwarzman parses against its known categories", async () => {
+    const client = stubClient({ ...BUILD_YOUR_OWN, Desserts: ["Brownie"] }, BUILD_YOUR_OWN);
+    expect(await schwarzman.parseMenuImage(Buffer.from("jpg"), { mediaType: "image/jpeg", client })).toEqual(BUILD_YOUR_OWN);
+    const [first] = client.messages.create.mock.calls;
+    expect(first[0].messages[0].content[0].source.media_type).toBe("image/jpeg");
+    expect(first[0].messages[0].content[1].text).toContain('"Base", "Sides", "Protein", "Toppings", "Sauces & Pickles"');
+  });
+});
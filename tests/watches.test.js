@@ -0,0 +1,201 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  watchCommands,
+  checkWatches,
+  formatWatchAlert,
+  compileTerm,
+  loadWatches,
+  saveWatches,
+} = require("../watches");
+const { toMenuItem } = require("../menu");
+
+const ALICE = "447700900001@s.whatsapp.net";
+const BOB = "447700900002@s.whatsapp.net";
+const GROUP = "120363000000000000@g.us";
+
+// Wednesday 21 October 2026
+const NOW = new Date(2026, 9, 21, 10, 30);
+
+function item(name, date, source = "blavatnik") {
+  return toMenuItem(name, { source, date, position: 0 });
+}
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "watches-"));
+  file = path.join(dir, "watches.json");
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// ── compileTerm ──────────────────────────────────────────────────────────────
+
+describe("compileTerm", () => {
+  test("matches keywords at the start of a word, ignoring case and accents", () => {
+    const matches = compileTerm("katsu");
+    expect(matches("Chicken Katsu Curry")).toBe(true);
+    expect(matches("Katsu")).toBe(true);
+    expect(matches("Hotsu Salad")).toBe(false);
+    expect(compileTerm("creme brulee")("Crème Brûlée")).toBe(true);
+  });
+
+  test("treats /…/ as a case-insensitive regex", () => {
+    const matches = compileTerm("/ramen|pho/");
+    expect(matches("Beef Pho")).toBe(true);
+    expect(matches("Miso RAMEN")).toBe(true);
+    expect(matches("Phoenix Wings")).toBe(true);
+    expect(matches("Udon")).toBe(false);
+  });
+
+  test("throws on an invalid regex", () => {
+    expect(() => compileTerm("/(katsu/")).toThrow();
+  });
+
+  test("stays case-insensitive with flags and refuses g and y", () => {
+    expect(compileTerm("/^katsu.curry$/s")("KATSU\nCURRY")).toBe(true);
+    expect(() => compileTerm("/katsu/g")).toThrow("only the i, m and s flags are allowed");
+    expect(() => compileTerm("/katsu/y")).toThrow("only the i, m and s flags are allowed");
+  });
+
+  test("refuses regexes that could take too long to match", () => {
+    expect(() => compileTerm("/(a+)+$/")).toThrow("repeated group");
+    expect(() => compileTerm("/(?:a|aa)*b/")).toThrow("repeated group");
+    expect(() => compileTerm("/((x\\d*))+/")).toThrow("repeated group");
+    expect(() => compileTerm(`/${"a".repeat(51)}/`)).toThrow("at most 50 characters");
+  });
+
+  test("allows ordinary repeats, groups and character classes", () => {
+    expect(compileTerm("/(spicy )?(ramen|pho)/")("Spicy Ramen")).toBe(true);
+    expect(compileTerm("/katsu\\s+curry/")("Katsu  Curry")).toBe(true);
+    expect(compileTerm("/[(a+)]+/")("a")).toBe(true);
+  });
+});
+
+// ── checkWatches ─────────────────────────────────────────────────────────────
+
+describe("checkWatches", () => {
+  const options = () => ({ now: NOW, filePath: file });
+
+  test("notifies each watcher once with their matches", async () => {
+    saveWatches(
+      {
+        watches: [
+          { jid: ALICE, chatJid: GROUP, term: "katsu" },
+          { jid: ALICE, chatJid: GROUP, term: "/ramen/" },
+          { jid: BOB, chatJid: BOB, term: "lasagne" },
+        ],
+        notified: {},
+      },
+      file,
+    );
+    const notify = jest.fn();
+    await checkWatches(
+      [item("Chicken Katsu Curry", "2026-10-21"), item("Miso Ramen", "2026-10-22"), item("Dal", "2026-10-22")],
+      notify,
+      options(),
+    );
+
+    expect(notify).toHaveBeenCalledTimes(1);
+    const [watcher, items] = notify.mock.calls[0];
+    expect(watcher).toEqual({ jid: ALICE, chatJid: GROUP, terms: ["katsu", "/ramen/"] });
+    expect(items.map((i) => i.name)).toEqual(["Chicken Katsu Curry", "Miso Ramen"]);
+  });
+
+  test("ignores past days and other weeks", async () => {
+    saveWatches({ watches: [{ jid: ALICE, chatJid: ALICE, term: "katsu" }], notified: {} }, file);
+    const notify = jest.fn();
+    await checkWatches(
+      [item("Katsu", "2026-10-20"), item("Katsu", "2026-10-27")],
+      notify,
+      options(),
+    );
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  test("doesn't repeat a dish and day already notified", async () => {
+    saveWatches({ watches: [{ jid: ALICE, chatJid: ALICE, term: "katsu" }], notified: {} }, file);
+    const notify = jest.fn();
+    await checkWatches([item("Katsu Curry", "2026-10-21")], notify, options());
+    await checkWatches(
+      [item("Katsu Curry", "2026-10-21"), item("Katsu Curry", "2026-10-22")],
+      notify,
+      options(),
+    );
+
+    expect(notify).toHaveBeenCalledTimes(2);
+    expect(notify.mock.calls[1][1].map((i) => i.date)).toEqual(["2026-10-22"]);
+  });
+
+  test("tries again next time when notifying fails", async () => {
+    saveWatches({ watches: [{ jid: ALICE, chatJid: ALICE, term: "katsu" }], notified: {} }, file);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const notify = jest.fn().mockRejectedValueOnce(new Error("offline"));
+    await checkWatches([item("Katsu", "2026-10-21")], notify, options());
+    await checkWatches([item("Katsu", "2026-10-21")], notify, options());
+    expect(notify).toHaveBeenCalledTimes(2);
+    console.error.mockRestore();
+  });
+
+  test("forgets notifications from previous days", async () => {
+    saveWatches(
+      {
+        watches: [{ jid: ALICE, chatJid: ALICE, term: "katsu" }],
+        notified: { [ALICE]: ["2026-10-19|blavatnik|katsu"] },
+      },
+      file,
+    );
+    await checkWatches([item("Katsu", "2026-10-21")], jest.fn(), options());
+    expect(loadWatches(file).notified[ALICE]).toEqual(["2026-10-21|blavatnik|katsu"]);
+  });
+});
+
+// ── formatWatchAlert ─────────────────────────────────────────────────────────
+
+describe("formatWatchAlert", () => {
+  test("tags the watcher in a group and lists each dish's days", () => {
+    const text = formatWatchAlert(
+      { jid: ALICE, chatJid: GROUP, terms: ["katsu"] },
+      [
+        item("Chicken Katsu", "2026-10-22", "schwarzman"),
+        item("Chicken Katsu", "2026-10-21", "schwarzman"),
+      ],
+      { sourceNames: { schwarzman: "Schwarzman Centre" }, now: NOW },
+    );
+    expect(text).toBe(
+      '👀 @447700900001 Something on your watchlist ("katsu") is coming up:\n' +
+        "• Chicken Katsu — Schwarzman Centre, today, Thursday",
+    );
+  });
+
+  test("doesn't tag in a direct message", () => {
+    const text = formatWatchAlert({ jid: BOB, chatJid: BOB, terms: ["dal"] }, [item("Dal", "2026-10-23")], {
+      now: NOW,
+    });
+    expect(text).toMatch(/^👀 Something on your watchlist/);
+    expect(text).toContain("• Dal — blavatnik, Friday");
+  });
+});
+
+// ── commands ─────────────────────────────────────────────────────────────────
+
+describe("watch commands", () => {
+  const run = (name, ctx, args = []) => watchCommands.find((c) => c.name === name).run(ctx, args);
+
+  test("reject an invalid regex before touching the store", async () => {
+    const reply = jest.fn();
+    await run("watch", { sender: ALICE, chatJid: ALICE, reply }, ["/(katsu/"]);
+    expect(reply).toHaveBeenCalledWith(expect.stringMatching(/^That isn't a valid pattern/));
+  });
+
+  test("ask for a term", async () => {
+    const reply = jest.fn();
+    await run("unwatch", { sender: ALICE, chatJid: ALICE, reply });
+    expect(reply).toHaveBeenCalledWith(expect.stringMatching(/which watch to remove/));
+  });
+});
@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const clock = require("./clock");
+
+const VISION_CACHE_PATH = path.join(__dirname, "data", "vision-cache.json");
+const MAX_ENTRIES = 50;
+const MAX_AGE_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Cached Claude Vision parses, keyed by the SHA-256 of the attachment
+ * bytes and the prompt version that parsed them:
+ * { entries: { [key]: { source, parsedAt, usedAt, result } } }.
+ */
+function loadVisionCache(filePath = VISION_CACHE_PATH) {
+  if (!fs.existsSync(filePath)) return { entries: {} };
+  try {
+    return { entries: {}, ...JSON.parse(fs.readFileSync(filePath, "utf-8")) };
+  } catch {
+    console.error("Vision cache: unreadable, starting afresh.");
+    return { entries: {} };
+  }
+}
+
+function saveVisionCache(cache, filePath = VISION_CACHE_PATH) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(cache, null, 2));
+}
+
+function cacheKey(buffer, promptVersion) {
+  const hash = crypto.createHash("sha256").update(buffer).digest("hex");
+  return `${promptVersion}:${hash}`;
+}
+
+/**
+ * Drop entries unused for MAX_AGE_DAYS, then the least recently used
+ * beyond MAX_ENTRIES. Returns the number removed.
+ */
+function evictEntries(cache, now = clock.now()) {
+  const cutoff = now.getTime() - MAX_AGE_DAYS * DAY_MS;
+  const keys = Object.keys(cache.entries)
+    .filter((key) => new Date(cache.entries[key].usedAt).getTime() >= cutoff)
+    .sort((a, b) => cache.entries[b].usedAt.localeCompare(cache.entries[a].usedAt))
+    .slice(0, MAX_ENTRIES);
+  const removed = Object.keys(cache.entries).length - keys.length;
+  cache.entries = Object.fromEntries(keys.map((key) => [key, cache.entries[key]]));
+  return removed;
+}
+
+/**
+ * Return the cached parse of `buffer` for this prompt version, or call
+ * `parse()` and cache its result. `force` skips the lookup so the image
+ * is parsed again. Null results (failed parses) aren't cached.
+ */
+async function cachedParse(
+  buffer,
+  { source, promptVersion, parse, force = false, now = clock.now(), filePath = VISION_CACHE_PATH },
+) {
+  const key = cacheKey(buffer, promptVersion);
+
+  if (!force) {
+    const cache = loadVisionCache(filePath);
+    const entry = cache.entries[key];
+    if (entry) {
+      console.log(`Vision cache: ${source} image already parsed on ${entry.parsedAt.slice(0, 10)}, reusing it.`);
+      entry.usedAt = now.toISOString();
+      saveVisionCache(cache, filePath);
+      return entry.result;
+    }
+  }
+
+  const result = await parse();
+  if (result == null) return result;
+
+  // Reload in case another source saved while the parse was running.
+  const cache = loadVisionCache(filePath);
+  cache.entries[key] = { source, parsedAt: now.toISOString(), usedAt: now.toISOString(), result };
+  evictEntries(cache, now);
+  saveVisionCache(cache, filePath);
+  return result;
+}
+
+module.exports = {
+  cachedParse,
+  cacheKey,
+  evictEntries,
+  loadVisionCache,
+  saveVisionCache,
+  VISION_CACHE_PATH,
+  MAX_ENTRIES,
+  MAX_AGE_DAYS,
+};
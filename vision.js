@@ -0,0 +1,153 @@
+const Anthropic = require("@anthropic-ai/sdk");
+const { normalize } = require("./fuzzy");
+
+const MODEL = "claude-sonnet-4-5-20250929";
+const MAX_ATTEMPTS = 3;
+const MAX_ITEM_LENGTH = 80;
+
+// Headings, prices and instructions that Vision sometimes reads as dishes.
+const NON_FOOD_RE =
+  /^(weekly )?menu$|^plus$|^additional\b|\bprice\b|£\s?\d|\bselect\b|\bchoose\b|\bstep \d|\bbundle\b|\ballergens?\b|^(mon|tues|wednes|thurs|fri|satur|sun)day$|^[^a-z]*$/i;
+
+/**
+ * Whether text is a heading, price or instruction rather than a dish.
+ */
+function isNonDish(text) {
+  return NON_FOOD_RE.test(text);
+}
+
+/**
+ * The shape a source's Vision output must have: a JSON object whose
+ * values are arrays of dish names.
+ *
+ * @typedef {Object} MenuSchema
+ * @property {string[]} keys      Keys allowed in the object
+ * @property {string[]} required  Keys that must be present with at least one dish
+ * @property {number} [minItems]  Fewest dishes under a required key
+ * @property {number} [maxItems]  Most dishes under any key
+ */
+
+/**
+ * Check parsed Vision output against a schema, and for the signs of a bad
+ * read: empty days, the same dish twice, and strings that aren't dishes.
+ * Returns a list of problems, empty when the menu looks right.
+ */
+function validateMenu(data, schema) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return ["The response must be a JSON object."];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(data)) {
+    if (!schema.keys.includes(key)) {
+      errors.push(`Unexpected key "${key}". Use only: ${schema.keys.join(", ")}.`);
+    }
+  }
+
+  for (const key of schema.keys) {
+    const required = schema.required.includes(key);
+    const value = data[key];
+    if (value === undefined) {
+      if (required) errors.push(`"${key}" is missing.`);
+      continue;
+    }
+    if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) {
+      errors.push(`"${key}" must be an array of strings.`);
+      continue;
+    }
+
+    if (required && !value.length) {
+      errors.push(`"${key}" is empty.`);
+    } else if (required && schema.minItems && value.length < schema.minItems) {
+      errors.push(`"${key}" has ${value.length} item(s); expected at least ${schema.minItems}.`);
+    }
+    if (schema.maxItems && value.length > schema.maxItems) {
+      errors.push(`"${key}" has ${value.length} items; expected at most ${schema.maxItems}.`);
+    }
+
+    const seen = new Set();
+    for (const item of value) {
+      const text = item.trim();
+      if (!text) {
+        errors.push(`"${key}" contains an empty string.`);
+      } else if (text.length > MAX_ITEM_LENGTH) {
+        errors.push(`"${key}" contains "${text.slice(0, 40)}…", which is too long for a dish name.`);
+      } else if (isNonDish(text)) {
+        errors.push(`"${key}" contains "${text}", which isn't a dish.`);
+      }
+      const normalized = normalize(text);
+      if (normalized && seen.has(normalized)) errors.push(`"${key}" lists "${text}" more than once.`);
+      seen.add(normalized);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Pull a JSON object out of a Vision reply, tolerating code fences or
+ * surrounding prose. Returns undefined when there isn't one.
+ */
+function extractJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    const match = text.match(/\{[\s\S]*\}/);
+    if (!match) return undefined;
+    try {
+      return JSON.parse(match[0]);
+    } catch {
+      return undefined;
+    }
+  }
+}
+
+/**
+ * Ask Claude Vision to read a menu image (or a PDF, with `mediaType`
+ * application/pdf) and return JSON that passes `schema`. When a reply
+ * doesn't, the problems are sent back in the same conversation and
+ * Claude gets another try, up to `maxAttempts` in all.
+ * Returns the menu, or null if no attempt produced a valid one.
+ *
+ * `label` prefixes log lines ("Blavatnik"). `client` is an Anthropic
+ * client (anything with messages.create), so tests can pass a stub; by
+ * default one is created from `apiKey`.
+ */
+async function parseMenuWithVision(imageBuffer, options) {
+  const { label, prompt, schema, mediaType = "image/png", apiKey, maxAttempts = MAX_ATTEMPTS } = options;
+  const client = options.client || new Anthropic({ apiKey });
+  const messages = [
+    {
+      role: "user",
+      content: [
+        {
+          // PDFs go in a document block; Claude reads their pages as images.
+          type: mediaType === "application/pdf" ? "document" : "image",
+          source: { type: "base64", media_type: mediaType, data: imageBuffer.toString("base64") },
+        },
+        { type: "text", text: prompt },
+      ],
+    },
+  ];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const response = await client.messages.create({ model: MODEL, max_tokens: 2048, messages });
+    const text = response.content[0].text.trim();
+    const data = extractJson(text);
+    const errors = data === undefined ? ["The response wasn't valid JSON."] : validateMenu(data, schema);
+    if (!errors.length) return data;
+
+    console.warn(`${label}: Vision output rejected (attempt ${attempt}/${maxAttempts}): ${errors.join(" ")}`);
+    messages.push(
+      { role: "assistant", content: text },
+      {
+        role: "user",
+        content: `That JSON has problems:\n${errors.map((e) => `- ${e}`).join("\n")}\n\nLook at the image again and return the corrected JSON only, with no markdown or code fences.`,
+      },
+    );
+  }
+
+  console.error(`${label}: no valid menu after ${maxAttempts} attempts, not saving it.`);
+  return null;
+}
+
+module.exports = { parseMenuWithVision, validateMenu, extractJson, isNonDish, MAX_ATTEMPTS };
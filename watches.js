@@ -0,0 +1,292 @@
+const fs = require("fs");
+const path = require("path");
+const { normalize } = require("./fuzzy");
+const { toISODate, addDays, getWeekMonday } = require("./dates");
+const clock = require("./clock");
+const { formatDate } = require("./render");
+
+const WATCHES_PATH = path.join(__dirname, "data", "watches.json");
+const MAX_WATCHES = 20;
+const MAX_TERM_LENGTH = 100;
+// Regex terms run against every dish on every check, so they're kept short
+// and simple enough that no dish name can make them backtrack for long.
+const MAX_PATTERN_LENGTH = 50;
+const QUANTIFIER_RE = /^(?:[*+?]|\{\d+(?:,\d*)?\})/;
+
+/**
+ * Read the watch store:
+ * { watches: [{ jid, chatJid, term }], notified: { [jid]: ["date|source|dish", …] } }
+ * where chatJid is the chat the watch was set up in (a group or a DM) and
+ * notified records what each person has already been told about.
+ */
+function loadWatches(filePath = WATCHES_PATH) {
+  const empty = { watches: [], notified: {} };
+  if (!fs.existsSync(filePath)) return empty;
+  try {
+    return { ...empty, ...JSON.parse(fs.readFileSync(filePath, "utf-8")) };
+  } catch (err) {
+    console.error("Watches: could not read file:", err.message);
+    return empty;
+  }
+}
+
+function saveWatches(store, filePath = WATCHES_PATH) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(store, null, 2));
+}
+
+/**
+ * Turn a watch term into a test for dish names. "/katsu|ramen/" style terms
+ * are regexes, always case-insensitive; of the other flags only m and s are
+ * allowed, as g and y would make the test carry state from dish to dish.
+ * Anything else matches dishes containing it, ignoring case and accents.
+ * Throws if the regex is invalid, too long or could be too slow.
+ */
+function compileTerm(term) {
+  const regex = term.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    checkPattern(regex[1]);
+    if (/[^ims]/.test(regex[2])) throw new Error("only the i, m and s flags are allowed");
+    const pattern = new RegExp(regex[1], `i${regex[2].replace(/i/g, "")}`);
+    return (name) => pattern.test(name);
+  }
+  const wanted = normalize(term);
+  return (name) => ` ${normalize(name)} `.includes(` ${wanted}`);
+}
+
+/**
+ * Throw if a regex pattern is over MAX_PATTERN_LENGTH or repeats a group
+ * that itself repeats or has alternatives, like (a+)+ or (a|aa)*, which
+ * can take exponentially long on a dish that almost matches.
+ */
+function checkPattern(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`regexes can be at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+
+  const groups = []; // per open group: whether it repeats or has alternatives
+  let afterRepeatingGroup = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const quantifier = !(char === "?" && pattern[i - 1] === "(") && pattern.slice(i).match(QUANTIFIER_RE);
+    if (quantifier) {
+      if (afterRepeatingGroup) {
+        throw new Error("a repeated group can't repeat inside or use | (it could take too long to match)");
+      }
+      if (groups.length) groups[groups.length - 1] = true;
+      i += quantifier[0].length - 1;
+      continue;
+    }
+
+    afterRepeatingGroup = false;
+    if (char === "\\") {
+      i++;
+    } else if (char === "[") {
+      // Skip the character class, which repeats nothing by itself
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i++;
+      }
+    } else if (char === "(") {
+      groups.push(false);
+    } else if (char === ")") {
+      afterRepeatingGroup = Boolean(groups.pop());
+      if (afterRepeatingGroup && groups.length) groups[groups.length - 1] = true;
+    } else if (char === "|" && groups.length) {
+      groups[groups.length - 1] = true;
+    }
+  }
+}
+
+function dishKey(item) {
+  return `${item.date}|${item.source}|${normalize(item.name)}`;
+}
+
+// Checks run one at a time so overlapping refreshes can't both notify.
+let pending = Promise.resolve();
+
+/**
+ * Check freshly refreshed items against everyone's watches. Only items for
+ * today or later this week count, and each person hears about a given dish
+ * on a given day once. Calls notify(watcher, items) per person with new
+ * matches, where watcher is { jid, chatJid, terms }.
+ */
+function checkWatches(items, notify, options = {}) {
+  const run = pending.then(() => runCheck(items, notify, options));
+  pending = run.catch(() => {});
+  return run;
+}
+
+async function runCheck(items, notify, { now = clock.now(), filePath = WATCHES_PATH }) {
+  const store = loadWatches(filePath);
+  if (!store.watches.length) return;
+
+  const today = toISODate(now);
+  const weekEnd = toISODate(addDays(getWeekMonday(now), 6));
+  const upcoming = items.filter((item) => item.date >= today && item.date <= weekEnd);
+
+  const byPerson = new Map();
+  for (const watch of store.watches) {
+    let matches;
+    try {
+      matches = compileTerm(watch.term);
+    } catch {
+      continue;
+    }
+    const seen = new Set(store.notified[watch.jid] || []);
+    for (const item of upcoming) {
+      if (seen.has(dishKey(item)) || !matches(item.name)) continue;
+      if (!byPerson.has(watch.jid)) {
+        byPerson.set(watch.jid, { jid: watch.jid, chatJid: watch.chatJid, terms: [], items: [] });
+      }
+      const found = byPerson.get(watch.jid);
+      if (!found.terms.includes(watch.term)) found.terms.push(watch.term);
+      found.items.push(item);
+      seen.add(dishKey(item));
+    }
+  }
+  if (!byPerson.size) return;
+
+  for (const { items: found, ...watcher } of byPerson.values()) {
+    try {
+      await notify(watcher, found);
+      const keys = (store.notified[watcher.jid] || []).filter((key) => key >= today);
+      store.notified[watcher.jid] = [...keys, ...found.map(dishKey)];
+    } catch (err) {
+      console.error(`Watches: could not notify ${watcher.jid}:`, err.message);
+    }
+  }
+  saveWatches(store, filePath);
+}
+
+/**
+ * Alert text for one person's matches, one line per dish and café with the
+ * days it's on. `sourceNames` maps source ids to display names.
+ */
+function formatWatchAlert(watcher, items, { sourceNames = {}, now = clock.now() } = {}) {
+  const today = toISODate(now);
+  const dishes = new Map();
+  for (const item of items) {
+    const key = `${item.source}|${normalize(item.name)}`;
+    if (!dishes.has(key)) dishes.set(key, { item, dates: [] });
+    dishes.get(key).dates.push(item.date);
+  }
+
+  // In a group, tag the person; WhatsApp mentions are "@" plus their number.
+  const mention = watcher.chatJid.endsWith("@g.us") ? `@${watcher.jid.split("@")[0].split(":")[0]} ` : "";
+  const terms = watcher.terms.map((term) => `"${term}"`).join(", ");
+  const lines = [`👀 ${mention}Something on your watchlist (${terms}) is coming up:`];
+  for (const { item, dates } of dishes.values()) {
+    const days = dates
+      .sort()
+      .map((date) => (date === today ? "today" : formatDate(date, { day: undefined, month: undefined })))
+      .join(", ");
+    lines.push(`• ${item.name} — ${sourceNames[item.source] || item.source}, ${days}`);
+  }
+  return lines.join("\n");
+}
+
+// --- Commands ---
+
+async function runWatch(ctx, args) {
+  const term = args.join(" ").trim();
+  if (!term) {
+    await ctx.reply("Tell me what to look out for, e.g. !watch katsu or !watch /ramen|pho/.");
+    return;
+  }
+  if (term.length > MAX_TERM_LENGTH) {
+    await ctx.reply(`That's too long. Keep it under ${MAX_TERM_LENGTH} characters.`);
+    return;
+  }
+  try {
+    compileTerm(term);
+  } catch (err) {
+    await ctx.reply(`That isn't a valid pattern: ${err.message}`);
+    return;
+  }
+
+  const store = loadWatches();
+  const mine = store.watches.filter((w) => w.jid === ctx.sender);
+  if (mine.some((w) => w.term.toLowerCase() === term.toLowerCase())) {
+    await ctx.reply(`You're already watching "${term}".`);
+    return;
+  }
+  if (mine.length >= MAX_WATCHES) {
+    await ctx.reply(`You can watch up to ${MAX_WATCHES} dishes. Remove one with !unwatch first.`);
+    return;
+  }
+
+  store.watches.push({ jid: ctx.sender, chatJid: ctx.chatJid, term });
+  saveWatches(store);
+  const where = ctx.isGroup ? "tag you here" : "message you";
+  await ctx.reply(`Watching "${term}". I'll ${where} when it's on a menu this week.`);
+}
+
+async function runWatches(ctx) {
+  const mine = loadWatches().watches.filter((w) => w.jid === ctx.sender);
+  if (!mine.length) {
+    await ctx.reply("You're not watching anything. Try !watch katsu.");
+    return;
+  }
+  const lines = ["*Your watches*", ...mine.map((w, i) => `${i + 1}. ${w.term}`)];
+  lines.push("", "Remove one with !unwatch <number or term>, or !unwatch all.");
+  await ctx.reply(lines.join("\n"));
+}
+
+async function runUnwatch(ctx, args) {
+  const term = args.join(" ").trim();
+  if (!term) {
+    await ctx.reply("Tell me which watch to remove: !unwatch <number or term>, or !unwatch all.");
+    return;
+  }
+
+  const store = loadWatches();
+  const mine = store.watches.filter((w) => w.jid === ctx.sender);
+  let removed;
+  if (term.toLowerCase() === "all") {
+    removed = mine;
+  } else {
+    const index = /^\d+$/.test(term) ? Number(term) - 1 : -1;
+    const watch = mine[index] || mine.find((w) => w.term.toLowerCase() === term.toLowerCase());
+    removed = watch ? [watch] : [];
+  }
+  if (!removed.length) {
+    await ctx.reply(`You're not watching "${term}". Send !watches to see your list.`);
+    return;
+  }
+
+  store.watches = store.watches.filter((w) => !removed.includes(w));
+  saveWatches(store);
+  await ctx.reply(
+    removed.length === 1 ? `Stopped watching "${removed[0].term}".` : `Stopped all ${removed.length} watches.`,
+  );
+}
+
+const watchCommands = [
+  {
+    name: "watch",
+    usage: "<dish or /regex/>",
+    description: "Get tagged when a dish you like is on a menu this week",
+    run: runWatch,
+  },
+  {
+    name: "watches",
+    description: "List the dishes you're watching",
+    run: runWatches,
+  },
+  {
+    name: "unwatch",
+    usage: "<number|term|all>",
+    description: "Stop watching a dish",
+    run: runUnwatch,
+  },
+];
+
+module.exports = {
+  watchCommands,
+  checkWatches,
+  formatWatchAlert,
+  compileTerm,
+  loadWatches,
+  saveWatches,
+  WATCHES_PATH,
+};